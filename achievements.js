@@ -0,0 +1,62 @@
+// Every achievement a pilot can unlock, by id. isMet() is checked against what
+// ProfileTracker (profile.js) knows whenever something relevant happens:
+//   stats    lifetime totals from the pilot profile, this mission included
+//   mission  { score, wave, time, shotsFired, shotsHit, bossesDefeated } so far
+//   wave     { astronautsSaved, hullDamage, completed } for the current wave
+const Achievements = {
+    firstContact: {
+        name: "First Contact",
+        description: "Destroy your first enemy",
+        isMet: ({ stats }) => stats.enemiesDestroyed >= 1
+    },
+    centurion: {
+        name: "Centurion",
+        description: "Destroy 100 enemies",
+        isMet: ({ stats }) => stats.enemiesDestroyed >= 100
+    },
+    guardianAngel: {
+        name: "Guardian Angel",
+        description: "Rescue 5 astronauts in one wave",
+        isMet: ({ wave }) => wave.astronautsSaved >= 5
+    },
+    lifesaver: {
+        name: "Lifesaver",
+        description: "Rescue 50 astronauts",
+        isMet: ({ stats }) => stats.astronautsSaved >= 50
+    },
+    untouchable: {
+        name: "Untouchable",
+        description: "Clear a wave without taking hull damage",
+        isMet: ({ wave }) => wave.completed && wave.hullDamage === 0
+    },
+    survivor: {
+        name: "Survivor",
+        description: "Reach wave 5",
+        isMet: ({ mission }) => mission.wave >= 5
+    },
+    giantKiller: {
+        name: "Giant Killer",
+        description: "Bring down a mothership",
+        isMet: ({ mission }) => mission.bossesDefeated >= 1
+    },
+    ace: {
+        name: "Ace",
+        description: "Score 10,000 points in one mission",
+        isMet: ({ mission }) => mission.score >= 10000
+    },
+    sharpshooter: {
+        name: "Sharpshooter",
+        description: "Hit with half of 100 or more shots in one mission",
+        isMet: ({ mission }) => mission.shotsFired >= 100 && mission.shotsHit >= mission.shotsFired / 2
+    },
+    longHaul: {
+        name: "Long Haul",
+        description: "Fly a mission lasting 15 minutes",
+        isMet: ({ mission }) => mission.time >= 15 * 60 * 1000
+    },
+    veteran: {
+        name: "Veteran",
+        description: "Fly 10 missions",
+        isMet: ({ stats }) => stats.gamesPlayed >= 10
+    }
+};
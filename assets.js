@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Third-party browser scripts, served from the installed npm packages at /vendor/<name>
+// in the order the page must run them
+const VENDOR_SCRIPTS = [
+    { name: 'babylon.js', package: 'babylonjs', file: 'babylon.js' },
+    { name: 'babylonjs.loaders.min.js', package: 'babylonjs-loaders', file: 'babylonjs.loaders.min.js' },
+    { name: 'babylon.gui.min.js', package: 'babylonjs-gui', file: 'babylon.gui.min.js' },
+    { name: 'cannon.js', package: 'cannon', file: 'build/cannon.js' },
+    // Babylon's ExtrudePolygon triangulates with the global earcut
+    { name: 'earcut.min.js', package: 'earcut', file: 'dist/earcut.min.js' }
+];
+
+// Textures the game can use, relative to the assets folder. Any that are missing
+// are left out of the manifest and the game generates a stand-in instead.
+const TEXTURES = [
+    { name: 'lunarSurface', file: 'textures/lunar_surface.jpg' },
+    { name: 'lunarNormal', file: 'textures/lunar_normal.jpg' },
+    { name: 'flare', file: 'textures/flare.png' },
+    // Cube faces in Babylon's order: +x, +y, +z, -x, -y, -z
+    {
+        name: 'skybox',
+        type: 'cube',
+        files: ['px', 'py', 'pz', 'nx', 'ny', 'nz'].map(face => `textures/skybox/space_${face}.jpg`)
+    }
+];
+
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+class AssetManifest {
+    constructor(assetsDir) {
+        this.assetsDir = assetsDir;
+    }
+
+    // Absolute path of a vendor script by name, or null when the package isn't installed
+    resolveVendorScript(name) {
+        const script = VENDOR_SCRIPTS.find(candidate => candidate.name === name);
+        if (!script) return null;
+
+        try {
+            const packageDir = path.dirname(require.resolve(`${script.package}/package.json`));
+            return path.join(packageDir, script.file);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Built on every request so dropping a texture into the assets folder needs no restart.
+    // Sizes let the preloader show byte-accurate progress.
+    build() {
+        const scripts = [];
+        for (const script of VENDOR_SCRIPTS) {
+            const filePath = this.resolveVendorScript(script.name);
+            const size = filePath && fileSize(filePath);
+            if (size === null) {
+                console.warn(`Vendor script ${script.name} not found; run npm install`);
+                continue;
+            }
+            scripts.push({ name: script.name, url: `/vendor/${script.name}`, size });
+        }
+
+        const textures = [];
+        for (const texture of TEXTURES) {
+            const files = texture.files || [texture.file];
+            const sizes = files.map(file => fileSize(path.join(this.assetsDir, file)));
+            if (sizes.includes(null)) continue;
+
+            const urls = files.map(file => `/assets/${file}`);
+            textures.push({
+                name: texture.name,
+                type: texture.type || '2d',
+                urls,
+                size: sizes.reduce((total, size) => total + size, 0)
+            });
+        }
+
+        return { scripts, textures };
+    }
+}
+
+module.exports = { AssetManifest, VENDOR_SCRIPTS, TEXTURES };
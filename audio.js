@@ -0,0 +1,408 @@
+// Sound effects synthesized with Web Audio, so the game ships without audio files.
+// The soundtrack (music.js) shares the context through its own music bus.
+// Any effect can be replaced by a recorded sample via options.samples, e.g.
+// { laser: 'sounds/laser.ogg' }. Positional sounds and lander hums are placed in
+// 3D around the listener, which follows the camera.
+class SoundSystem {
+    constructor(options = {}) {
+        this.sampleUrls = options.samples || {};
+        this.samples = new Map();
+
+        this.context = null;
+        this.masterBus = null;
+        this.effectsBus = null;
+        this.musicBus = null;
+        this.noiseBuffer = null;
+
+        this.volumes = { master: 1, effects: 0.8, music: 0.6 };
+        this.muted = false;
+
+        // Looping hums for the landers closest to the listener, keyed by enemy
+        this.hums = new Map();
+        this.maxHums = 4;
+        this.humRange = 80;
+
+        // Distance falloff for positional sounds, in world units
+        this.refDistance = 5;
+        this.maxDistance = 200;
+    }
+
+    static get isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    // Browsers only allow audio to start from a user gesture, so the context is
+    // created (or resumed) on the first key press, click or touch
+    attach() {
+        if (!SoundSystem.isSupported) return;
+
+        const unlock = () => this.unlock();
+        for (const type of ['keydown', 'mousedown', 'touchstart']) {
+            window.addEventListener(type, unlock);
+        }
+    }
+
+    unlock() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContext();
+
+            this.masterBus = this.context.createGain();
+            this.masterBus.connect(this.context.destination);
+            this.effectsBus = this.context.createGain();
+            this.effectsBus.connect(this.masterBus);
+            this.musicBus = this.context.createGain();
+            this.musicBus.connect(this.masterBus);
+            this.applyVolumes();
+
+            this.noiseBuffer = this.createNoiseBuffer(1);
+            this.loadSamples();
+            console.log('Audio started');
+        }
+
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    setVolumes({ master, effects, music, muted }) {
+        this.volumes.master = master;
+        this.volumes.effects = effects;
+        this.volumes.music = music;
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.masterBus.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.effectsBus.gain.setTargetAtTime(this.volumes.effects, now, 0.02);
+        this.musicBus.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+    }
+
+    loadSamples() {
+        for (const [name, url] of Object.entries(this.sampleUrls)) {
+            fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data))
+                .then(buffer => this.samples.set(name, buffer))
+                .catch(error => console.error(`Failed to load sound sample ${name} (${url}), using synth:`, error));
+        }
+    }
+
+    createNoiseBuffer(seconds) {
+        const buffer = this.context.createBuffer(1, this.context.sampleRate * seconds, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // Move the listener to the camera. forward and up are unit vectors.
+    setListener(position, forward, up) {
+        if (!this.context) return;
+
+        const listener = this.context.listener;
+        if (listener.positionX) {
+            const now = this.context.currentTime;
+            listener.positionX.setValueAtTime(position.x, now);
+            listener.positionY.setValueAtTime(position.y, now);
+            listener.positionZ.setValueAtTime(position.z, now);
+            listener.forwardX.setValueAtTime(forward.x, now);
+            listener.forwardY.setValueAtTime(forward.y, now);
+            listener.forwardZ.setValueAtTime(forward.z, now);
+            listener.upX.setValueAtTime(up.x, now);
+            listener.upY.setValueAtTime(up.y, now);
+            listener.upZ.setValueAtTime(up.z, now);
+        } else {
+            // Older Safari only has the deprecated setters
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // Where a sound enters the mix: straight into the effects bus, or through a
+    // panner when it comes from somewhere in the world
+    createOutput(position, volume = 1) {
+        const gain = this.context.createGain();
+        gain.gain.value = volume;
+
+        if (position) {
+            const panner = this.context.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'inverse';
+            panner.refDistance = this.refDistance;
+            panner.maxDistance = this.maxDistance;
+            panner.setPosition(position.x, position.y, position.z);
+            gain.connect(panner);
+            panner.connect(this.effectsBus);
+        } else {
+            gain.connect(this.effectsBus);
+        }
+        return gain;
+    }
+
+    // options.position places the sound in the world; options.volume scales it
+    play(name, options = {}) {
+        if (!this.context || this.context.state !== 'running') return;
+
+        const output = this.createOutput(options.position, options.volume);
+        const sample = this.samples.get(name);
+        if (sample) {
+            const source = this.context.createBufferSource();
+            source.buffer = sample;
+            source.connect(output);
+            source.start();
+            return;
+        }
+
+        const synth = this.synths[name];
+        if (synth) {
+            synth.call(this, output, this.context.currentTime);
+        } else {
+            console.warn(`No sound named ${name}`);
+        }
+    }
+
+    // A single oscillator note with a pitch sweep and a quick attack/decay envelope
+    tone(output, start, { type = 'sine', from, to = from, duration, volume = 0.3 }) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, start);
+        if (to !== from) {
+            oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+        }
+
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.05);
+    }
+
+    // Filtered white noise: the body of explosions and impacts
+    noise(output, start, { duration, from = 2000, to = 100, volume = 0.5 }) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(from, start);
+        filter.frequency.exponentialRampToValueAtTime(to, start + duration);
+
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(volume, start);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(output);
+        source.start(start);
+        source.stop(start + duration + 0.05);
+    }
+
+    get synths() {
+        return {
+            laser(output, t) {
+                this.tone(output, t, { type: 'square', from: 1400, to: 220, duration: 0.15, volume: 0.12 });
+            },
+            spread(output, t) {
+                this.tone(output, t, { type: 'square', from: 900, to: 180, duration: 0.18, volume: 0.1 });
+                this.noise(output, t, { duration: 0.12, from: 5000, to: 800, volume: 0.15 });
+            },
+            beam(output, t) {
+                this.tone(output, t, { type: 'sawtooth', from: 2200, to: 90, duration: 0.5, volume: 0.18 });
+                this.tone(output, t, { from: 110, to: 55, duration: 0.5, volume: 0.3 });
+            },
+            missile(output, t) {
+                this.noise(output, t, { duration: 0.6, from: 800, to: 3000, volume: 0.25 });
+                this.tone(output, t, { type: 'triangle', from: 200, to: 600, duration: 0.4, volume: 0.12 });
+            },
+            enemyBolt(output, t) {
+                this.tone(output, t, { type: 'sawtooth', from: 700, to: 250, duration: 0.15, volume: 0.12 });
+            },
+            enemyBomb(output, t) {
+                this.tone(output, t, { type: 'square', from: 160, to: 90, duration: 0.3, volume: 0.15 });
+                this.noise(output, t, { duration: 0.2, from: 600, to: 200, volume: 0.1 });
+            },
+            weaponPickup(output, t) {
+                [392, 523, 784].forEach((frequency, i) => {
+                    this.tone(output, t + i * 0.05, { type: 'square', from: frequency, duration: 0.1, volume: 0.12 });
+                });
+            },
+            shieldHit(output, t) {
+                this.tone(output, t, { type: 'sine', from: 1200, to: 300, duration: 0.25, volume: 0.25 });
+                this.noise(output, t, { duration: 0.15, from: 6000, to: 2000, volume: 0.2 });
+            },
+            shieldsDown(output, t) {
+                this.tone(output, t, { type: 'sawtooth', from: 600, to: 80, duration: 0.6, volume: 0.2 });
+            },
+            powerShift(output, t) {
+                this.tone(output, t, { type: 'triangle', from: 300, to: 500, duration: 0.08, volume: 0.15 });
+            },
+            weaponSwitch(output, t) {
+                this.tone(output, t, { type: 'square', from: 600, to: 900, duration: 0.06, volume: 0.1 });
+            },
+            explosion(output, t) {
+                this.noise(output, t, { duration: 0.9, from: 3000, to: 80, volume: 0.8 });
+                this.tone(output, t, { from: 120, to: 30, duration: 0.6, volume: 0.5 });
+            },
+            hit(output, t) {
+                this.noise(output, t, { duration: 0.25, from: 1200, to: 200, volume: 0.6 });
+                this.tone(output, t, { type: 'triangle', from: 180, to: 50, duration: 0.3, volume: 0.5 });
+            },
+            shipDestroyed(output, t) {
+                this.noise(output, t, { duration: 2, from: 4000, to: 40, volume: 1 });
+                this.tone(output, t, { type: 'sawtooth', from: 400, to: 30, duration: 1.8, volume: 0.3 });
+            },
+            smartBomb(output, t) {
+                this.noise(output, t, { duration: 1.5, from: 6000, to: 60, volume: 1 });
+                this.tone(output, t, { from: 80, to: 25, duration: 1.4, volume: 0.7 });
+            },
+            hyperspace(output, t) {
+                this.tone(output, t, { from: 150, to: 2400, duration: 0.7, volume: 0.25 });
+                this.tone(output, t, { type: 'triangle', from: 300, to: 4800, duration: 0.7, volume: 0.15 });
+            },
+            astronautCaught(output, t) {
+                [523, 659, 784].forEach((frequency, i) => {
+                    this.tone(output, t + i * 0.07, { type: 'triangle', from: frequency, duration: 0.12, volume: 0.25 });
+                });
+            },
+            astronautRescued(output, t) {
+                [523, 659, 784, 1047].forEach((frequency, i) => {
+                    this.tone(output, t + i * 0.09, { type: 'triangle', from: frequency, duration: 0.25, volume: 0.3 });
+                });
+            },
+            astronautLost(output, t) {
+                this.tone(output, t, { type: 'triangle', from: 660, to: 110, duration: 0.8, volume: 0.3 });
+            },
+            bossWarning(output, t) {
+                for (let i = 0; i < 3; i++) {
+                    this.tone(output, t + i * 0.5, { type: 'sawtooth', from: 220, to: 440, duration: 0.4, volume: 0.2 });
+                }
+            },
+            bossDefeated(output, t) {
+                this.noise(output, t, { duration: 2.5, from: 5000, to: 40, volume: 1 });
+                [392, 523, 659, 784].forEach((frequency, i) => {
+                    this.tone(output, t + 1 + i * 0.12, { type: 'triangle', from: frequency, duration: 0.3, volume: 0.3 });
+                });
+            },
+            achievement(output, t) {
+                [659, 784, 988, 1319].forEach((frequency, i) => {
+                    this.tone(output, t + i * 0.08, { type: 'square', from: frequency, duration: 0.15, volume: 0.1 });
+                });
+            },
+            hullAlarm(output, t) {
+                this.tone(output, t, { type: 'square', from: 880, duration: 0.15, volume: 0.12 });
+                this.tone(output, t + 0.2, { type: 'square', from: 660, duration: 0.15, volume: 0.12 });
+            },
+            energyAlarm(output, t) {
+                this.tone(output, t, { type: 'triangle', from: 440, duration: 0.2, volume: 0.15 });
+            }
+        };
+    }
+
+    // Keep a hum going for each of the nearest landers and stop the rest.
+    // landers are entities with a position; listenerPosition is the camera.
+    // locate gives where each lander should be heard from, e.g. across the planet's seam.
+    updateHums(landers, listenerPosition, locate = lander => lander.position) {
+        if (!this.context || this.context.state !== 'running') return;
+
+        const nearest = landers
+            .map(lander => {
+                const position = locate(lander);
+                return { lander, position, distance: Vec3.distance(position, listenerPosition) };
+            })
+            .filter(entry => entry.distance < this.humRange)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxHums);
+        const heard = new Set(nearest.map(entry => entry.lander));
+
+        for (const [lander, hum] of this.hums) {
+            if (!heard.has(lander)) {
+                this.stopHum(hum);
+                this.hums.delete(lander);
+            }
+        }
+
+        for (const { lander, position } of nearest) {
+            let hum = this.hums.get(lander);
+            if (!hum) {
+                hum = this.startHum();
+                this.hums.set(lander, hum);
+            }
+            hum.panner.setPosition(position.x, position.y, position.z);
+        }
+    }
+
+    // Two detuned saws through a lowpass, wobbling slightly like an engine
+    startHum() {
+        const t = this.context.currentTime;
+        const panner = this.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.refDistance;
+        panner.maxDistance = this.humRange;
+        panner.connect(this.effectsBus);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, t);
+        gain.gain.exponentialRampToValueAtTime(0.08, t + 0.5);
+        gain.connect(panner);
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        filter.connect(gain);
+
+        const base = 50 + Math.random() * 10;
+        const oscillators = [base, base * 1.01].map(frequency => {
+            const oscillator = this.context.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = frequency;
+            oscillator.connect(filter);
+            oscillator.start(t);
+            return oscillator;
+        });
+
+        const wobble = this.context.createOscillator();
+        wobble.frequency.value = 3 + Math.random() * 2;
+        const wobbleDepth = this.context.createGain();
+        wobbleDepth.gain.value = 80;
+        wobble.connect(wobbleDepth);
+        wobbleDepth.connect(filter.frequency);
+        wobble.start(t);
+        oscillators.push(wobble);
+
+        return { panner, gain, oscillators };
+    }
+
+    stopHum(hum) {
+        const t = this.context.currentTime;
+        hum.gain.gain.setTargetAtTime(0.0001, t, 0.1);
+        for (const oscillator of hum.oscillators) {
+            oscillator.stop(t + 0.5);
+        }
+        setTimeout(() => hum.panner.disconnect(), 600);
+    }
+
+    stopAllHums() {
+        if (!this.context) return;
+
+        for (const hum of this.hums.values()) {
+            this.stopHum(hum);
+        }
+        this.hums.clear();
+    }
+}
@@ -0,0 +1,160 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // What an entity is, for deciding what it can touch. An entity's collider lists its
+    // own layer and a mask of the layers it collides with; a pair is tested when either
+    // side's mask names the other's layer.
+    const CollisionLayers = {
+        player: 1,
+        playerProjectile: 2,
+        enemy: 4,
+        enemyProjectile: 8,
+        astronaut: 16,
+        terrain: 32,
+        pickup: 64
+    };
+
+    // Collider shapes. A capsule is swept from entity.previousPosition to entity.position,
+    // so fast movers can't skip past anything between ticks.
+    const Collider = {
+        sphere(radius, layer, mask) {
+            return { shape: 'sphere', radius, layer, mask };
+        },
+
+        capsule(radius, layer, mask) {
+            return { shape: 'capsule', radius, layer, mask };
+        }
+    };
+
+    // Finds every touching pair among a set of entities. A uniform grid over the
+    // planet (wrapping round with it) narrows the candidates, then each candidate pair
+    // is tested exactly. Hits come back sorted by entity id so the same world always
+    // produces the same hits in the same order.
+    class CollisionSystem {
+        constructor(planet, options = {}) {
+            this.planet = planet;
+            this.cellSize = options.cellSize || 16;
+            this.rows = Math.round(planet.circumference / this.cellSize);
+            // Terrain height lookup for colliders that collide with the terrain layer
+            this.getGroundHeight = options.getGroundHeight || null;
+        }
+
+        // entities each have an id, a position and a collider.
+        // Returns [{ a, b, distance }] with a.id < b.id, or b === null for terrain hits.
+        detect(entities) {
+            const bodies = entities.filter(entity => entity.collider);
+            const grid = new Map();
+
+            for (const body of bodies) {
+                for (const key of this.getCells(body)) {
+                    let cell = grid.get(key);
+                    if (!cell) {
+                        cell = [];
+                        grid.set(key, cell);
+                    }
+                    cell.push(body);
+                }
+            }
+
+            const hits = [];
+            const tested = new Set();
+            for (const cell of grid.values()) {
+                for (let i = 0; i < cell.length; i++) {
+                    for (let j = i + 1; j < cell.length; j++) {
+                        const [a, b] = cell[i].id < cell[j].id ? [cell[i], cell[j]] : [cell[j], cell[i]];
+                        if (!this.canCollide(a.collider, b.collider)) continue;
+
+                        // Big or long bodies share more than one cell with each other
+                        const pair = `${a.id}:${b.id}`;
+                        if (tested.has(pair)) continue;
+                        tested.add(pair);
+
+                        const distance = this.separation(a, b);
+                        if (distance <= a.collider.radius + b.collider.radius) {
+                            hits.push({ a, b, distance });
+                        }
+                    }
+                }
+            }
+
+            if (this.getGroundHeight) {
+                for (const body of bodies) {
+                    if (body.collider.mask & CollisionLayers.terrain && this.touchesGround(body)) {
+                        hits.push({ a: body, b: null, distance: 0 });
+                    }
+                }
+            }
+
+            return hits.sort((h1, h2) =>
+                h1.a.id - h2.a.id || (h1.b ? h1.b.id : -1) - (h2.b ? h2.b.id : -1)
+            );
+        }
+
+        canCollide(a, b) {
+            return (a.mask & b.layer) !== 0 || (b.mask & a.layer) !== 0;
+        }
+
+        // Keys of the grid cells a body's bounds overlap
+        getCells(body) {
+            const { radius } = body.collider;
+            const start = body.collider.shape === 'capsule' ? body.previousPosition : body.position;
+            const offset = this.planet.offset(start, body.position);
+
+            const minX = Math.min(0, offset.x) + start.x - radius;
+            const maxX = Math.max(0, offset.x) + start.x + radius;
+            const minZ = Math.min(0, offset.z) + start.z - radius;
+            const maxZ = Math.max(0, offset.z) + start.z + radius;
+
+            const keys = [];
+            for (let cx = Math.floor(minX / this.cellSize); cx <= Math.floor(maxX / this.cellSize); cx++) {
+                for (let cz = Math.floor(minZ / this.cellSize); cz <= Math.floor(maxZ / this.cellSize); cz++) {
+                    const row = ((cz % this.rows) + this.rows) % this.rows;
+                    keys.push(`${cx},${row}`);
+                }
+            }
+            return keys;
+        }
+
+        // Closest distance between the two shapes' cores (centre points or swept segments)
+        separation(a, b) {
+            if (a.collider.shape === 'capsule' && b.collider.shape === 'capsule') {
+                // Sample one sweep against the other; projectiles are short
+                let closest = Infinity;
+                for (let t = 0; t <= 1; t += 0.25) {
+                    closest = Math.min(closest, this.pointToSweep(this.pointOnSweep(a, t), b));
+                }
+                return closest;
+            }
+            if (a.collider.shape === 'capsule') return this.pointToSweep(b.position, a);
+            if (b.collider.shape === 'capsule') return this.pointToSweep(a.position, b);
+            return this.planet.distance(a.position, b.position);
+        }
+
+        pointOnSweep(body, t) {
+            const path = this.planet.offset(body.previousPosition, body.position);
+            return body.previousPosition.add(path.scale(t));
+        }
+
+        // Distance from a point to the segment a capsule body swept this tick
+        pointToSweep(point, body) {
+            const path = this.planet.offset(body.previousPosition, body.position);
+            const toPoint = this.planet.offset(body.previousPosition, point);
+            const lengthSquared = path.dot(path);
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, toPoint.dot(path) / lengthSquared)) : 0;
+            return toPoint.subtract(path.scale(t)).length();
+        }
+
+        touchesGround(body) {
+            const points = body.collider.shape === 'capsule'
+                ? [this.pointOnSweep(body, 0.5), body.position]
+                : [body.position];
+            return points.some(point => point.y - body.collider.radius <= this.getGroundHeight(point.x, point.z));
+        }
+    }
+
+    return { CollisionLayers, Collider, CollisionSystem };
+}));
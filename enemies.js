@@ -0,0 +1,650 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./vector'), require('./collision')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ Vec3, CollisionLayers, Collider }) {
+    // Enemies only hold simulation state; Game builds a mesh for each one from its type.
+    // The world passed in is the owning GameSimulation.
+    class Enemy {
+        constructor(position, world, options = {}) {
+            this.type = options.type || 'enemy';
+            this.position = position;
+            this.world = world;
+
+            // Combat properties
+            this.radius = options.radius || 1;
+            this.collider = Collider.sphere(this.radius, CollisionLayers.enemy,
+                CollisionLayers.player | CollisionLayers.playerProjectile);
+            this.maxHitPoints = options.hitPoints || 1;
+            this.hitPoints = this.maxHitPoints;
+            this.scoreValue = options.scoreValue || 50;
+            this.contactDamage = options.contactDamage || 20;
+            this.speed = options.speed || 0.3;
+            // Armored enemies survive ramming (ships bounce off) and smart bombs only
+            // damage them (see GameSimulation.smartBombDamage)
+            this.armored = !!options.armored;
+
+            // Aimed fire, or null for enemies that never shoot. interval is in ticks and
+            // spread in radians, both before difficulty scaling (see GameSimulation.fireEnemyShot());
+            // the rest is handed to EnemyShot.
+            this.shot = options.shot || null;
+            this.ticksUntilShot = this.shot ? Math.ceil(this.shot.interval * (0.5 + this.random() * 0.5)) : 0;
+
+            // Set when the enemy should be removed without being destroyed
+            this.expired = false;
+        }
+
+        // Spawn rules for GameSimulation.updateSpawning(); null means the type never spawns on its own
+        static get spawnRules() {
+            return null;
+        }
+
+        update() {
+            this.move();
+            this.updateFiring();
+        }
+
+        move() {}
+
+        updateFiring() {
+            if (!this.shot || !this.isArmed()) return;
+
+            this.ticksUntilShot--;
+            if (this.ticksUntilShot > 0) return;
+
+            this.ticksUntilShot = this.world.getEnemyFireInterval(this.shot.interval);
+            this.fire();
+        }
+
+        // Whether the enemy is shooting right now
+        isArmed() {
+            return true;
+        }
+
+        fire() {
+            this.world.fireEnemyShot(this, this.shot);
+        }
+
+        random() {
+            return this.world.random();
+        }
+
+        nearestPlayerPosition() {
+            const player = this.world.findNearestPlayer(this.position);
+            return player ? player.position : null;
+        }
+
+        moveToward(targetPosition, speed) {
+            const direction = this.world.planet.offset(this.position, targetPosition);
+            if (direction.length() < speed) return;
+
+            direction.normalize();
+            this.position.addInPlace(direction.scale(speed));
+        }
+
+        // Height above the terrain directly below
+        getAltitude() {
+            return this.position.y - this.world.getGroundHeight(this.position.x, this.position.z);
+        }
+
+        // Climb or sink towards an altitude above the terrain
+        approachAltitude(altitude, rate) {
+            const dy = altitude - this.getAltitude();
+            this.position.y += Math.max(-rate, Math.min(rate, dy));
+        }
+
+        // Returns true when the hit destroys the enemy
+        takeHit(damage) {
+            this.hitPoints -= damage;
+            return this.hitPoints <= 0;
+        }
+
+        // Called after the world holds the enemy back at the edge of the planet's band
+        onPlanetEdge() {}
+
+        // Enemies to spawn in place of this one when it is destroyed, as [EnemyType, position] pairs
+        spawnOnDestroy() {
+            return [];
+        }
+
+        // Called when the enemy leaves the world for any reason; destroyedBy is the pilot
+        // who shot it down, if anyone
+        dispose(destroyedBy = null) {}
+    }
+
+    class Lander extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'lander',
+                hitPoints: 1,
+                scoreValue: 150,
+                contactDamage: 20,
+                speed: 0.3,
+                shot: { kind: 'bolt', speed: 1.2, damage: 8, interval: 150, range: 180, spread: 0.04 }
+            });
+
+            // Abduction properties
+            this.state = 'seeking';
+            this.target = null;
+            this.cruiseAltitude = 15;
+            this.escapeAltitude = 60;
+            this.descentSpeed = 0.15;
+            this.ascentSpeed = 0.08;
+        }
+
+        // Interval and cap scale with difficulty through GameSimulation.landerSpawnInterval and maxEnemies
+        static get spawnRules() {
+            return { interval: 3000, minDifficulty: 1, maxAlive: 5 };
+        }
+
+        move() {
+            switch (this.state) {
+                case 'seeking':
+                    this.seek();
+                    break;
+                case 'descending':
+                    this.descend();
+                    break;
+                case 'ascending':
+                    this.ascend();
+                    break;
+            }
+        }
+
+        seek() {
+            // Find nearest astronaut that is still on the ground and not already claimed
+            let nearestAstronaut = null;
+            let minDistance = Infinity;
+
+            for (const astronaut of this.world.astronauts) {
+                if (!astronaut.isAvailable()) continue;
+
+                const offset = this.world.planet.offset(this.position, astronaut.position);
+                const distance = Math.sqrt(offset.x * offset.x + offset.z * offset.z);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearestAstronaut = astronaut;
+                }
+            }
+
+            // Hold cruise altitude while hunting
+            this.approachAltitude(this.cruiseAltitude, this.descentSpeed);
+
+            if (!nearestAstronaut) return;
+
+            // Move towards nearest astronaut, then start the descent once above it
+            if (minDistance <= this.speed) {
+                this.position.x = nearestAstronaut.position.x;
+                this.position.z = nearestAstronaut.position.z;
+                this.target = nearestAstronaut;
+                nearestAstronaut.targetedBy = this;
+                this.state = 'descending';
+                return;
+            }
+
+            const offset = this.world.planet.offset(this.position, nearestAstronaut.position);
+            this.position.x += (offset.x / minDistance) * this.speed;
+            this.position.z += (offset.z / minDistance) * this.speed;
+        }
+
+        descend() {
+            // Another lander or the player got there first
+            if (!this.target || this.target.targetedBy !== this || this.target.state !== 'grounded') {
+                this.clearTarget();
+                this.state = 'seeking';
+                return;
+            }
+
+            this.position.y -= this.descentSpeed;
+
+            // Grab the astronaut once we're touching it
+            if (this.position.y <= this.target.position.y + this.target.carryOffset) {
+                this.target.capture(this);
+                this.state = 'ascending';
+                this.world.emit('astronautCaptured', {
+                    astronaut: this.target,
+                    lander: this,
+                    position: this.target.position.clone()
+                });
+            }
+        }
+
+        ascend() {
+            this.position.y += this.ascentSpeed;
+        }
+
+        isCarrying() {
+            return this.state === 'ascending' && !!this.target;
+        }
+
+        hasEscaped() {
+            return this.isCarrying() && this.getAltitude() >= this.escapeAltitude;
+        }
+
+        // Let go of whatever astronaut we were chasing or carrying
+        releaseAstronaut(destroyedBy = null) {
+            if (this.isCarrying()) {
+                this.target.release(destroyedBy);
+            }
+            this.clearTarget();
+        }
+
+        clearTarget() {
+            if (this.target && this.target.targetedBy === this) {
+                this.target.targetedBy = null;
+            }
+            this.target = null;
+        }
+
+        dispose(destroyedBy = null) {
+            this.releaseAstronaut(destroyedBy);
+        }
+    }
+
+    // A lander that escaped with an astronaut. Homes in on the player with a twitchy approach.
+    class Mutant extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'mutant',
+                hitPoints: 1,
+                scoreValue: 150,
+                contactDamage: 25,
+                speed: 0.4,
+                shot: { kind: 'bolt', speed: 1.5, damage: 6, interval: 120, range: 150, spread: 0.035 }
+            });
+            this.jitter = 0.3;
+        }
+
+        move() {
+            const playerPosition = this.nearestPlayerPosition();
+            if (!playerPosition) return;
+
+            this.moveToward(playerPosition, this.speed);
+            this.position.x += (this.random() - 0.5) * this.jitter;
+            this.position.y += (this.random() - 0.5) * this.jitter;
+        }
+    }
+
+    // Fast hunter that appears when the player stops scoring kills
+    class Baiter extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'baiter',
+                radius: 1.25,
+                hitPoints: 2,
+                scoreValue: 200,
+                contactDamage: 30,
+                speed: 0.7,
+                shot: { kind: 'bolt', speed: 1.8, damage: 10, interval: 90, range: 200, spread: 0.03 }
+            });
+            this.orbitAngle = 0;
+            this.orbitRadius = 6;
+        }
+
+        // Baiters only appear once no enemy has been destroyed for idleTime ms
+        static get spawnRules() {
+            return { interval: 8000, minDifficulty: 1, maxAlive: 3, idleTime: 45000 };
+        }
+
+        move() {
+            const playerPosition = this.nearestPlayerPosition();
+            if (!playerPosition) return;
+
+            // Circle just off the player's position so it's hard to line up a shot
+            this.orbitAngle += 0.05;
+            const target = playerPosition.add(new Vec3(
+                Math.cos(this.orbitAngle) * this.orbitRadius,
+                Math.sin(this.orbitAngle * 0.5) * 2,
+                Math.sin(this.orbitAngle) * this.orbitRadius
+            ));
+            this.moveToward(target, this.speed);
+        }
+    }
+
+    // Drifts across the sky laying mines behind it
+    class Bomber extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'bomber',
+                radius: 1.5,
+                hitPoints: 2,
+                scoreValue: 250,
+                contactDamage: 20,
+                speed: 0.15,
+                // Slow, heavy bombs that can be shot down on their way in
+                shot: { kind: 'bomb', speed: 0.4, damage: 15, interval: 200, range: 250, spread: 0.02, radius: 1, shootable: true }
+            });
+            this.altitude = 10 + this.random() * 20;
+            this.heading = new Vec3(-1, 0, this.random() - 0.5).normalize();
+            this.mineInterval = 120;
+            this.ticksUntilMine = this.mineInterval;
+        }
+
+        static get spawnRules() {
+            return { interval: 15000, minDifficulty: 2, maxAlive: 2 };
+        }
+
+        move() {
+            this.approachAltitude(this.altitude, 0.05);
+            this.position.x += this.heading.x * this.speed;
+            this.position.z += this.heading.z * this.speed;
+
+            this.ticksUntilMine--;
+            if (this.ticksUntilMine <= 0) {
+                this.ticksUntilMine = this.mineInterval;
+                this.world.spawnEnemy(Mine, this.position.clone());
+            }
+        }
+
+        // Turn back across the band
+        onPlanetEdge() {
+            this.heading.x = -this.heading.x;
+        }
+    }
+
+    // Stationary hazard left behind by bombers; fades out after a while
+    class Mine extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'mine',
+                radius: 0.5,
+                hitPoints: 1,
+                scoreValue: 25,
+                contactDamage: 15,
+                speed: 0
+            });
+            this.lifetime = 900;
+        }
+
+        move() {
+            this.lifetime--;
+            if (this.lifetime <= 0) {
+                this.expired = true;
+            }
+        }
+    }
+
+    // Slow drifting pod that bursts into a swarm when shot
+    class Pod extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'pod',
+                radius: 1.2,
+                hitPoints: 1,
+                scoreValue: 1000,
+                contactDamage: 20,
+                speed: 0.1
+            });
+            this.altitude = 20 + this.random() * 20;
+            this.heading = new Vec3(this.random() - 0.5, 0, this.random() - 0.5).normalize();
+            this.swarmSize = 4;
+        }
+
+        static get spawnRules() {
+            return { interval: 20000, minDifficulty: 3, maxAlive: 2 };
+        }
+
+        move() {
+            this.approachAltitude(this.altitude, 0.05);
+            this.position.x += this.heading.x * this.speed;
+            this.position.z += this.heading.z * this.speed;
+        }
+
+        onPlanetEdge() {
+            this.heading.x = -this.heading.x;
+        }
+
+        spawnOnDestroy() {
+            const spawns = [];
+            for (let i = 0; i < this.swarmSize; i++) {
+                const angle = (i / this.swarmSize) * Math.PI * 2;
+                const offset = new Vec3(Math.cos(angle) * 2, 0, Math.sin(angle) * 2);
+                spawns.push([Swarmer, this.position.add(offset)]);
+            }
+            return spawns;
+        }
+    }
+
+    // Small, fast and erratic; released when a pod is destroyed
+    class Swarmer extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'swarmer',
+                radius: 0.4,
+                hitPoints: 1,
+                scoreValue: 150,
+                contactDamage: 10,
+                speed: 0.5
+            });
+            this.wobblePhase = this.random() * Math.PI * 2;
+        }
+
+        move() {
+            const playerPosition = this.nearestPlayerPosition();
+            if (!playerPosition) return;
+
+            this.moveToward(playerPosition, this.speed);
+            this.wobblePhase += 0.2;
+            this.position.y += Math.sin(this.wobblePhase) * 0.3;
+        }
+    }
+
+    // Boss that descends every few waves (see GameSimulation.spawnBoss()). The hull can't
+    // be hit; it carries turrets, lander bays and a core, each an armored enemy of its own,
+    // and the core is shielded until every turret and bay is gone. Its phase follows what
+    // is left: 1 while turrets fire, 2 once only the bays launching landers remain, 3 when
+    // the core is exposed and fights back. Phase 0 is the descent.
+    class Mothership extends Enemy {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'mothership',
+                radius: 8,
+                scoreValue: 0,
+                contactDamage: 0,
+                armored: true
+            });
+            // Lasers pass through the hull to the parts it carries
+            this.collider = null;
+
+            this.hoverAltitude = 45;
+            this.descentSpeed = 0.25;
+            this.hasArrived = false;
+            this.phase = 0;
+            // Closes in on the nearest ship faster as it loses parts, down to standOff away
+            this.phaseSpeeds = [0, 0.08, 0.15, 0.25];
+            this.standOff = 40;
+
+            this.parts = [];
+            this.totalHitPoints = 0;
+            // Share of the parts' hit points left, for the boss health bar
+            this.health = 1;
+        }
+
+        // Part types and where they sit relative to the hull's centre
+        static get layout() {
+            return [
+                [MothershipTurret, new Vec3(9, 0, 0)],
+                [MothershipTurret, new Vec3(-9, 0, 0)],
+                [MothershipTurret, new Vec3(0, 0, 9)],
+                [MothershipTurret, new Vec3(0, 0, -9)],
+                [MothershipBay, new Vec3(5, -3, 0)],
+                [MothershipBay, new Vec3(-5, -3, 0)],
+                [MothershipCore, new Vec3(0, -5, 0)]
+            ];
+        }
+
+        // Called by the world once the hull is in place
+        createParts() {
+            for (const [PartType, offset] of Mothership.layout) {
+                const part = this.world.spawnEnemy(PartType, this.position.add(offset));
+                part.mothership = this;
+                part.offset = offset;
+                this.parts.push(part);
+                this.totalHitPoints += part.maxHitPoints;
+            }
+        }
+
+        takeHit() {
+            return false;
+        }
+
+        move() {
+            if (!this.hasArrived) {
+                this.approachAltitude(this.hoverAltitude, this.descentSpeed);
+                this.hasArrived = this.getAltitude() <= this.hoverAltitude + this.descentSpeed;
+            } else {
+                this.approachAltitude(this.hoverAltitude, 0.1);
+                this.closeIn();
+            }
+
+            this.carryParts();
+            this.updatePhase();
+            const hitPoints = this.parts.reduce((total, part) => total + Math.max(0, part.hitPoints), 0);
+            this.health = this.totalHitPoints > 0 ? hitPoints / this.totalHitPoints : 0;
+        }
+
+        closeIn() {
+            const target = this.nearestPlayerPosition();
+            if (!target) return;
+
+            const offset = this.world.planet.offset(this.position, target);
+            offset.y = 0;
+            const distance = offset.length();
+            if (distance <= this.standOff) return;
+
+            this.position.addInPlace(offset.scale(Math.min(this.phaseSpeeds[this.phase], distance - this.standOff) / distance));
+        }
+
+        carryParts() {
+            for (const part of this.parts) {
+                part.position.copyFrom(this.position).addInPlace(part.offset);
+                this.world.planet.keepOnPlanet(part.position);
+            }
+        }
+
+        updatePhase() {
+            let phase = 0;
+            if (this.hasArrived) {
+                if (this.parts.some(part => part instanceof MothershipTurret)) {
+                    phase = 1;
+                } else if (this.parts.some(part => part instanceof MothershipBay)) {
+                    phase = 2;
+                } else {
+                    phase = 3;
+                }
+            }
+
+            if (phase !== this.phase) {
+                this.phase = phase;
+                this.world.emit('bossPhaseChanged', { boss: this, phase });
+            }
+        }
+
+        onPartLost(part) {
+            const index = this.parts.indexOf(part);
+            if (index !== -1) {
+                this.parts.splice(index, 1);
+            }
+        }
+
+        // Stays at the edge of the band rather than sliding along it
+        onPlanetEdge() {}
+    }
+
+    // Anything the mothership carries. Parts hold still relative to the hull, which
+    // moves them, and hold fire until it has finished descending.
+    class MothershipPart extends Enemy {
+        constructor(position, world, options) {
+            super(position, world, Object.assign({ armored: true }, options));
+            // Set by Mothership.createParts()
+            this.mothership = null;
+            this.offset = new Vec3();
+        }
+
+        isArmed() {
+            return !!this.mothership && this.mothership.phase > 0;
+        }
+
+        dispose() {
+            if (this.mothership) {
+                this.mothership.onPartLost(this);
+            }
+        }
+    }
+
+    class MothershipTurret extends MothershipPart {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'turret',
+                radius: 1.5,
+                hitPoints: 6,
+                scoreValue: 300,
+                contactDamage: 25,
+                shot: { kind: 'bolt', speed: 1.6, damage: 8, interval: 80, range: 220, spread: 0.04 }
+            });
+        }
+    }
+
+    // Launches landers, twice as often once the turrets are gone
+    class MothershipBay extends MothershipPart {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'bay',
+                radius: 2,
+                hitPoints: 10,
+                scoreValue: 500,
+                contactDamage: 25
+            });
+            this.launchInterval = 360;
+            this.ticksUntilLaunch = this.launchInterval / 2;
+        }
+
+        update() {
+            super.update();
+            if (!this.isArmed()) return;
+
+            this.ticksUntilLaunch--;
+            if (this.ticksUntilLaunch > 0) return;
+
+            this.ticksUntilLaunch = this.mothership.phase >= 2 ? this.launchInterval / 2 : this.launchInterval;
+            this.world.launchLander(this.position.add(new Vec3(0, -3, 0)));
+        }
+    }
+
+    // Shielded while any turret or bay is left; once exposed it sprays bombs
+    class MothershipCore extends MothershipPart {
+        constructor(position, world) {
+            super(position, world, {
+                type: 'core',
+                radius: 2.5,
+                hitPoints: 40,
+                scoreValue: 1000,
+                contactDamage: 30,
+                shot: { kind: 'bomb', speed: 0.5, damage: 12, interval: 100, range: 300, spread: 0.25, radius: 1, shootable: true }
+            });
+            this.barrageSize = 5;
+        }
+
+        get shielded() {
+            return !this.mothership || this.mothership.phase < 3;
+        }
+
+        takeHit(damage) {
+            return this.shielded ? false : super.takeHit(damage);
+        }
+
+        isArmed() {
+            return !this.shielded;
+        }
+
+        fire() {
+            for (let i = 0; i < this.barrageSize; i++) {
+                this.world.fireEnemyShot(this, this.shot);
+            }
+        }
+    }
+
+    return { Enemy, Lander, Mutant, Baiter, Bomber, Mine, Pod, Swarmer, Mothership, MothershipTurret, MothershipBay, MothershipCore };
+}));
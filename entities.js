@@ -0,0 +1,258 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./vector'), require('./collision')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ Vec3, CollisionLayers, Collider }) {
+    class Player {
+        constructor(position) {
+            // Assigned by GameSimulation.addPlayer()
+            this.id = 0;
+            this.slot = 0;
+            this.name = '';
+
+            this.position = position;
+            // Pitch, yaw and roll in radians, matching Babylon's camera.rotation
+            this.rotation = new Vec3(0.2, 0, 0);
+            this.verticalVelocity = 0;
+            this.isGrounded = false;
+            // How far the ship moved last tick, for enemies leading their shots
+            this.velocity = new Vec3();
+            // Hull size for contact with enemies and catching astronauts
+            this.radius = 2;
+            this.collider = Collider.sphere(this.radius, CollisionLayers.player,
+                CollisionLayers.enemy | CollisionLayers.enemyProjectile | CollisionLayers.astronaut | CollisionLayers.pickup);
+
+            // Ship systems
+            this.maxHealth = 100;
+            this.health = this.maxHealth;
+            this.maxEnergy = 100;
+            this.energy = this.maxEnergy;
+            // Shield layer over the hull; recharges once the ship stops taking hits
+            this.maxShield = 50;
+            this.shield = this.maxShield;
+            this.lastHitTime = -Infinity;
+            // Reactor output in pips per system (see GameSimulation.shiftPower())
+            this.power = { engines: 2, weapons: 2, shields: 2 };
+            // Autopilot holding altitude and a level nose (see GameSimulation.updateMovement())
+            this.levelHold = false;
+            this.lives = 3;
+            this.smartBombs = 3;
+
+            // Weapons owned, by name, with their upgrade level (see weapons.js)
+            this.weapons = { laser: 1 };
+            this.weapon = 'laser';
+            // How far the charged beam has built up, from 0 to 1
+            this.charge = 0;
+
+            // Timers in simulation milliseconds
+            this.lastShotTime = -Infinity;
+            this.lastHyperspace = -Infinity;
+            this.invulnerableUntil = 0;
+            this.isDying = false;
+            this.respawnAt = 0;
+
+            // Out of ships for good; the pilot watches until the game ends
+            this.isOut = false;
+            // False while an online pilot is away; the ship sits out until they return
+            this.connected = true;
+        }
+
+        // yawOffset turns the direction to the side, for shots fanned out from the nose
+        getForward(yawOffset = 0) {
+            const pitch = this.rotation.x;
+            const yaw = this.rotation.y + yawOffset;
+            return new Vec3(
+                Math.sin(yaw) * Math.cos(pitch),
+                -Math.sin(pitch),
+                Math.cos(yaw) * Math.cos(pitch)
+            );
+        }
+
+        getRight() {
+            const yaw = this.rotation.y;
+            return new Vec3(Math.cos(yaw), 0, -Math.sin(yaw));
+        }
+    }
+
+    // Any player shot. options: weapon (its name in weapons.js), damage, radius, and
+    // pierce for shots that carry on through what they hit.
+    class Laser {
+        constructor(position, direction, speed, options = {}) {
+            this.position = position;
+            this.previousPosition = position.clone();
+            this.direction = direction;
+            this.speed = speed;
+            this.weapon = options.weapon || 'laser';
+            this.radius = options.radius || 1;
+            this.damage = options.damage || 1;
+            this.pierce = !!options.pierce;
+            // Distance the shot flies before fading out
+            this.range = options.range || 500;
+            // Enemies a piercing shot has already hit, so it hits each only once
+            this.hitIds = new Set();
+            // Whether the shot has hit anything yet, for the pilot's accuracy
+            this.hasHit = false;
+            this.distanceTravelled = 0;
+            this.collider = Collider.capsule(this.radius, CollisionLayers.playerProjectile,
+                CollisionLayers.enemy | CollisionLayers.terrain);
+        }
+
+        update() {
+            this.previousPosition.copyFrom(this.position);
+            this.position.addInPlace(this.direction.scale(this.speed));
+            this.distanceTravelled += this.speed;
+        }
+    }
+
+    // A shot that turns toward its target a little each tick
+    class Missile extends Laser {
+        constructor(position, direction, speed, options = {}) {
+            super(position, direction, speed, Object.assign({ weapon: 'missile' }, options));
+            this.target = options.target || null;
+            this.turnRate = options.turnRate || 0.05;
+        }
+
+        // toTarget is the offset from the missile to its target
+        steer(toTarget) {
+            const length = toTarget.length();
+            if (length === 0) return;
+
+            this.direction = this.direction.add(toTarget.scale(this.turnRate / length)).normalize();
+        }
+    }
+
+    // Shot fired by an enemy (see Enemy.shot). options: kind (how Game draws it), damage,
+    // radius, range, and shootable for slow shots a player's laser can knock down.
+    class EnemyShot {
+        constructor(position, direction, speed, options = {}) {
+            this.position = position;
+            this.previousPosition = position.clone();
+            this.direction = direction;
+            this.speed = speed;
+            this.kind = options.kind || 'bolt';
+            this.radius = options.radius || 0.5;
+            this.damage = options.damage || 10;
+            this.range = options.range || 300;
+            this.shootable = !!options.shootable;
+            this.distanceTravelled = 0;
+
+            let mask = CollisionLayers.player | CollisionLayers.terrain;
+            if (this.shootable) {
+                mask |= CollisionLayers.playerProjectile;
+            }
+            this.collider = Collider.capsule(this.radius, CollisionLayers.enemyProjectile, mask);
+        }
+
+        update() {
+            this.previousPosition.copyFrom(this.position);
+            this.position.addInPlace(this.direction.scale(this.speed));
+            this.distanceTravelled += this.speed;
+        }
+    }
+
+    // Weapon upgrade dropped by a destroyed enemy. It sinks to hover above the ground
+    // and waits there for a ship to fly through it.
+    class Pickup {
+        constructor(position, weapon) {
+            this.position = position;
+            this.weapon = weapon;
+            this.radius = 1.5;
+            this.hoverHeight = 3;
+            this.sinkSpeed = 0.1;
+            // Set by the world when the pickup is dropped
+            this.expiresAt = Infinity;
+            this.collider = Collider.sphere(this.radius, CollisionLayers.pickup, CollisionLayers.player);
+        }
+
+        update(groundHeight) {
+            const hover = groundHeight + this.hoverHeight;
+            this.position.y = Math.max(hover, this.position.y - this.sinkSpeed);
+        }
+    }
+
+    class Astronaut {
+        constructor(position) {
+            this.position = position;
+            // Standing height at the current spot; the world updates it as the terrain changes
+            this.groundY = position.y;
+            this.radius = 1;
+            this.collider = Collider.sphere(this.radius, CollisionLayers.astronaut, CollisionLayers.player);
+
+            // Abduction state: grounded, captured, falling or carried
+            this.state = 'grounded';
+            this.targetedBy = null;
+            this.carrier = null;
+            this.carryOffset = 1.5;
+            // Pilot who shot down the lander carrying it, credited if it lands safely
+            this.rescuer = null;
+
+            // Falling properties
+            this.fallSpeed = 0;
+            this.fallGravity = 0.01;
+            this.maxFallSpeed = 0.6;
+            this.fallStartY = 0;
+            this.safeFallHeight = 20;
+        }
+
+        // From the ground to the astronaut's centre
+        static get standHeight() {
+            return 2;
+        }
+
+        isAvailable() {
+            return this.state === 'grounded' && !this.targetedBy;
+        }
+
+        capture(lander) {
+            this.state = 'captured';
+            this.carrier = lander;
+        }
+
+        release(rescuer = null) {
+            this.state = 'falling';
+            this.rescuer = rescuer;
+            this.carrier = null;
+            this.targetedBy = null;
+            this.fallSpeed = 0;
+            this.fallStartY = this.position.y;
+        }
+
+        catchBy(player) {
+            this.state = 'carried';
+            this.carrier = player;
+        }
+
+        setDown(x, z) {
+            this.state = 'grounded';
+            this.carrier = null;
+            this.position.set(x, this.groundY, z);
+        }
+
+        // Returns 'safe' or 'fatal' on the tick a falling astronaut touches the ground
+        update() {
+            switch (this.state) {
+                case 'captured':
+                case 'carried':
+                    this.position.copyFrom(this.carrier.position);
+                    this.position.y -= this.carryOffset;
+                    break;
+
+                case 'falling':
+                    this.fallSpeed = Math.min(this.maxFallSpeed, this.fallSpeed + this.fallGravity);
+                    this.position.y -= this.fallSpeed;
+
+                    if (this.position.y <= this.groundY) {
+                        const fallHeight = this.fallStartY - this.groundY;
+                        this.setDown(this.position.x, this.position.z);
+                        return fallHeight <= this.safeFallHeight ? 'safe' : 'fatal';
+                    }
+                    break;
+            }
+            return null;
+        }
+    }
+
+    return { Player, Laser, Missile, EnemyShot, Pickup, Astronaut };
+}));
@@ -0,0 +1,106 @@
+// Every gameplay event Game passes around, with the fields its payload always carries.
+// Most come straight from the simulation (see GameSimulation.emit()); anything that
+// reacts to the game - HUD, sound, stats - subscribes to these rather than being called
+// from gameplay code.
+const GameEvents = {
+    scoreChanged: ['score', 'points'],
+    laserFired: ['laser', 'player', 'weapon', 'shots', 'position'],
+    laserHit: ['laser', 'player', 'target'],
+    enemyFired: ['enemy', 'shot', 'kind', 'position'],
+    shotDestroyed: ['shot', 'player', 'points'],
+    explosion: ['position'],
+    enemyDestroyed: ['enemy', 'player', 'points'],
+    astronautCaptured: ['astronaut', 'lander', 'position'],
+    astronautCaught: ['astronaut', 'player', 'points'],
+    astronautRescued: ['astronaut', 'player', 'points'],
+    astronautLost: ['astronaut'],
+    playerDamaged: ['player', 'amount', 'shieldDamage', 'hullDamage'],
+    shieldsDown: ['player'],
+    powerChanged: ['player', 'power'],
+    autopilotChanged: ['player', 'engaged'],
+    lifeLost: ['player', 'lives'],
+    playerRespawned: ['player', 'invulnerabilityDuration'],
+    playerOut: ['player'],
+    playerDisconnected: ['player'],
+    playerReconnected: ['player'],
+    weaponChanged: ['player', 'weapon', 'level'],
+    weaponUpgraded: ['player', 'pickup', 'weapon', 'level', 'unlocked', 'points'],
+    pickupDropped: ['pickup', 'position'],
+    smartBomb: ['player', 'remaining'],
+    hyperspace: ['player', 'failed'],
+    planetDestroyed: [],
+    planetRestored: [],
+    bossSpawned: ['boss', 'position'],
+    bossPhaseChanged: ['boss', 'phase'],
+    bossDefeated: ['boss', 'player', 'points'],
+    waveStarted: ['wave', 'planetDestroyed'],
+    waveCompleted: ['wave', 'survivors', 'bonusPerAstronaut', 'bonus', 'planetDestroyed'],
+    gameOver: ['score', 'time'],
+    // From the pilot profile rather than the simulation (see profile.js)
+    achievementUnlocked: ['id', 'name', 'description']
+};
+
+// Publish/subscribe for a fixed set of event types. Subscribing to or emitting a type
+// that isn't declared, or emitting without the declared fields, throws straight away
+// so a typo can't quietly disconnect a listener.
+class EventBus {
+    constructor(types) {
+        this.types = types;
+        this.handlers = new Map();
+    }
+
+    // Returns a function that removes the handler again
+    on(type, handler) {
+        this.checkType(type);
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    // Listen to every event type; handler gets each event with its type field
+    onAny(handler) {
+        const unsubscribers = Object.keys(this.types).map(type => this.on(type, handler));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    emit(type, payload = {}) {
+        this.checkType(type);
+        const missing = this.types[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+        }
+
+        const event = Object.assign({}, payload, { type });
+        // Copied so a handler can unsubscribe itself mid-dispatch
+        for (const handler of [...(this.handlers.get(type) || [])]) {
+            try {
+                handler(event);
+            } catch (error) {
+                // One broken listener shouldn't stop the others hearing about it
+                console.error(`Error handling ${type} event:`, error);
+            }
+        }
+    }
+
+    checkType(type) {
+        if (!(type in this.types)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+
+    clear() {
+        this.handlers.clear();
+    }
+}
@@ -1,70 +1,13 @@
-class Lander {
-    constructor(scene, position, astronauts) {
-        // Create red material for lander
-        const landerMaterial = new BABYLON.StandardMaterial("landerMaterial", scene);
-        landerMaterial.diffuseColor = new BABYLON.Color3(1, 0, 0);
-        landerMaterial.emissiveColor = new BABYLON.Color3(0.3, 0, 0);
-
-        // Create sphere for lander
-        this.mesh = BABYLON.MeshBuilder.CreateSphere("lander", {
-            diameter: 2,
-            segments: 16
-        }, scene);
-
-        // Set initial position
-        this.mesh.position = position;
-        this.initialZ = position.z;
-
-        // Apply material
-        this.mesh.material = landerMaterial;
-
-        // Movement properties
-        this.speed = 0.3;
-        this.astronauts = astronauts || [];
-    }
-
-    update(gamePlaneZ) {
-        if (!this.mesh) return;
-
-        // Update Z position with game plane
-        this.mesh.position.z = this.initialZ + gamePlaneZ;
-
-        // Find nearest astronaut
-        let nearestAstronaut = null;
-        let minDistance = Infinity;
-
-        if (this.astronauts && this.astronauts.length > 0) {
-            for (const astronaut of this.astronauts) {
-                if (!astronaut || !astronaut.position) continue;
-                
-                const distance = BABYLON.Vector3.Distance(
-                    new BABYLON.Vector3(this.mesh.position.x, 0, this.mesh.position.z),
-                    new BABYLON.Vector3(astronaut.position.x, 0, astronaut.position.z)
-                );
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nearestAstronaut = astronaut;
-                }
-            }
-        }
-
-        // Move towards nearest astronaut
-        if (nearestAstronaut && nearestAstronaut.position) {
-            const direction = nearestAstronaut.position.subtract(this.mesh.position).normalize();
-            this.mesh.position.x += direction.x * this.speed;
-        }
-    }
-
-    dispose() {
-        if (this.mesh) {
-            this.mesh.dispose();
-        }
-    }
-}
-
 class Game {
-    constructor(canvasId) {
+    // options.replay plays back a recorded Replay instead of reading the controls.
+    // options.network and options.online (the server's welcome or started message)
+    // join a co-op game where the room server runs the simulation.
+    // options.assets is the AssetPreloader holding the downloaded textures.
+    constructor(canvasId, options = {}) {
         console.log('Game constructor started');
+        this.replay = options.replay || null;
+        this.network = options.network || null;
+        this.assets = options.assets || null;
         
         // Get the canvas element
         this.canvas = document.getElementById(canvasId);
@@ -84,6 +27,15 @@ class Game {
             console.log('Initializing game properties...');
             this.initializeGameProperties();
 
+            // Create the gameplay simulation the scene renders
+            console.log('Creating simulation...');
+            this.simulation = this.createSimulation(options.seed, options.online);
+            this.localPlayerId = this.network ? options.online.playerId : this.simulation.players[0].id;
+            this.sceneryRandom = createRandom(this.simulation.seed ^ 0x5bd1e995);
+            if (!this.replay && !this.network) {
+                this.recorder = new InputRecorder(this.simulation.seed, this.simulation.tickDuration);
+            }
+
             // Create scene and setup game
             console.log('Creating scene...');
             this.scene = this.createScene();
@@ -97,9 +49,20 @@ class Game {
             this.createGUI();
             console.log('GUI created');
 
+            // Listeners for gameplay events, once there's a HUD to update
+            console.log('Subscribing to game events...');
+            this.subscribeToEvents();
+            console.log('Game events subscribed');
+
             // Set up controls after GUI
             console.log('Setting up controls...');
             this.setupControls();
+            this.setupCockpitSwitches();
+            if (this.network) {
+                this.setupNetwork();
+            }
+            this.sound.attach();
+            this.applySettings();
             console.log('Controls set up');
 
             // Initialize display updates
@@ -123,57 +86,104 @@ class Game {
         console.log('Initializing game arrays and properties...');
         
         // Initialize arrays
-        this.astronauts = [];
-        this.lasers = [];
-        this.landers = [];
         this.displays = [];
         this.displayTextures = [];
         this.buttons = [];
         this.warningLights = [];
 
+        // Cockpit switches (see setupCockpitSwitches())
+        this.cockpitSwitches = null;
+        this.alarmSilenced = false;
+        // Pointer let go so the pilot can click switches, rather than to pause
+        this.isCockpitCursorFree = false;
+
+        // Meshes for simulation entities, keyed by entity
+        this.enemyMeshes = new Map();
+        this.astronautMeshes = new Map();
+        this.laserMeshes = new Map();
+        this.enemyShotMeshes = new Map();
+        this.pickupMeshes = new Map();
+        this.shipMeshes = new Map();
+        // Pooled entity meshes by name, each drawn as instances of one hidden template
+        this.meshPools = new Map();
+        this.explosions = null;
+
+        // Co-op wingman colors, by player slot
+        this.shipColors = ["#00ffff", "#ffff00", "#ff00ff", "#00ff00"];
+
         // Game state
-        this.score = 0;
-        this.level = 1;
-        this.lives = 3;
         this.isRunning = false;
-        this.isGameOver = false;
-        
-        // Game settings
-        this.gameSpeed = 1;
-        this.difficulty = 1;
-        this.maxEnemies = 5;
-        
-        // Movement properties
-        this.moveSpeed = 0.1;
-        this.cameraXBounds = { min: -3, max: 3 };
-        this.cameraYBounds = { min: 1, max: 4 };
-        this.keys = {};
-
-        // Laser properties
-        this.laserSpeed = 2;
-        this.canShoot = true;
-        this.shootCooldown = 250;
-
-        // Lander spawn properties
-        this.landerSpawnInterval = 3000;
-        this.lastLanderSpawn = 0;
-
-        // Health and energy properties
-        this.maxHealth = 100;
-        this.health = this.maxHealth;
-        this.maxEnergy = 100;
-        this.energy = this.maxEnergy;
-        this.energyRechargeRate = 0.2;
-        this.laserEnergyCost = 10;
-
-        // Physics properties
-        this.gravity = -9.81;
-        this.verticalVelocity = 0;
-        this.isGrounded = false;
-        this.jumpForce = 5;
-
-        // Add mission start time
-        this.startTime = Date.now();
+        this.isPaused = false;
+        this.pausedAt = 0;
+
+        // Synthesized sound effects. Recorded samples can stand in for any of them,
+        // by sound name, e.g. { explosion: 'sounds/explosion.ogg' }
+        this.soundSamples = {};
+        this.sound = new SoundSystem({ samples: this.soundSamples });
+        this.soundtrack = new Soundtrack(this.sound);
+        this.alarmBeat = 0;
+
+        // Gameplay events for the HUD, sound and stats to listen to (see events.js)
+        this.events = new EventBus(GameEvents);
+        this.telemetry = null;
+
+        // Lifetime stats and achievements, with unlock toasts stacked in the corner
+        this.profile = new PilotProfile();
+        this.profileTracker = null;
+        this.achievementsMenu = null;
+        this.toasts = [];
+        this.toastDuration = 4000;
+
+        // Pause overlay and settings screen
+        this.settings = new Settings();
+        this.pauseMenu = null;
+        this.settingsMenu = null;
+
+        // Fixed-step simulation clock
+        this.tickAccumulator = 0;
+        this.maxTicksPerFrame = 5;
+
+        // Leaderboard
+        this.playerNameKey = 'defender2084.playerName';
+        this.scoreSubmitted = false;
+
+        // Replay playback
+        this.recorder = null;
+        this.isReplayPaused = false;
+        this.playbackSpeed = 1;
+        this.playbackSpeeds = [0.25, 0.5, 1, 2, 4];
+        this.replaySeekStep = 10000;
+        this.isSeekingReplay = false;
+
+        // Keyboard, mouse, gamepad and touch controls (see input.js)
+        this.input = null;
+        this.replayInput = null;
+        this.controlsText = null;
+        this.controlsMenu = null;
+        this.isControlsMenuOpen = false;
+
+        // Colors for each system's share of reactor power
+        this.powerColors = { engines: "lime", weapons: "orange", shields: "cyan" };
+
+        // Shot and pickup colors per weapon (see weapons.js)
+        this.weaponColors = {
+            laser: new BABYLON.Color3(1, 1, 0),
+            spread: new BABYLON.Color3(1, 0.5, 0),
+            beam: new BABYLON.Color3(0, 1, 1),
+            missile: new BABYLON.Color3(1, 0.2, 0.2)
+        };
+
+        // Radar blip colors per enemy type
+        this.radarColors = {
+            lander: "red",
+            mutant: "magenta",
+            baiter: "lime",
+            bomber: "orange",
+            mine: "yellow",
+            pod: "purple",
+            swarmer: "pink",
+            mothership: "magenta"
+        };
 
         console.log('Game properties initialized');
     }
@@ -199,6 +209,7 @@ class Game {
         // Handle window resize
         window.addEventListener('resize', () => {
             this.engine.resize();
+            this.applyHudScale();
         });
 
         console.log('Render loop setup complete');
@@ -255,6 +266,43 @@ class Game {
             this.energyBar.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
             energyBarContainer.addControl(this.energyBar);
 
+            // Power distribution strip along the bottom of the energy bar
+            this.powerStrip = new BABYLON.GUI.StackPanel("powerStrip");
+            this.powerStrip.isVertical = false;
+            this.powerStrip.height = "4px";
+            this.powerStrip.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+            this.powerStrip.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            energyBarContainer.addControl(this.powerStrip);
+            this.powerSegments = {};
+            for (const system of Object.keys(this.powerColors)) {
+                const segment = new BABYLON.GUI.Rectangle();
+                segment.thickness = 0;
+                segment.background = this.powerColors[system];
+                this.powerStrip.addControl(segment);
+                this.powerSegments[system] = segment;
+            }
+
+            // Create shield bar
+            const shieldBarContainer = new BABYLON.GUI.Rectangle();
+            shieldBarContainer.width = "200px";
+            shieldBarContainer.height = "20px";
+            shieldBarContainer.cornerRadius = 10;
+            shieldBarContainer.color = "white";
+            shieldBarContainer.thickness = 2;
+            shieldBarContainer.background = "black";
+            shieldBarContainer.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            shieldBarContainer.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            shieldBarContainer.left = "20px";
+            shieldBarContainer.top = "90px";
+            this.guiTexture.addControl(shieldBarContainer);
+
+            this.shieldBar = new BABYLON.GUI.Rectangle();
+            this.shieldBar.width = "100%";
+            this.shieldBar.height = "100%";
+            this.shieldBar.background = "cyan";
+            this.shieldBar.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            shieldBarContainer.addControl(this.shieldBar);
+
             // Add labels for bars
             const healthLabel = new BABYLON.GUI.TextBlock();
             healthLabel.text = "HULL";
@@ -265,6 +313,15 @@ class Game {
             healthLabel.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
             this.guiTexture.addControl(healthLabel);
 
+            const shieldLabel = new BABYLON.GUI.TextBlock();
+            shieldLabel.text = "SHIELD";
+            shieldLabel.color = "white";
+            shieldLabel.fontSize = 16;
+            shieldLabel.top = "90px";
+            shieldLabel.left = "230px";
+            shieldLabel.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.guiTexture.addControl(shieldLabel);
+
             const energyLabel = new BABYLON.GUI.TextBlock();
             energyLabel.text = "ENERGY";
             energyLabel.color = "white";
@@ -307,287 +364,780 @@ class Game {
             this.landersDestroyedText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
             this.guiTexture.addControl(this.landersDestroyedText);
 
-            // Create controls help text
-            const controlsText = new BABYLON.GUI.TextBlock();
-            controlsText.text = "Controls:\nArrow Keys: Move\nSpacebar: Shoot";
-            controlsText.color = "white";
-            controlsText.fontSize = 20;
-            controlsText.top = "20px";
-            controlsText.left = "-20px";
-            controlsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
-            this.guiTexture.addControl(controlsText);
+            // Create lives counter
+            this.livesText = new BABYLON.GUI.TextBlock();
+            this.livesText.color = "cyan";
+            this.livesText.fontSize = 20;
+            this.livesText.top = "180px";
+            this.livesText.left = "20px";
+            this.livesText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.guiTexture.addControl(this.livesText);
+            this.updateLivesDisplay();
+
+            // Create smart bomb counter
+            this.smartBombText = new BABYLON.GUI.TextBlock();
+            this.smartBombText.color = "orange";
+            this.smartBombText.fontSize = 20;
+            this.smartBombText.top = "210px";
+            this.smartBombText.left = "20px";
+            this.smartBombText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.guiTexture.addControl(this.smartBombText);
+            this.updateSmartBombDisplay();
+
+            // Create current weapon readout
+            this.weaponText = new BABYLON.GUI.TextBlock();
+            this.weaponText.color = "yellow";
+            this.weaponText.fontSize = 20;
+            this.weaponText.top = "240px";
+            this.weaponText.left = "20px";
+            this.weaponText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.guiTexture.addControl(this.weaponText);
+            this.updateWeaponDisplay();
+
+            // Create power distribution readout
+            this.powerText = new BABYLON.GUI.TextBlock();
+            this.powerText.color = "white";
+            this.powerText.fontSize = 16;
+            this.powerText.top = "270px";
+            this.powerText.left = "20px";
+            this.powerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.guiTexture.addControl(this.powerText);
+            this.updatePowerDisplay();
+
+            // Create status message for respawn and hyperspace
+            this.statusText = new BABYLON.GUI.TextBlock();
+            this.statusText.text = "";
+            this.statusText.color = "cyan";
+            this.statusText.fontSize = 28;
+            this.statusText.top = "-120px";
+            this.guiTexture.addControl(this.statusText);
+
+            // Create co-op wingmen status
+            if (this.network) {
+                this.wingmenText = new BABYLON.GUI.TextBlock();
+                this.wingmenText.color = "white";
+                this.wingmenText.fontSize = 16;
+                this.wingmenText.top = "300px";
+                this.wingmenText.left = "20px";
+                this.wingmenText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+                this.wingmenText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+                this.guiTexture.addControl(this.wingmenText);
+            }
+
+            // Create wave indicator
+            this.waveText = new BABYLON.GUI.TextBlock();
+            this.waveText.text = "Wave 1";
+            this.waveText.color = "white";
+            this.waveText.fontSize = 24;
+            this.waveText.top = "84px";
+            this.waveText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            this.guiTexture.addControl(this.waveText);
+
+            // Create mothership health bar under the wave indicator, shown during boss fights
+            this.bossBarContainer = new BABYLON.GUI.Rectangle("bossBar");
+            this.bossBarContainer.width = "400px";
+            this.bossBarContainer.height = "16px";
+            this.bossBarContainer.color = "magenta";
+            this.bossBarContainer.thickness = 2;
+            this.bossBarContainer.background = "black";
+            this.bossBarContainer.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            this.bossBarContainer.top = "140px";
+            this.bossBarContainer.isVisible = false;
+            this.guiTexture.addControl(this.bossBarContainer);
+
+            this.bossBar = new BABYLON.GUI.Rectangle();
+            this.bossBar.width = "100%";
+            this.bossBar.height = "100%";
+            this.bossBar.thickness = 0;
+            this.bossBar.background = "magenta";
+            this.bossBar.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.bossBarContainer.addControl(this.bossBar);
+
+            this.bossLabel = new BABYLON.GUI.TextBlock();
+            this.bossLabel.color = "magenta";
+            this.bossLabel.fontSize = 14;
+            this.bossLabel.height = "20px";
+            this.bossLabel.top = "118px";
+            this.bossLabel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            this.bossLabel.isVisible = false;
+            this.guiTexture.addControl(this.bossLabel);
+
+            // Create long-range scanner across the top of the screen
+            this.scanner = new Scanner(this.guiTexture, this.radarColors);
+
+            // Create full-screen flash for bombs, jumps and ship loss
+            this.flashOverlay = new BABYLON.GUI.Rectangle();
+            this.flashOverlay.width = "100%";
+            this.flashOverlay.height = "100%";
+            this.flashOverlay.thickness = 0;
+            this.flashOverlay.background = "white";
+            this.flashOverlay.alpha = 0;
+            this.flashOverlay.isHitTestVisible = false;
+            this.guiTexture.addControl(this.flashOverlay);
+
+            // Create controls help text, filled in once the bindings are loaded
+            this.controlsText = new BABYLON.GUI.TextBlock();
+            this.controlsText.text = "";
+            this.controlsText.color = "white";
+            this.controlsText.fontSize = 20;
+            this.controlsText.top = "20px";
+            this.controlsText.left = "-20px";
+            this.controlsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+            this.controlsText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            this.guiTexture.addControl(this.controlsText);
+
+            if (this.replay) {
+                this.createReplayControls();
+            }
         } catch (error) {
             console.error('Error creating GUI:', error);
             throw error;
         }
     }
 
-    updateScore(points) {
-        this.score += points;
-        this.scoreText.text = `Score: ${this.score}`;
-    }
-
-    updateAstronautsSaved() {
-        this.astronautsSaved++;
-        this.astronautsSavedText.text = `Astronauts Saved: ${this.astronautsSaved}`;
-        this.updateScore(100);
-        this.createScoringEffect(100, { x: 0, y: 50 });
-    }
+    createReplayControls() {
+        const panel = new BABYLON.GUI.Rectangle("replayPanel");
+        panel.width = "640px";
+        panel.height = "90px";
+        panel.cornerRadius = 10;
+        panel.color = "white";
+        panel.thickness = 2;
+        panel.background = "rgba(0, 0, 0, 0.7)";
+        panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        panel.top = "-20px";
+        this.guiTexture.addControl(panel);
+
+        // Seek bar; only jump once the handle is released so dragging stays cheap
+        this.replaySlider = new BABYLON.GUI.Slider("replaySlider");
+        this.replaySlider.minimum = 0;
+        this.replaySlider.maximum = this.replay.tickCount;
+        this.replaySlider.value = 0;
+        this.replaySlider.width = "600px";
+        this.replaySlider.height = "20px";
+        this.replaySlider.top = "-20px";
+        this.replaySlider.color = "cyan";
+        this.replaySlider.background = "gray";
+        this.replaySlider.onPointerDownObservable.add(() => {
+            this.isSeekingReplay = true;
+        });
+        this.replaySlider.onPointerUpObservable.add(() => {
+            this.isSeekingReplay = false;
+            this.seekReplay(Math.round(this.replaySlider.value));
+        });
+        panel.addControl(this.replaySlider);
 
-    updateLandersDestroyed() {
-        this.landersDestroyed++;
-        this.landersDestroyedText.text = `Landers Destroyed: ${this.landersDestroyed}`;
-        this.updateScore(50);
-        this.createScoringEffect(50, { x: 0, y: 80 });
-    }
+        const buttonRow = new BABYLON.GUI.StackPanel("replayButtons");
+        buttonRow.isVertical = false;
+        buttonRow.height = "30px";
+        buttonRow.top = "20px";
+        panel.addControl(buttonRow);
 
-    setupControls() {
-        // Track key states
-        this.moveDirection = new BABYLON.Vector3.Zero();
-        this.rotationDirection = new BABYLON.Vector2.Zero();
-        
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-            
-            // Handle shooting
-            if (e.code === 'Space' && this.canShoot) {
-                this.shootLaser();
-                this.canShoot = false;
-                setTimeout(() => {
-                    this.canShoot = true;
-                }, this.shootCooldown);
-            }
-        });
+        this.replayPauseButton = this.createReplayButton("Pause", () => this.toggleReplayPause());
+        buttonRow.addControl(this.replayPauseButton);
 
-        window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+        this.playbackSpeeds.forEach(speed => {
+            buttonRow.addControl(this.createReplayButton(`${speed}x`, () => this.setPlaybackSpeed(speed)));
         });
 
-        // Mouse movement for looking around
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (document.pointerLockElement === this.canvas) {
-                this.camera.rotation.y += e.movementX * 0.002;
-                this.camera.rotation.x = Math.max(
-                    -Math.PI / 2,
-                    Math.min(Math.PI / 2, this.camera.rotation.x + e.movementY * 0.002)
-                );
-            }
-        });
+        this.replayTimeText = new BABYLON.GUI.TextBlock("replayTime");
+        this.replayTimeText.width = "160px";
+        this.replayTimeText.color = "white";
+        this.replayTimeText.fontSize = 16;
+        buttonRow.addControl(this.replayTimeText);
 
-        // Lock pointer on canvas click
-        this.canvas.addEventListener('click', () => {
-            this.canvas.requestPointerLock();
-        });
+        this.waveText.text = "REPLAY - Wave 1";
+        this.updateReplayControls();
+    }
 
-        // Add movement update to scene
-        this.scene.onBeforeRenderObservable.add(() => {
-            this.updateMovement();
-            this.updateLasers();
-            this.updateLanders();
-        });
+    createReplayButton(label, onClick) {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(`replay${label}`, label);
+        button.width = "70px";
+        button.height = "26px";
+        button.color = "white";
+        button.fontSize = 14;
+        button.cornerRadius = 5;
+        button.background = "#224";
+        button.paddingLeft = "4px";
+        button.paddingRight = "4px";
+        button.onPointerUpObservable.add(onClick);
+        return button;
     }
 
-    updateMovement() {
-        if (!this.camera) return;
+    updateReplayControls() {
+        if (!this.replaySlider) return;
 
-        const deltaTime = this.engine.getDeltaTime() / 1000.0;
-        const cameraDirection = this.camera.getDirection(BABYLON.Vector3.Forward());
-        const cameraRight = BABYLON.Vector3.Cross(cameraDirection, BABYLON.Vector3.Up());
-        const speed = this.moveSpeed;
+        if (!this.isSeekingReplay) {
+            this.replaySlider.value = this.simulation.tick;
+        }
+        this.replayPauseButton.textBlock.text = this.isReplayPaused ? "Play" : "Pause";
+        this.replayTimeText.text = `${this.formatTicks(this.simulation.tick)} / ${this.formatTicks(this.replay.tickCount)}  ${this.playbackSpeed}x`;
+    }
+
+    formatTicks(ticks) {
+        return this.formatDuration(ticks * this.simulation.tickDuration);
+    }
 
-        // Reset movement vector
-        const movement = new BABYLON.Vector3.Zero();
+    // Milliseconds as m:ss
+    formatDuration(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
 
-        // Forward/Backward
-        if (this.keys['w'] || this.keys['ArrowUp']) {
-            movement.addInPlace(cameraDirection.scale(speed));
+    toggleReplayPause() {
+        // Restart from the beginning when play is pressed at the end
+        if (this.isReplayPaused && this.simulation.tick >= this.replay.tickCount) {
+            this.seekReplay(0);
         }
-        if (this.keys['s'] || this.keys['ArrowDown']) {
-            movement.addInPlace(cameraDirection.scale(-speed));
+        this.isReplayPaused = !this.isReplayPaused;
+        this.updateReplayControls();
+    }
+
+    setPlaybackSpeed(speed) {
+        this.playbackSpeed = speed;
+        this.updateReplayControls();
+    }
+
+    changePlaybackSpeed(direction) {
+        const index = this.playbackSpeeds.indexOf(this.playbackSpeed) + direction;
+        if (index >= 0 && index < this.playbackSpeeds.length) {
+            this.setPlaybackSpeed(this.playbackSpeeds[index]);
         }
+    }
 
-        // Left/Right
-        if (this.keys['a'] || this.keys['ArrowLeft']) {
-            movement.addInPlace(cameraRight.scale(-speed));
+    // Jump to any tick. The simulation can't run backwards, so earlier ticks rebuild
+    // it from the seed and fast-forward through the recorded inputs.
+    seekReplay(tick) {
+        const target = Math.max(0, Math.min(this.replay.tickCount, Math.round(tick)));
+
+        if (target < this.simulation.tick) {
+            this.simulation = this.createSimulation();
+            this.simulation.start();
         }
-        if (this.keys['d'] || this.keys['ArrowRight']) {
-            movement.addInPlace(cameraRight.scale(speed));
+        while (this.simulation.tick < target && !this.simulation.isGameOver) {
+            this.simulation.step({ [this.localPlayerId]: this.replay.getInput(this.simulation.tick) });
         }
 
-        // Up/Down (vertical thrusters)
-        if (this.keys['q']) { // Up
-            this.verticalVelocity = Math.min(this.verticalVelocity + 15 * deltaTime, 5);
-            this.energy = Math.max(0, this.energy - 0.5); // Use energy for vertical movement
-        } else if (this.keys['e']) { // Down
-            this.verticalVelocity = Math.max(this.verticalVelocity - 15 * deltaTime, -5);
-            this.energy = Math.max(0, this.energy - 0.5); // Use energy for vertical movement
+        // Skipped events would replay as a burst of effects; redraw from state instead
+        this.simulation.drainEvents();
+        this.tickAccumulator = 0;
+        this.refreshFromSimulation();
+        this.updateReplayControls();
+    }
+
+    // Rebuild everything the event handlers normally keep up to date
+    refreshFromSimulation() {
+        const meshMaps = [this.enemyMeshes, this.astronautMeshes, this.laserMeshes, this.enemyShotMeshes, this.pickupMeshes];
+        for (const meshes of meshMaps) {
+            for (const mesh of meshes.values()) {
+                this.removeMesh(mesh);
+            }
+            meshes.clear();
         }
 
-        // Apply gravity
-        this.verticalVelocity += this.gravity * deltaTime;
+        const simulation = this.simulation;
+        this.scanner.clearAlerts();
+        this.setPlanetVisible(!simulation.planetDestroyed);
+        this.hideWaveSummary();
+        this.showStatus("", "white");
+        this.waveText.text = (this.replay ? "REPLAY - " : "") + `Wave ${simulation.level}`;
+        this.scoreText.text = `Score: ${simulation.score}`;
+        this.astronautsSavedText.text = `Astronauts Saved: ${simulation.astronautsSaved}`;
+        this.landersDestroyedText.text = `Landers Destroyed: ${simulation.landersDestroyed}`;
+        this.updateLivesDisplay();
+        this.updateSmartBombDisplay();
+        this.syncScene();
+    }
 
-        // Get ground height at current position
-        const groundHeight = this.gamePlane.getHeightAtCoordinates(
-            this.camera.position.x, 
-            this.camera.position.z
-        );
+    finishReplay() {
+        this.isReplayPaused = true;
+        this.showStatus("END OF REPLAY", "white");
+        this.updateReplayControls();
 
-        // Check for ground collision
-        if (this.camera.position.y + this.verticalVelocity * deltaTime < groundHeight + 2) {
-            this.camera.position.y = groundHeight + 2;
-            this.verticalVelocity = 0;
-            this.isGrounded = true;
-        } else {
-            this.isGrounded = false;
+        const expectedScore = this.replay.summary.score;
+        if (expectedScore !== undefined && expectedScore !== this.simulation.score) {
+            console.warn(`Replay desynced: recorded score ${expectedScore}, replayed score ${this.simulation.score}`);
         }
+    }
 
-        // Roll left/right
-        if (this.keys['z']) {
-            this.camera.rotation.z = Math.min(this.camera.rotation.z + 0.02, Math.PI / 4);
-        } else if (this.keys['c']) {
-            this.camera.rotation.z = Math.max(this.camera.rotation.z - 0.02, -Math.PI / 4);
-        } else {
-            // Return to level when not rolling
-            if (this.camera.rotation.z > 0.02) {
-                this.camera.rotation.z -= 0.02;
-            } else if (this.camera.rotation.z < -0.02) {
-                this.camera.rotation.z += 0.02;
-            } else {
-                this.camera.rotation.z = 0;
-            }
-        }
+    getReplayData() {
+        if (this.replay) return this.replay.data;
+
+        return this.recorder.toJSON({
+            score: this.simulation.score,
+            wave: this.simulation.level,
+            // Seconds, as on the leaderboard
+            missionTime: Math.floor(this.simulation.time / 1000)
+        });
+    }
 
-        // Apply horizontal movement
-        this.camera.position.addInPlace(movement);
+    downloadReplay() {
+        if (!this.replay && !this.recorder) return;
 
-        // Apply vertical movement
-        this.camera.position.y += this.verticalVelocity * deltaTime;
+        const data = this.getReplayData();
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
 
-        // Update camera target based on rotation
-        const targetDistance = 10;
-        const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
-        const target = this.camera.position.add(forward.scale(targetDistance));
-        this.camera.setTarget(target);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `defender2084-replay-${data.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        console.log(`Replay saved (${data.tickCount} ticks, seed ${data.seed})`);
     }
 
-    shootLaser() {
-        if (this.energy >= this.laserEnergyCost) {
-            // Create yellow material for laser
-            const laserMaterial = new BABYLON.StandardMaterial("laserMaterial", this.scene);
-            laserMaterial.emissiveColor = new BABYLON.Color3(1, 1, 0); // Bright yellow
-            laserMaterial.alpha = 0.8;
+    static get replayStorageKey() {
+        return 'defender2084.replay';
+    }
 
-            // Create laser cylinder
-            const laser = BABYLON.MeshBuilder.CreateCylinder("laser", {
-                height: 2,
-                diameter: 0.1
-            }, this.scene);
+    // Reload the page into the replay viewer; index.html picks the replay up on startup
+    static watchReplay(data) {
+        sessionStorage.setItem(Game.replayStorageKey, JSON.stringify(data));
+        window.location.reload();
+    }
+
+    static takePendingReplay() {
+        const stored = sessionStorage.getItem(Game.replayStorageKey);
+        if (!stored) return null;
+
+        sessionStorage.removeItem(Game.replayStorageKey);
+        return new Replay(JSON.parse(stored));
+    }
+
+    updateScore() {
+        this.scoreText.text = `Score: ${this.simulation.score}`;
+    }
+
+    updateAstronautsSaved(points) {
+        this.astronautsSavedText.text = `Astronauts Saved: ${this.simulation.astronautsSaved}`;
+        this.createScoringEffect(points, { x: 0, y: 50 });
+    }
+
+    updateLandersDestroyed(points) {
+        this.landersDestroyedText.text = `Landers Destroyed: ${this.simulation.landersDestroyed}`;
+        this.createScoringEffect(points, { x: 0, y: 80 });
+    }
+
+    setupControls() {
+        if (this.replay) {
+            this.setupReplayControls();
+            return;
+        }
+
+        // Physical inputs are mapped to actions by the InputManager
+        this.input = new InputManager(this.canvas);
+        this.input.attach();
+        this.updateControlsText();
+
+        window.addEventListener('keydown', (e) => {
+            // The rebinding screen takes the next key press itself
+            if (this.input.capture) return;
 
-            // Get the forward direction of the camera
-            const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
+            // Save the run so far, e.g. to attach to a bug report
+            if (e.key === 'F8') {
+                e.preventDefault();
+                this.downloadReplay();
+            }
+
+            if (e.key === 'F1') {
+                e.preventDefault();
+                this.toggleControlsMenu();
+            }
+
+            // Count scene objects to look for leaks
+            if (e.key === 'F9') {
+                e.preventDefault();
+                this.resources.log();
+            }
 
-            // Position laser at camera position
-            laser.position = this.camera.position.clone();
+            if (e.key === 'Escape') {
+                this.handleEscape();
+            }
+        });
 
-            // Calculate rotation to match camera direction
-            const rotationQuaternion = BABYLON.Quaternion.FromLookDirectionRH(forward, BABYLON.Vector3.Up());
-            laser.rotationQuaternion = rotationQuaternion;
+        // Lock pointer on canvas click. While the pointer is free a click can land on a
+        // cockpit switch instead.
+        this.canvas.addEventListener('click', () => {
+            if (this.isMenuOpen() || document.pointerLockElement === this.canvas) return;
 
-            // Apply material
-            laser.material = laserMaterial;
+            if (!this.cockpitSwitches.handleClick(this.scene.pointerX, this.scene.pointerY)) {
+                this.isCockpitCursorFree = false;
+                this.canvas.requestPointerLock();
+            }
+        });
 
-            // Store initial direction for movement
-            laser.direction = forward.clone();
+        // Browsers release the pointer on Escape without always passing the key on,
+        // so losing the lock mid-mission opens the pause menu as well
+        document.addEventListener('pointerlockchange', () => {
+            if (document.pointerLockElement) {
+                this.isCockpitCursorFree = false;
+            } else if (!this.isMenuOpen() && !this.simulation.isGameOver && !this.isCockpitCursorFree) {
+                this.pause();
+            }
+        });
+    }
 
-            // Add to lasers array
-            this.lasers.push(laser);
+    // Let go of the pointer to reach the cockpit switches, or take it back to fly
+    toggleCockpitCursor() {
+        if (this.isMenuOpen()) return;
 
-            // Consume energy
-            this.energy -= this.laserEnergyCost;
-            this.updateEnergyBar();
+        if (document.pointerLockElement === this.canvas) {
+            this.isCockpitCursorFree = true;
+            document.exitPointerLock();
+        } else {
+            this.canvas.requestPointerLock();
         }
     }
 
-    updateLasers() {
-        for (let i = this.lasers.length - 1; i >= 0; i--) {
-            const laser = this.lasers[i];
-            
-            // Move laser in its stored direction
-            laser.position.addInPlace(laser.direction.scale(this.laserSpeed));
-
-            // Check for collisions with landers
-            for (let j = this.landers.length - 1; j >= 0; j--) {
-                const lander = this.landers[j];
-                if (laser.intersectsMesh(lander.mesh, false)) {
-                    // Remove both laser and lander
-                    laser.dispose();
-                    this.lasers.splice(i, 1);
-                    lander.dispose();
-                    this.landers.splice(j, 1);
-                    this.updateLandersDestroyed();
-                    return;  // Exit after collision
+    // Panel buttons that switch ship systems; the last one just glows
+    setupCockpitSwitches() {
+        this.cockpitSwitches = new CockpitSwitches(this.scene, this.guiTexture);
+
+        this.cockpitSwitches.add({
+            name: 'radar',
+            label: 'RADAR',
+            mesh: this.buttons[0],
+            color: new BABYLON.Color3(0, 0.7, 1),
+            action: 'radarZoom',
+            press: () => {
+                const zoom = this.scanner.cycleZoom();
+                this.sound.play('powerShift');
+                this.showStatus(`RADAR ZOOM ${zoom}X`, "cyan", 1000);
+            },
+            getState: () => (this.scanner.zoom > 1 ? 'lit' : 'unlit')
+        });
+
+        this.cockpitSwitches.add({
+            name: 'lights',
+            label: 'LIGHTS',
+            mesh: this.buttons[1],
+            color: new BABYLON.Color3(1, 0.9, 0.5),
+            action: 'landingLights',
+            press: () => {
+                this.landingLight.setEnabled(!this.landingLight.isEnabled());
+                this.sound.play('powerShift');
+            },
+            getState: () => (this.landingLight.isEnabled() ? 'lit' : 'unlit')
+        });
+
+        // Autopilot is a ship system the simulation flies, so pressing it queues the
+        // same input as its keys do; it blinks once there's no energy to hold
+        this.cockpitSwitches.add({
+            name: 'autopilot',
+            label: 'AUTO',
+            mesh: this.buttons[2],
+            color: new BABYLON.Color3(0.2, 1, 0.3),
+            action: 'levelHold',
+            press: () => {
+                if (this.input) {
+                    this.input.pendingActions.add('levelHold');
                 }
+            },
+            getState: () => {
+                const player = this.localPlayer;
+                if (!player.levelHold) return 'unlit';
+                return player.energy < 1 ? 'blinking' : 'lit';
             }
+        });
 
-            // Remove laser if it goes too far
-            if (BABYLON.Vector3.Distance(laser.position, this.camera.position) > 500) {
-                laser.dispose();
-                this.lasers.splice(i, 1);
+        // Master alarm: blinks while an alarm is sounding, lit once it's been silenced
+        this.cockpitSwitches.add({
+            name: 'alarm',
+            label: 'ALARM',
+            mesh: this.buttons[3],
+            color: new BABYLON.Color3(1, 0.15, 0.1),
+            action: 'alarmSilence',
+            press: () => {
+                this.alarmSilenced = !this.alarmSilenced;
+                this.showStatus(this.alarmSilenced ? "ALARMS SILENCED" : "ALARMS ON", "orange", 1000);
+            },
+            getState: () => {
+                if (this.alarmSilenced) return 'lit';
+                return this.isAlarmActive(this.localPlayer) ? 'blinking' : 'unlit';
             }
+        });
+        this.updateSwitchHints();
+    }
+
+    // Each switch's label shows the keys currently bound to its action
+    updateSwitchHints() {
+        const input = this.input || this.replayInput;
+        for (const entry of this.cockpitSwitches.switches) {
+            this.cockpitSwitches.setHint(entry.name, input.describeActions(entry.action));
         }
     }
 
-    spawnLander() {
-        if (!this.scene || !this.astronauts) return;
-        
-        // Random position on right side of screen
-        const x = 400; // Start from right side
-        const z = Math.random() * 800 - 400; // Random Z position
-        const position = new BABYLON.Vector3(x, 0, z);
-        
-        // Create new lander
-        const lander = new Lander(this.scene, position, this.astronauts);
-        if (lander && lander.mesh) {
-            this.landers.push(lander);
+    // Actions Game handles itself rather than passing to the simulation
+    handleLocalActions() {
+        const input = this.input || this.replayInput;
+        for (const action of input.takeLocalActions()) {
+            if (action === 'mute') {
+                this.toggleMute();
+            } else if (action === 'cockpitCursor') {
+                this.toggleCockpitCursor();
+            } else if (!this.isMenuOpen()) {
+                this.cockpitSwitches.handleAction(action);
+            }
         }
     }
 
-    updateLanders() {
-        for (let i = this.landers.length - 1; i >= 0; i--) {
-            const lander = this.landers[i];
-            lander.update(this.gamePlane.position.z);
+    handleEscape() {
+        if (this.isControlsMenuOpen) {
+            this.closeControlsMenu();
+        } else if (this.achievementsMenu) {
+            this.closeAchievementsMenu();
+        } else if (this.settingsMenu) {
+            this.closeSettingsMenu();
+        } else if (this.isPaused) {
+            // Ignore the same Escape that released the pointer and opened the menu
+            if (performance.now() - this.pausedAt > 300) {
+                this.resume();
+            }
+        } else {
+            this.pause();
+        }
+    }
 
-            // Check for collisions with player
-            const distanceToPlayer = BABYLON.Vector3.Distance(
-                lander.mesh.position,
-                this.camera.position
-            );
-            if (distanceToPlayer < 3) {
-                this.takeDamage(20);
-                lander.dispose();
-                this.landers.splice(i, 1);
-                continue;
+    // Any screen that takes the controls away from the ship
+    isMenuOpen() {
+        return this.isPaused || this.isControlsMenuOpen;
+    }
+
+    updateControlsText() {
+        if (this.replay) {
+            // Only the cockpit and sound keys do anything while watching
+            const input = this.replayInput;
+            this.controlsText.text = "Replay:\nSpacebar: Pause\nLeft/Right: Seek\n+/-: Speed\n" +
+                `${input.describeActions('radarZoom')}: Radar Zoom\n` +
+                `${input.describeActions('landingLights')}: Landing Lights\n` +
+                `${input.describeActions('alarmSilence')}: Silence Alarms\n` +
+                `${input.describeActions('mute')}: Mute\nF8: Save Replay`;
+        } else {
+            this.controlsText.text = `Controls:\n${this.input.getControlsHelp()}\nEsc: Pause\nF1: Rebind Controls` +
+                (this.network ? "" : "\nF8: Save Replay");
+        }
+        if (this.cockpitSwitches) {
+            this.updateSwitchHints();
+        }
+    }
+
+    // Sample the current controls into a simulation input for one tick
+    readInput() {
+        // Let go of everything while a menu is up
+        if (this.isMenuOpen()) {
+            this.input.sample();
+            return GameSimulation.emptyInput();
+        }
+        return this.input.sample();
+    }
+
+    toggleControlsMenu() {
+        if (this.isControlsMenuOpen) {
+            this.closeControlsMenu();
+        } else {
+            this.openControlsMenu();
+        }
+    }
+
+    // Rebinding screen: one row per action with two keyboard/mouse slots and a gamepad slot
+    openControlsMenu() {
+        if (this.isControlsMenuOpen || this.simulation.isGameOver) return;
+
+        this.isControlsMenuOpen = true;
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+
+        const actions = InputManager.actions;
+        const rowHeight = 30;
+
+        const menu = new BABYLON.GUI.Rectangle("controlsMenu");
+        menu.width = "640px";
+        menu.height = `${actions.length * rowHeight + 170}px`;
+        menu.cornerRadius = 20;
+        menu.color = "white";
+        menu.thickness = 2;
+        menu.background = "black";
+        this.guiTexture.addControl(menu);
+        this.controlsMenu = menu;
+
+        const title = new BABYLON.GUI.TextBlock("controlsTitle", "CONTROLS");
+        title.color = "white";
+        title.fontSize = 26;
+        title.height = "40px";
+        title.top = "15px";
+        title.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(title);
+
+        const hint = new BABYLON.GUI.TextBlock("controlsHint", "Click a binding, then press a key, mouse button or gamepad button");
+        hint.color = "#aaa";
+        hint.fontSize = 14;
+        hint.height = "20px";
+        hint.top = "55px";
+        hint.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(hint);
+
+        const columns = [
+            { slot: 0, left: -60 },
+            { slot: 1, left: 70 },
+            { slot: 'pad', left: 200 }
+        ];
+
+        actions.forEach((action, row) => {
+            const top = 85 + row * rowHeight;
+
+            const label = new BABYLON.GUI.TextBlock(`${action.name}Label`, action.label);
+            label.color = "white";
+            label.fontSize = 18;
+            label.width = "160px";
+            label.height = `${rowHeight}px`;
+            label.top = `${top}px`;
+            label.left = "-220px";
+            label.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            label.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            menu.addControl(label);
+
+            for (const column of columns) {
+                const button = BABYLON.GUI.Button.CreateSimpleButton(`${action.name}Binding${column.slot}`, "");
+                button.width = "120px";
+                button.height = `${rowHeight - 6}px`;
+                button.color = "white";
+                button.fontSize = 14;
+                button.cornerRadius = 8;
+                button.background = column.slot === 'pad' ? "#224" : "#222";
+                button.top = `${top + 3}px`;
+                button.left = `${column.left}px`;
+                button.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+                button.onPointerUpObservable.add(() => this.rebind(action.name, column.slot, button));
+                menu.addControl(button);
+                this.updateBindingButton(action.name, column.slot, button);
             }
+        });
 
-            // Check for collisions with astronauts
-            for (let j = this.astronauts.length - 1; j >= 0; j--) {
-                const astronaut = this.astronauts[j];
-                if (lander.mesh.intersectsMesh(astronaut, false)) {
-                    // Remove both lander and astronaut
-                    lander.dispose();
-                    this.landers.splice(i, 1);
-                    astronaut.dispose();
-                    this.astronauts.splice(j, 1);
-                    return;  // Exit after collision
-                }
+        const resetButton = BABYLON.GUI.Button.CreateSimpleButton("resetBindings", "Reset Defaults");
+        resetButton.width = "150px";
+        resetButton.height = "40px";
+        resetButton.color = "white";
+        resetButton.cornerRadius = 20;
+        resetButton.background = "#442";
+        resetButton.top = "-20px";
+        resetButton.left = "-80px";
+        resetButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        resetButton.onPointerUpObservable.add(() => {
+            this.input.cancelCapture();
+            this.input.resetBindings();
+            this.refreshControlsMenu();
+        });
+        menu.addControl(resetButton);
+
+        const closeButton = BABYLON.GUI.Button.CreateSimpleButton("closeControls", "Done");
+        closeButton.width = "150px";
+        closeButton.height = "40px";
+        closeButton.color = "white";
+        closeButton.cornerRadius = 20;
+        closeButton.background = "green";
+        closeButton.top = "-20px";
+        closeButton.left = "80px";
+        closeButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        closeButton.onPointerUpObservable.add(() => this.closeControlsMenu());
+        menu.addControl(closeButton);
+    }
+
+    closeControlsMenu() {
+        if (!this.isControlsMenuOpen) return;
+
+        this.input.cancelCapture();
+        this.controlsMenu.dispose();
+        this.controlsMenu = null;
+        this.isControlsMenuOpen = false;
+        this.updateControlsText();
+    }
+
+    // Rebuild the menu so every button shows the current bindings
+    refreshControlsMenu() {
+        this.closeControlsMenu();
+        this.openControlsMenu();
+    }
+
+    rebind(action, slot, button) {
+        if (this.input.capture) return;
+
+        button.textBlock.text = slot === 'pad' ? "Press a button..." : "Press a key...";
+        button.background = "#642";
+        this.input.startCapture(slot, binding => {
+            if (binding && this.input.setBinding(action, slot, binding)) {
+                // The input may have moved from another action's slot
+                this.refreshControlsMenu();
+            } else {
+                this.updateBindingButton(action, slot, button);
             }
+        });
+    }
+
+    updateBindingButton(action, slot, button) {
+        const bindings = this.input.bindings[action];
+        const binding = slot === 'pad' ? bindings.pad : bindings.keys[slot];
+        button.textBlock.text = this.input.describeBinding(binding);
+        button.background = slot === 'pad' ? "#224" : "#222";
+    }
+
+    setupReplayControls() {
+        // Not attached, so it only reads the pilot's bindings for the cockpit switches
+        this.replayInput = new InputManager(this.canvas);
+        this.updateControlsText();
 
-            // Remove lander if it goes too far behind
-            if (lander.mesh.position.z < -500) {
-                lander.dispose();
-                this.landers.splice(i, 1);
+        window.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case ' ':
+                    this.toggleReplayPause();
+                    break;
+                case 'ArrowLeft':
+                    this.seekReplay(this.simulation.tick - this.replaySeekStep / this.simulation.tickDuration);
+                    break;
+                case 'ArrowRight':
+                    this.seekReplay(this.simulation.tick + this.replaySeekStep / this.simulation.tickDuration);
+                    break;
+                case '+':
+                case '=':
+                    this.changePlaybackSpeed(1);
+                    break;
+                case '-':
+                    this.changePlaybackSpeed(-1);
+                    break;
+                case 'F8':
+                    e.preventDefault();
+                    this.downloadReplay();
+                    break;
+                case 'F9':
+                    e.preventDefault();
+                    this.resources.log();
+                    break;
+                default:
+                    this.replayInput.pressBinding(`Key:${e.code}`);
             }
+        });
+    }
+
+    // Online games mirror the room server's simulation instead of running their own
+    createSimulation(seed, online) {
+        if (online) {
+            return new RemoteWorld(online.snapshot, {
+                localPlayerId: online.playerId,
+                seed: online.seed,
+                now: performance.now()
+            });
         }
+        return new GameSimulation({ seed: this.replay ? this.replay.seed : seed });
+    }
+
+    // The ship this client flies and the camera rides in. Online, hold on to the
+    // last known state if the server stops sending it.
+    get localPlayer() {
+        const player = this.simulation.getPlayer(this.localPlayerId);
+        if (player) {
+            this.lastLocalPlayer = player;
+        }
+        return this.lastLocalPlayer;
     }
 
     createScene() {
@@ -595,39 +1145,18 @@ class Game {
             console.log('Creating scene...');
             // Create the scene space
             const scene = new BABYLON.Scene(this.engine);
-
-            // Initialize arrays first
-            console.log('Initializing arrays...');
-            this.astronauts = [];
-            this.lasers = [];
-            this.landers = [];
-            this.displays = [];
-            this.displayTextures = [];
-            this.buttons = [];
-            this.warningLights = [];
+            this.textures = new TextureFactory(scene, this.assets);
 
             console.log('Setting up camera...');
             // Add a camera to the scene (using Universal Camera for FPS-style controls)
             this.camera = new BABYLON.UniversalCamera("camera", new BABYLON.Vector3(0, 10, -8), scene);
-            this.camera.setTarget(new BABYLON.Vector3(0, 2, 0));
-            
-            // Camera settings for smooth movement
-            this.camera.speed = 0.5;
-            this.camera.angularSensibility = 1000; // Mouse sensitivity
-            this.camera.inertia = 0.5;
-            this.camera.rotationQuaternion = new BABYLON.Quaternion();
 
             // Set camera constraints
             this.camera.minZ = 0.1;
             this.camera.maxZ = 1000;
             
-            // Enable camera controls
-            this.camera.attachControl(this.canvas, true);
-            
-            // Customize camera inputs
+            // The simulation flies the ship, so the camera takes no input of its own
             this.camera.inputs.clear();
-            this.camera.inputs.addMouseWheel();
-            this.camera.inputs.addKeyboard();
 
             console.log('Creating lights...');
             // Add ambient light for general illumination
@@ -638,82 +1167,49 @@ class Game {
             const sunLight = new BABYLON.DirectionalLight("sunLight", new BABYLON.Vector3(-1, -2, 1), scene);
             sunLight.intensity = 0.5;
 
+            // Landing lights under the nose, switched from the cockpit
+            this.landingLight = new BABYLON.SpotLight("landingLight", new BABYLON.Vector3(0, -0.5, 0),
+                new BABYLON.Vector3(0, -0.5, 1), Math.PI / 3, 4, scene);
+            this.landingLight.parent = this.camera;
+            this.landingLight.diffuse = new BABYLON.Color3(1, 0.95, 0.8);
+            this.landingLight.intensity = 1.5;
+            this.landingLight.range = 120;
+            this.landingLight.setEnabled(false);
+
             console.log('Creating skybox...');
             // Create space skybox
             const skybox = BABYLON.MeshBuilder.CreateBox("skyBox", { size: 5000.0 }, scene);
             const skyboxMaterial = new BABYLON.StandardMaterial("skyBox", scene);
             skyboxMaterial.backFaceCulling = false;
-            skyboxMaterial.reflectionTexture = new BABYLON.CubeTexture("https://assets.babylonjs.com/textures/space", scene);
+            skyboxMaterial.reflectionTexture = this.textures.create("skybox");
             skyboxMaterial.reflectionTexture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
             skyboxMaterial.diffuseColor = new BABYLON.Color3(0, 0, 0);
             skyboxMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
             skybox.material = skyboxMaterial;
 
             console.log('Creating terrain...');
-            // Create lunar terrain
+            // Lunar terrain, streamed in chunks around the ship
             const terrainMaterial = new BABYLON.StandardMaterial("terrainMaterial", scene);
-            terrainMaterial.diffuseTexture = new BABYLON.Texture("https://assets.babylonjs.com/textures/lunar_surface.jpg", scene);
-            terrainMaterial.bumpTexture = new BABYLON.Texture("https://assets.babylonjs.com/textures/lunar_normal.jpg", scene);
-            terrainMaterial.diffuseTexture.uScale = 20;
-            terrainMaterial.diffuseTexture.vScale = 20;
+            terrainMaterial.diffuseTexture = this.textures.create("lunarSurface");
+            terrainMaterial.bumpTexture = this.textures.create("lunarNormal");
             terrainMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+            this.landscape = new Landscape(scene, this.simulation.terrain, terrainMaterial);
 
-            // Create ground with heightmap for terrain
-            const ground = BABYLON.MeshBuilder.CreateGround("ground", {
-                width: 1000,
-                height: 1000,
-                subdivisions: 100
-            }, scene);
-            
-            ground.material = terrainMaterial;
-            ground.position.y = -2;
-            ground.checkCollisions = true;
-
-            // Store the ground plane as a class property
-            this.gamePlane = ground;
-
-            console.log('Setting up physics...');
-            // Enable physics
-            scene.enablePhysics(new BABYLON.Vector3(0, -9.81, 0), new BABYLON.CannonJSPlugin());
-            ground.physicsImpostor = new BABYLON.PhysicsImpostor(
-                ground, 
-                BABYLON.PhysicsImpostor.HeightmapImpostor, 
-                { mass: 0, restitution: 0.9 }, 
-                scene
-            );
-
-            console.log('Creating mountains...');
-            // Create mountains
-            this.createMountains(scene, ground);
-
-            console.log('Creating astronauts...');
-            // Create astronauts (after ground is created)
-            this.createAstronauts(scene);
-
-            console.log('Setting up scene updates...');
-            // Add scrolling animation with terrain following
-            scene.onBeforeRenderObservable.add(() => {
-                if (!this.camera || !this.gamePlane) return;
-
-                // Check ground collision
-                const groundHeight = 2; // Fixed height above ground
-                if (this.camera.position.y < groundHeight) {
-                    this.camera.position.y = groundHeight;
-                }
-
-                // Update game objects
-                if (this.astronauts && this.astronauts.length > 0) {
-                    this.updateAstronauts();
-                }
-                if (this.landers && this.landers.length > 0) {
-                    this.updateLanders();
-                }
-            });
+            // Create green material shared by all astronauts
+            this.astronautMaterial = new BABYLON.StandardMaterial("astronautMaterial", scene);
+            this.astronautMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0);
+            this.astronautMaterial.emissiveColor = new BABYLON.Color3(0, 0.3, 0);
+            this.astronautMaterial.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
 
             console.log('Creating cockpit...');
             // Create cockpit frame
             this.createCockpitFrame(scene);
 
+            // Every explosion shares one flare texture
+            this.explosions = new ExplosionPool(scene, this.textures.create("flare"));
+            this.resources = new ResourceTracker(scene);
+            this.resources.trackPool("explosion", this.explosions);
+
             // Store the scene
             this.scene = scene;
 
@@ -726,90 +1222,6 @@ class Game {
         }
     }
 
-    createMountains(scene, ground) {
-        // Create several mountain ranges
-        for (let i = 0; i < 20; i++) {
-            const mountainSize = 30 + Math.random() * 50;
-            const mountain = BABYLON.MeshBuilder.CreateCylinder(
-                `mountain${i}`,
-                {
-                    height: mountainSize,
-                    diameterTop: 0,
-                    diameterBottom: mountainSize * 0.8,
-                    tessellation: 6 + Math.floor(Math.random() * 6)
-                },
-                scene
-            );
-
-            // Random position on the ground
-            const x = (Math.random() - 0.5) * 800;
-            const z = (Math.random() - 0.5) * 800;
-            const y = ground.getHeightAtCoordinates(x, z);
-            mountain.position = new BABYLON.Vector3(x, y, z);
-
-            // Rotate slightly for variety
-            mountain.rotation.y = Math.random() * Math.PI;
-            mountain.rotation.x = (Math.random() - 0.5) * 0.2;
-            mountain.rotation.z = (Math.random() - 0.5) * 0.2;
-
-            // Apply lunar material
-            const mountainMaterial = new BABYLON.StandardMaterial(`mountainMat${i}`, scene);
-            mountainMaterial.diffuseTexture = new BABYLON.Texture("https://assets.babylonjs.com/textures/lunar_surface.jpg", scene);
-            mountainMaterial.bumpTexture = new BABYLON.Texture("https://assets.babylonjs.com/textures/lunar_normal.jpg", scene);
-            mountainMaterial.diffuseTexture.uScale = 5;
-            mountainMaterial.diffuseTexture.vScale = 5;
-            mountain.material = mountainMaterial;
-
-            // Add collision detection
-            mountain.checkCollisions = true;
-        }
-    }
-
-    createAstronauts(scene) {
-        // Create green material for astronauts
-        const astronautMaterial = new BABYLON.StandardMaterial("astronautMaterial", scene);
-        astronautMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0);
-        astronautMaterial.emissiveColor = new BABYLON.Color3(0, 0.3, 0);
-        astronautMaterial.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
-
-        // Create 10 astronauts
-        for (let i = 0; i < 10; i++) {
-            // Create sphere for astronaut
-            const astronaut = BABYLON.MeshBuilder.CreateSphere(`astronaut${i}`, {
-                diameter: 2,
-                segments: 16
-            }, scene);
-
-            // Random position within the visible area
-            const x = Math.random() * 800 - 400; // -400 to 400
-            const z = Math.random() * 800 - 400; // -400 to 400
-            astronaut.position = new BABYLON.Vector3(x, 0, z);
-
-            // Apply material
-            astronaut.material = astronautMaterial;
-
-            // Store initial relative position
-            astronaut.initialX = x;
-            astronaut.initialZ = z;
-
-            // Add to astronauts array
-            this.astronauts.push(astronaut);
-        }
-    }
-
-    updateAstronauts() {
-        // Update each astronaut's position relative to the moving plane
-        for (const astronaut of this.astronauts) {
-            astronaut.position.z = astronaut.initialZ + this.gamePlane.position.z;
-            
-            // If astronaut goes too far behind, move it forward
-            if (astronaut.position.z < -500) {
-                astronaut.position.z += 1000;
-                astronaut.initialZ += 1000;
-            }
-        }
-    }
-
     createCockpitFrame(scene) {
         // Create materials
         const cockpitMaterial = new BABYLON.StandardMaterial("cockpitMaterial", scene);
@@ -829,6 +1241,12 @@ class Game {
         controlPanelMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.2, 0.2);
         controlPanelMaterial.diffuseColor = new BABYLON.Color3(0.15, 0.15, 0.15);
 
+        // The cockpit rides along with the camera, drawn over the world so terrain
+        // never cuts into it. Parts are laid out as if the camera sat at z = -8.
+        this.cockpit = new BABYLON.TransformNode("cockpit", scene);
+        this.cockpit.parent = this.camera;
+        this.cockpit.position = new BABYLON.Vector3(0, 0, 8);
+
         // Create main cockpit frame
         const cockpitShape = [
             new BABYLON.Vector3(-2.5, -1.5, -5),
@@ -842,6 +1260,7 @@ class Game {
             depth: 0.1
         }, scene);
         cockpitHull.material = cockpitMaterial;
+        cockpitHull.parent = this.cockpit;
 
         // Create windshield
         const windshieldShape = [
@@ -856,6 +1275,7 @@ class Game {
             depth: 0.05
         }, scene);
         windshield.material = windshieldMaterial;
+        windshield.parent = this.cockpit;
 
         // Create control panel
         const controlPanel = BABYLON.MeshBuilder.CreateBox("controlPanel", {
@@ -866,6 +1286,7 @@ class Game {
         controlPanel.position = new BABYLON.Vector3(0, -1.1, -4.8);
         controlPanel.rotation.x = Math.PI / 6; // Tilt the panel up slightly
         controlPanel.material = controlPanelMaterial;
+        controlPanel.parent = this.cockpit;
 
         // Add side panels
         const leftPanel = BABYLON.MeshBuilder.CreateBox("leftPanel", {
@@ -875,6 +1296,7 @@ class Game {
         }, scene);
         leftPanel.position = new BABYLON.Vector3(-2.25, 0, -5);
         leftPanel.material = cockpitMaterial;
+        leftPanel.parent = this.cockpit;
 
         const rightPanel = BABYLON.MeshBuilder.CreateBox("rightPanel", {
             width: 0.5,
@@ -883,9 +1305,15 @@ class Game {
         }, scene);
         rightPanel.position = new BABYLON.Vector3(2.25, 0, -5);
         rightPanel.material = cockpitMaterial;
+        rightPanel.parent = this.cockpit;
 
         // Add control panel details (buttons and displays)
         this.createControlPanelDetails(scene, controlPanel);
+
+        for (const mesh of this.cockpit.getChildMeshes()) {
+            mesh.renderingGroupId = 1;
+            mesh.isPickable = false;
+        }
     }
 
     createControlPanelDetails(scene, controlPanel) {
@@ -922,15 +1350,16 @@ class Game {
             );
             display.rotation.x = Math.PI / 6;
             display.material = displayMaterial;
+            display.parent = this.cockpit;
             this.displays.push(display);
         }
 
-        // Add buttons with pulsing glow
+        // Add buttons with pulsing glow; setupCockpitSwitches() turns most into switches
         this.buttons = [];
         for (let i = 0; i < 5; i++) {
             const button = BABYLON.MeshBuilder.CreateCylinder(`button${i}`, {
                 height: 0.05,
-                diameter: 0.1
+                diameter: 0.16
             }, scene);
             button.position = new BABYLON.Vector3(
                 -1 + i * 0.5,
@@ -940,11 +1369,12 @@ class Game {
             
             const buttonMat = buttonMaterial.clone(`buttonMaterial${i}`);
             buttonMat.emissiveColor = new BABYLON.Color3(
-                0.3 + Math.random() * 0.4,
-                0.3 + Math.random() * 0.4,
-                0.3 + Math.random() * 0.4
+                0.3 + this.sceneryRandom() * 0.4,
+                0.3 + this.sceneryRandom() * 0.4,
+                0.3 + this.sceneryRandom() * 0.4
             );
             button.material = buttonMat;
+            button.parent = this.cockpit;
             this.buttons.push(button);
 
             // Add pulsing animation to button
@@ -961,6 +1391,7 @@ class Game {
         const holoMat = new BABYLON.StandardMaterial("holoMat", scene);
         holoMat.emissiveColor = new BABYLON.Color3(0, 0.5, 1);
         holoProjector.material = holoMat;
+        holoProjector.parent = this.cockpit;
 
         // Create hologram effect
         this.createHologramEffect(scene, holoProjector);
@@ -982,6 +1413,7 @@ class Game {
             const warningMat = new BABYLON.StandardMaterial(`warningMat${index}`, scene);
             warningMat.emissiveColor = new BABYLON.Color3(0.5, 0, 0);
             light.material = warningMat;
+            light.parent = this.cockpit;
             this.warningLights.push(light);
         });
     }
@@ -1020,23 +1452,23 @@ class Game {
     }
 
     createHologramEffect(scene, projector) {
-        // Create hologram cone
+        // Spiral cone, built once; spinning it gives the wave effect without new geometry
         const points = [];
         for (let i = 0; i < 20; i++) {
             points.push(new BABYLON.Vector3(
-                0.15 * (i / 19),
+                0.15 * (i / 19) * Math.sin(i * 0.2),
                 i * 0.1,
-                0
+                0.15 * (i / 19) * Math.cos(i * 0.2)
             ));
         }
 
-        let hologram = BABYLON.MeshBuilder.CreateLines("hologram", {
-            points: points,
-            updatable: true
-        }, scene);
-        
-        hologram.position = projector.position.clone();
-        hologram.rotation.x = Math.PI / 2;
+        const pivot = new BABYLON.TransformNode("hologramPivot", scene);
+        pivot.parent = projector.parent;
+        pivot.position = projector.position.clone();
+        pivot.rotation.x = Math.PI / 2;
+
+        const hologram = BABYLON.MeshBuilder.CreateLines("hologram", { points: points }, scene);
+        hologram.parent = pivot;
 
         const holoMat = new BABYLON.StandardMaterial("holoMat", scene);
         holoMat.emissiveColor = new BABYLON.Color3(0, 0.7, 1);
@@ -1047,21 +1479,8 @@ class Game {
         let angle = 0;
         scene.onBeforeRenderObservable.add(() => {
             angle += 0.05;
+            pivot.rotation.y = angle;
             hologram.rotation.y = angle;
-            
-            // Update points for wave effect
-            const newPoints = points.map((p, i) => {
-                return new BABYLON.Vector3(
-                    0.15 * (i / 19) * Math.sin(angle + i * 0.2),
-                    i * 0.1,
-                    0.15 * (i / 19) * Math.cos(angle + i * 0.2)
-                );
-            });
-            
-            hologram = BABYLON.MeshBuilder.CreateLines("hologram", {
-                points: newPoints,
-                instance: hologram
-            });
         });
     }
 
@@ -1070,14 +1489,14 @@ class Game {
         
         // Update displays every second
         this.displayUpdateInterval = setInterval(() => {
-            if (this.isRunning && !this.isGameOver) {
+            if (this.isRunning && !this.simulation.isGameOver) {
                 this.updateDisplays();
             }
         }, 1000);
 
         // Update warning lights every 500ms
         this.warningUpdateInterval = setInterval(() => {
-            if (this.isRunning && !this.isGameOver) {
+            if (this.isRunning && !this.simulation.isGameOver) {
                 this.updateWarningLights();
             }
         }, 500);
@@ -1088,85 +1507,31 @@ class Game {
     updateDisplays() {
         if (!this.scene || !this.displayTextures) return;
 
+        const simulation = this.simulation;
+        const player = this.localPlayer;
+
         // Update left display with targeting info
         const ctx0 = this.displayTextures[0].getContext();
         ctx0.clearRect(0, 0, 256, 128);
         
-        // Draw radar background
+        // Draw display background; the scanner strip does the radar's job now
         ctx0.fillStyle = "rgba(0, 20, 0, 0.3)";
         ctx0.fillRect(0, 0, 256, 128);
-        
-        // Draw radar grid
-        ctx0.strokeStyle = "rgba(0, 255, 0, 0.2)";
-        for (let i = 0; i < 256; i += 32) {
-            ctx0.beginPath();
-            ctx0.moveTo(i, 0);
-            ctx0.lineTo(i, 128);
-            ctx0.stroke();
-        }
-        for (let i = 0; i < 128; i += 32) {
-            ctx0.beginPath();
-            ctx0.moveTo(0, i);
-            ctx0.lineTo(256, i);
-            ctx0.stroke();
-        }
-
-        // Draw radar sweep
-        const time = Date.now() * 0.001;
-        const sweepAngle = (time % 2) * Math.PI;
-        ctx0.strokeStyle = "rgba(0, 255, 0, 0.5)";
-        ctx0.beginPath();
-        ctx0.moveTo(128, 64);
-        ctx0.lineTo(
-            128 + Math.cos(sweepAngle) * 128,
-            64 + Math.sin(sweepAngle) * 64
-        );
-        ctx0.stroke();
-
-        // Draw enemy blips
-        this.landers.forEach(lander => {
-            const relativeX = (lander.mesh.position.x - this.camera.position.x) / 2;
-            const relativeZ = (lander.mesh.position.z - this.camera.position.z) / 2;
-            const blipX = 128 + relativeX;
-            const blipY = 64 + relativeZ;
-            
-            if (blipX >= 0 && blipX <= 256 && blipY >= 0 && blipY <= 128) {
-                ctx0.fillStyle = "red";
-                ctx0.beginPath();
-                ctx0.arc(blipX, blipY, 3, 0, Math.PI * 2);
-                ctx0.fill();
-            }
-        });
-
-        // Draw astronaut blips
-        this.astronauts.forEach(astronaut => {
-            const relativeX = (astronaut.position.x - this.camera.position.x) / 2;
-            const relativeZ = (astronaut.position.z - this.camera.position.z) / 2;
-            const blipX = 128 + relativeX;
-            const blipY = 64 + relativeZ;
-            
-            if (blipX >= 0 && blipX <= 256 && blipY >= 0 && blipY <= 128) {
-                ctx0.fillStyle = "green";
-                ctx0.beginPath();
-                ctx0.arc(blipX, blipY, 2, 0, Math.PI * 2);
-                ctx0.fill();
-            }
-        });
 
         // Draw HUD information
         ctx0.fillStyle = "lime";
         ctx0.font = "12px monospace";
-        ctx0.fillText(`RADAR RANGE: 200m`, 10, 15);
+        ctx0.fillText("TARGETING", 10, 15);
         
         // Draw targeting data
-        const closestDistance = this.getClosestLanderDistance();
+        const closestDistance = simulation.getClosestLanderDistance(player);
         ctx0.fillStyle = closestDistance < 20 ? "red" : "lime";
         ctx0.fillText(`NEAREST THREAT: ${Math.floor(closestDistance)}m`, 10, 30);
         ctx0.fillStyle = "lime";
-        ctx0.fillText(`ACTIVE THREATS: ${this.landers.length}`, 10, 45);
+        ctx0.fillText(`ACTIVE THREATS: ${simulation.enemies.length}`, 10, 45);
         
         // Draw energy status with warning
-        const energyPercent = Math.floor(this.energy);
+        const energyPercent = Math.floor(player.energy);
         ctx0.fillStyle = energyPercent < 30 ? "red" : "lime";
         ctx0.fillText(`ENERGY: ${energyPercent}%`, 10, 60);
         if (energyPercent < 30) {
@@ -1175,6 +1540,13 @@ class Game {
             }
         }
 
+        // Shields and where the reactor's output is going
+        const shieldPercent = Math.floor(player.shield / player.maxShield * 100);
+        ctx0.fillStyle = shieldPercent > 0 ? "cyan" : "red";
+        ctx0.fillText(shieldPercent > 0 ? `SHIELDS: ${shieldPercent}%` : "SHIELDS DOWN", 10, 95);
+        ctx0.fillStyle = "lime";
+        ctx0.fillText(`POWER E${player.power.engines} W${player.power.weapons} S${player.power.shields}`, 10, 110);
+
         this.displayTextures[0].update();
 
         // Update right display with mission stats and system status
@@ -1199,12 +1571,12 @@ class Game {
 
         // Draw mission stats with dynamic formatting
         ctx1.font = "12px monospace";
-        ctx1.fillText(`SCORE: ${this.score}`, 10, 45);
-        ctx1.fillText(`ASTRONAUTS SAVED: ${this.astronautsSaved}`, 10, 60);
-        ctx1.fillText(`HOSTILES ELIMINATED: ${this.landersDestroyed}`, 10, 75);
+        ctx1.fillText(`SCORE: ${simulation.score}`, 10, 45);
+        ctx1.fillText(`ASTRONAUTS SAVED: ${simulation.astronautsSaved}`, 10, 60);
+        ctx1.fillText(`HOSTILES ELIMINATED: ${simulation.landersDestroyed}`, 10, 75);
         
         // Draw hull integrity
-        const hullPercent = Math.floor((this.health / this.maxHealth) * 100);
+        const hullPercent = Math.floor((player.health / player.maxHealth) * 100);
         ctx1.fillStyle = hullPercent < 30 ? "red" : "lime";
         ctx1.fillText(`HULL INTEGRITY: ${hullPercent}%`, 10, 90);
         
@@ -1217,29 +1589,13 @@ class Game {
         }
 
         // Draw mission time
-        const missionTime = Math.floor((Date.now() - this.startTime) / 1000);
+        const missionTime = Math.floor(simulation.time / 1000);
         ctx1.fillStyle = "lime";
         ctx1.fillText(`MISSION TIME: ${Math.floor(missionTime / 60)}:${(missionTime % 60).toString().padStart(2, '0')}`, 10, 120);
 
         this.displayTextures[1].update();
     }
 
-    getClosestLanderDistance() {
-        if (this.landers.length === 0) return 0;
-        
-        let closestDistance = Infinity;
-        for (const lander of this.landers) {
-            const distance = BABYLON.Vector3.Distance(
-                this.camera.position,
-                lander.mesh.position
-            );
-            if (distance < closestDistance) {
-                closestDistance = distance;
-            }
-        }
-        return closestDistance;
-    }
-
     // Add game state management
     start() {
         console.log('Starting game...');
@@ -1251,16 +1607,14 @@ class Game {
 
             // Initialize game state
             this.isRunning = true;
-            this.isGameOver = false;
-            this.startTime = Date.now();
-
-            // Start the render loop if it's not already running
-            if (!this.engine.isRunning) {
-                this.engine.runRenderLoop(() => {
-                    if (this.scene && this.isRunning) {
-                        this.scene.render();
-                    }
-                });
+            this.simulation.start();
+
+            // Joining a co-op game already under way
+            if (this.network) {
+                this.refreshFromSimulation();
+                if (this.simulation.isGameOver) {
+                    this.showGameOver();
+                }
             }
 
             console.log('Game started successfully');
@@ -1271,19 +1625,435 @@ class Game {
     }
 
     pause() {
-        this.isRunning = false;
+        if (this.isPaused || this.replay || this.simulation.isGameOver) return;
+
+        this.isPaused = true;
+        this.pausedAt = performance.now();
+        this.closeControlsMenu();
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+        this.showPauseMenu();
         console.log("Game paused!");
     }
 
     resume() {
-        this.isRunning = true;
+        if (!this.isPaused) return;
+
+        this.closeSettingsMenu();
+        this.closeAchievementsMenu();
+        this.pauseMenu.dispose();
+        this.pauseMenu = null;
+        this.isPaused = false;
+        this.canvas.requestPointerLock();
         console.log("Game resumed!");
     }
 
-    showGameOver() {
+    createMenuButton(name, text, background) {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "200px";
+        button.height = "40px";
+        button.color = "white";
+        button.cornerRadius = 20;
+        button.background = background;
+        return button;
+    }
+
+    showPauseMenu() {
+        const menu = new BABYLON.GUI.Rectangle("pauseMenu");
+        menu.width = "400px";
+        menu.height = "420px";
+        menu.cornerRadius = 20;
+        menu.color = "white";
+        menu.thickness = 2;
+        menu.background = "black";
+        this.guiTexture.addControl(menu);
+        this.pauseMenu = menu;
+
+        const title = new BABYLON.GUI.TextBlock("pauseTitle", "PAUSED");
+        title.color = "white";
+        title.fontSize = 32;
+        title.top = "-160px";
+        menu.addControl(title);
+
+        // Co-op games can't stop for one pilot
+        if (this.network) {
+            const note = new BABYLON.GUI.TextBlock("pauseNote", "Your wingmen are still flying");
+            note.color = "yellow";
+            note.fontSize = 16;
+            note.top = "-125px";
+            menu.addControl(note);
+        }
+
+        const resumeButton = this.createMenuButton("resume", "Resume", "green");
+        resumeButton.top = "-80px";
+        resumeButton.onPointerUpObservable.add(() => this.resume());
+        menu.addControl(resumeButton);
+
+        const restartButton = this.createMenuButton("restartMission", this.network ? "New Co-op Game" : "Restart", "#442");
+        restartButton.top = "-25px";
+        restartButton.onPointerUpObservable.add(() => {
+            if (this.network) {
+                this.network.leave();
+                window.location.search = "?room";
+            } else {
+                window.location.reload();
+            }
+        });
+        menu.addControl(restartButton);
+
+        const settingsButton = this.createMenuButton("settings", "Settings", "#224");
+        settingsButton.top = "30px";
+        settingsButton.onPointerUpObservable.add(() => this.showSettingsMenu());
+        menu.addControl(settingsButton);
+
+        const achievementsButton = this.createMenuButton("achievements", "Achievements", "#424");
+        achievementsButton.top = "85px";
+        achievementsButton.onPointerUpObservable.add(() => this.showAchievementsMenu());
+        menu.addControl(achievementsButton);
+
+        // Quitting ends the mission, keeping the score and replay
+        const quitButton = this.createMenuButton("quit", this.network ? "Leave Game" : "Quit Mission", "#622");
+        quitButton.top = "140px";
+        quitButton.onPointerUpObservable.add(() => this.quit());
+        menu.addControl(quitButton);
+    }
+
+    quit() {
+        if (this.network) {
+            this.network.leave();
+            window.location.search = "";
+            return;
+        }
+
+        this.closeSettingsMenu();
+        this.closeAchievementsMenu();
+        this.pauseMenu.dispose();
+        this.pauseMenu = null;
+        this.isPaused = false;
+        this.simulation.gameOver();
+    }
+
+    // Each setting row is a label showing the value above its control
+    showSettingsMenu() {
+        if (this.settingsMenu) return;
+
+        const menu = new BABYLON.GUI.Rectangle("settingsMenu");
+        menu.width = "480px";
+        menu.height = "712px";
+        menu.cornerRadius = 20;
+        menu.color = "white";
+        menu.thickness = 2;
+        menu.background = "black";
+        this.guiTexture.addControl(menu);
+        this.settingsMenu = menu;
+
+        const title = new BABYLON.GUI.TextBlock("settingsTitle", "SETTINGS");
+        title.color = "white";
+        title.fontSize = 28;
+        title.height = "40px";
+        title.top = "15px";
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(title);
+
+        const sliders = [
+            { key: 'mouseSensitivity', label: 'Mouse Sensitivity', min: 0.25, max: 3, step: 0.05, format: v => `${v.toFixed(2)}x` },
+            { key: 'masterVolume', label: 'Master Volume', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+            { key: 'effectsVolume', label: 'Effects Volume', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+            { key: 'musicVolume', label: 'Music Volume', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+            { key: 'hudScale', label: 'HUD Scale', min: 0.5, max: 1.5, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+            { key: 'fov', label: 'Field of View', min: 30, max: 100, step: 1, format: v => `${v}\u00b0` }
+        ];
+
+        let top = 65;
+        for (const config of sliders) {
+            const label = new BABYLON.GUI.TextBlock(`${config.key}Label`);
+            label.color = "white";
+            label.fontSize = 18;
+            label.height = "24px";
+            label.top = `${top}px`;
+            label.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            menu.addControl(label);
+
+            const slider = new BABYLON.GUI.Slider(`${config.key}Slider`);
+            slider.minimum = config.min;
+            slider.maximum = config.max;
+            slider.step = config.step;
+            slider.value = this.settings.get(config.key);
+            slider.width = "360px";
+            slider.height = "20px";
+            slider.color = "cyan";
+            slider.background = "#333";
+            slider.top = `${top + 28}px`;
+            slider.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            slider.onValueChangedObservable.add(value => {
+                this.settings.set(config.key, value);
+                label.text = `${config.label}: ${config.format(value)}`;
+                this.applySettings();
+            });
+            menu.addControl(slider);
+
+            label.text = `${config.label}: ${config.format(slider.value)}`;
+            top += 62;
+        }
+
+        const toggles = [
+            { key: 'invertY', label: 'Invert Look' },
+            { key: 'muted', label: 'Mute Sound' }
+        ];
+        for (const config of toggles) {
+            const button = this.createMenuButton(config.key, "", "#222");
+            button.width = "360px";
+            button.top = `${top}px`;
+            button.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            const update = () => {
+                button.textBlock.text = `${config.label}: ${this.settings.get(config.key) ? "On" : "Off"}`;
+            };
+            button.onPointerUpObservable.add(() => {
+                this.settings.set(config.key, !this.settings.get(config.key));
+                update();
+                this.applySettings();
+            });
+            update();
+            menu.addControl(button);
+            top += 50;
+        }
+
+        const qualityButton = this.createMenuButton("graphicsQuality", "", "#222");
+        qualityButton.width = "360px";
+        qualityButton.top = `${top}px`;
+        qualityButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        const updateQuality = () => {
+            qualityButton.textBlock.text = `Graphics Quality: ${Settings.graphicsQualities[this.settings.get('graphicsQuality')].label}`;
+        };
+        qualityButton.onPointerUpObservable.add(() => {
+            const levels = Object.keys(Settings.graphicsQualities);
+            const next = levels[(levels.indexOf(this.settings.get('graphicsQuality')) + 1) % levels.length];
+            this.settings.set('graphicsQuality', next);
+            updateQuality();
+            this.applySettings();
+        });
+        updateQuality();
+        menu.addControl(qualityButton);
+
+        const controlsButton = this.createMenuButton("rebindControls", "Controls", "#224");
+        controlsButton.width = "110px";
+        controlsButton.top = "-20px";
+        controlsButton.left = "-125px";
+        controlsButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        controlsButton.isVisible = !!this.input;
+        controlsButton.onPointerUpObservable.add(() => this.openControlsMenu());
+        menu.addControl(controlsButton);
+
+        const resetButton = this.createMenuButton("resetSettings", "Defaults", "#442");
+        resetButton.width = "110px";
+        resetButton.top = "-20px";
+        resetButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        resetButton.onPointerUpObservable.add(() => {
+            this.settings.reset();
+            this.applySettings();
+            // Rebuild so every control shows its default
+            this.closeSettingsMenu();
+            this.showSettingsMenu();
+        });
+        menu.addControl(resetButton);
+
+        const backButton = this.createMenuButton("closeSettings", "Back", "green");
+        backButton.width = "110px";
+        backButton.top = "-20px";
+        backButton.left = "125px";
+        backButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        backButton.onPointerUpObservable.add(() => this.closeSettingsMenu());
+        menu.addControl(backButton);
+    }
+
+    closeSettingsMenu() {
+        if (!this.settingsMenu) return;
+
+        this.settingsMenu.dispose();
+        this.settingsMenu = null;
+    }
+
+    // Lifetime stats from the pilot profile above every achievement, earned or not
+    showAchievementsMenu() {
+        if (this.achievementsMenu) return;
+
+        const menu = new BABYLON.GUI.Rectangle("achievementsMenu");
+        menu.width = "480px";
+        menu.height = "700px";
+        menu.cornerRadius = 20;
+        menu.color = "white";
+        menu.thickness = 2;
+        menu.background = "black";
+        this.guiTexture.addControl(menu);
+        this.achievementsMenu = menu;
+
+        const title = new BABYLON.GUI.TextBlock("achievementsTitle", "PILOT RECORD");
+        title.color = "white";
+        title.fontSize = 28;
+        title.height = "40px";
+        title.top = "15px";
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(title);
+
+        const profile = this.profile;
+        const stats = profile.stats;
+        const columns = [
+            [
+                `Missions: ${stats.gamesPlayed}`,
+                `Best Score: ${stats.bestScore}`,
+                `Total Score: ${stats.totalScore}`,
+                `Longest Mission: ${this.formatDuration(stats.longestMission)}`
+            ],
+            [
+                `Astronauts Saved: ${stats.astronautsSaved}`,
+                `Enemies Destroyed: ${stats.enemiesDestroyed}`,
+                `Shots Fired: ${stats.shotsFired}`,
+                `Accuracy: ${Math.round(profile.getAccuracy() * 100)}%`
+            ]
+        ];
+        columns.forEach((lines, i) => {
+            const column = new BABYLON.GUI.TextBlock(`profileStats${i}`, lines.join("\n"));
+            column.color = "white";
+            column.fontSize = 15;
+            column.lineSpacing = "4px";
+            column.width = "210px";
+            column.height = "100px";
+            column.top = "65px";
+            column.left = i === 0 ? "20px" : "250px";
+            column.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            column.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            column.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+            menu.addControl(column);
+        });
+
+        const ids = Object.keys(Achievements);
+        const unlocked = ids.filter(id => profile.isUnlocked(id)).length;
+        const heading = new BABYLON.GUI.TextBlock("achievementsHeading", `ACHIEVEMENTS ${unlocked}/${ids.length}`);
+        heading.color = "gold";
+        heading.fontSize = 18;
+        heading.height = "24px";
+        heading.top = "175px";
+        heading.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(heading);
+
+        const list = new BABYLON.GUI.StackPanel("achievementsList");
+        list.width = "440px";
+        list.top = "205px";
+        list.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        menu.addControl(list);
+
+        for (const id of ids) {
+            const achievement = Achievements[id];
+            const isUnlocked = profile.isUnlocked(id);
+            const row = new BABYLON.GUI.TextBlock(`achievement_${id}`,
+                `${isUnlocked ? "\u2605" : "\u2606"} ${achievement.name}\n   ${achievement.description}`);
+            row.color = isUnlocked ? "gold" : "gray";
+            row.fontSize = 14;
+            row.height = "38px";
+            row.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            list.addControl(row);
+        }
+
+        const backButton = this.createMenuButton("closeAchievements", "Back", "green");
+        backButton.width = "110px";
+        backButton.top = "-20px";
+        backButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        backButton.onPointerUpObservable.add(() => this.closeAchievementsMenu());
+        menu.addControl(backButton);
+    }
+
+    closeAchievementsMenu() {
+        if (!this.achievementsMenu) return;
+
+        this.achievementsMenu.dispose();
+        this.achievementsMenu = null;
+    }
+
+    // Card in the bottom right corner for a newly unlocked achievement; several stack up
+    showAchievementToast({ name, description }) {
+        const toast = new BABYLON.GUI.Rectangle("achievementToast");
+        toast.width = "300px";
+        toast.height = "64px";
+        toast.cornerRadius = 10;
+        toast.color = "gold";
+        toast.thickness = 2;
+        toast.background = "rgba(30, 20, 0, 0.85)";
+        toast.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        toast.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        toast.left = "-20px";
+        toast.isHitTestVisible = false;
+        this.guiTexture.addControl(toast);
+
+        const text = new BABYLON.GUI.TextBlock();
+        text.text = `ACHIEVEMENT UNLOCKED\n${name}\n${description}`;
+        text.color = "gold";
+        text.fontSize = 14;
+        toast.addControl(text);
+
+        this.toasts.push(toast);
+        this.stackToasts();
+        setTimeout(() => {
+            toast.dispose();
+            this.toasts = this.toasts.filter(other => other !== toast);
+            this.stackToasts();
+        }, this.toastDuration);
+    }
+
+    // Oldest at the bottom, each newer one above it
+    stackToasts() {
+        this.toasts.forEach((toast, i) => {
+            toast.top = `${-20 - i * 74}px`;
+        });
+    }
+
+    // Push the saved settings into the input, camera, engine and GUI
+    applySettings() {
+        const settings = this.settings;
+
+        if (this.input) {
+            this.input.mouseSensitivity = 0.002 * settings.get('mouseSensitivity');
+            this.input.invertY = settings.get('invertY');
+        }
+
+        this.camera.fov = settings.get('fov') * Math.PI / 180;
+        this.engine.setHardwareScalingLevel(Settings.graphicsQualities[settings.get('graphicsQuality')].hardwareScaling);
+        this.applyHudScale();
+
+        this.sound.setVolumes({
+            master: settings.get('masterVolume'),
+            effects: settings.get('effectsVolume'),
+            music: settings.get('musicVolume'),
+            muted: settings.get('muted')
+        });
+    }
+
+    toggleMute() {
+        this.settings.set('muted', !this.settings.get('muted'));
+        this.applySettings();
+        this.showStatus(this.settings.get('muted') ? "SOUND OFF" : "SOUND ON", "white", 1000);
+    }
+
+    // Scale the whole HUD by shrinking the width the GUI lays itself out for
+    applyHudScale() {
+        if (!this.guiTexture) return;
+
+        // Measured in CSS pixels so graphics quality doesn't change the HUD size
+        const cssWidth = this.engine.getRenderWidth() * this.engine.getHardwareScalingLevel();
+        this.guiTexture.idealWidth = cssWidth / this.settings.get('hudScale');
+    }
+
+    showGameOver() {
+        this.closeControlsMenu();
+
+        // Free the mouse so the buttons below can be clicked
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+
         const gameOverScreen = new BABYLON.GUI.Rectangle();
         gameOverScreen.width = "400px";
-        gameOverScreen.height = "300px";
+        gameOverScreen.height = "540px";
         gameOverScreen.cornerRadius = 20;
         gameOverScreen.color = "white";
         gameOverScreen.thickness = 2;
@@ -1292,24 +2062,164 @@ class Game {
 
         const gameOverText = new BABYLON.GUI.TextBlock();
         gameOverText.text = "GAME OVER\n\n" +
-            `Final Score: ${this.score}\n` +
-            `Astronauts Saved: ${this.astronautsSaved}\n` +
-            `Landers Destroyed: ${this.landersDestroyed}`;
+            `Final Score: ${this.simulation.score}\n` +
+            `Astronauts Saved: ${this.simulation.astronautsSaved}\n` +
+            `Landers Destroyed: ${this.simulation.landersDestroyed}`;
         gameOverText.color = "white";
         gameOverText.fontSize = 24;
+        gameOverText.top = "-150px";
         gameOverScreen.addControl(gameOverText);
 
+        // Name entry for the leaderboard
+        const nameInput = new BABYLON.GUI.InputText("playerName", localStorage.getItem(this.playerNameKey) || "");
+        nameInput.placeholderText = "Your name";
+        nameInput.maxWidth = "200px";
+        nameInput.width = "200px";
+        nameInput.height = "40px";
+        nameInput.color = "white";
+        nameInput.background = "#222";
+        nameInput.focusedBackground = "#333";
+        nameInput.top = "-20px";
+        nameInput.left = "-55px";
+        gameOverScreen.addControl(nameInput);
+
+        const submitButton = BABYLON.GUI.Button.CreateSimpleButton("submitScore", "Submit");
+        submitButton.width = "100px";
+        submitButton.height = "40px";
+        submitButton.color = "white";
+        submitButton.cornerRadius = 20;
+        submitButton.background = "#442";
+        submitButton.top = "-20px";
+        submitButton.left = "105px";
+        gameOverScreen.addControl(submitButton);
+
+        const rankText = new BABYLON.GUI.TextBlock("rankText", "Enter your name for the leaderboard");
+        rankText.color = "yellow";
+        rankText.fontSize = 18;
+        rankText.height = "60px";
+        rankText.top = "40px";
+        gameOverScreen.addControl(rankText);
+
+        const submit = () => {
+            const name = nameInput.text.trim();
+            if (!name || this.scoreSubmitted) return;
+
+            this.scoreSubmitted = true;
+            submitButton.isEnabled = false;
+            rankText.text = "Submitting...";
+            localStorage.setItem(this.playerNameKey, name);
+
+            this.submitScore(name).then(result => {
+                const { all, daily, difficulty } = result.rank;
+                rankText.text = `Rank #${all} all-time\n` +
+                    `#${daily} today, #${difficulty} at difficulty ${result.entry.difficulty}`;
+            }).catch(error => {
+                console.error('Score submission failed:', error);
+                rankText.text = `Could not submit: ${error.message}`;
+                this.scoreSubmitted = false;
+                submitButton.isEnabled = true;
+            });
+        };
+        submitButton.onPointerUpObservable.add(submit);
+        nameInput.onKeyboardEventProcessedObservable.add(e => {
+            if (e.key === 'Enter') submit();
+        });
+
         const restartButton = BABYLON.GUI.Button.CreateSimpleButton("restart", "Play Again");
         restartButton.width = "150px";
         restartButton.height = "40px";
         restartButton.color = "white";
         restartButton.cornerRadius = 20;
         restartButton.background = "green";
-        restartButton.top = "80px";
+        restartButton.top = "110px";
         restartButton.onPointerUpObservable.add(() => {
-            window.location.reload();
+            // Co-op pilots head back to a fresh lobby together
+            if (this.network) {
+                this.network.leave();
+                window.location.search = "?room";
+            } else {
+                window.location.reload();
+            }
         });
         gameOverScreen.addControl(restartButton);
+
+        const achievementsButton = BABYLON.GUI.Button.CreateSimpleButton("gameOverAchievements", "Achievements");
+        achievementsButton.width = "150px";
+        achievementsButton.height = "40px";
+        achievementsButton.color = "white";
+        achievementsButton.cornerRadius = 20;
+        achievementsButton.background = "#424";
+        achievementsButton.top = this.network ? "165px" : "220px";
+        achievementsButton.onPointerUpObservable.add(() => this.showAchievementsMenu());
+        gameOverScreen.addControl(achievementsButton);
+
+        // Online games have no local recording to offer
+        if (this.network) return;
+
+        restartButton.left = "-80px";
+        const coopButton = BABYLON.GUI.Button.CreateSimpleButton("playCoop", "Play Co-op");
+        coopButton.width = "150px";
+        coopButton.height = "40px";
+        coopButton.color = "white";
+        coopButton.cornerRadius = 20;
+        coopButton.background = "#046";
+        coopButton.top = "110px";
+        coopButton.left = "80px";
+        coopButton.onPointerUpObservable.add(() => {
+            window.location.search = "?room";
+        });
+        gameOverScreen.addControl(coopButton);
+
+        // Keep the run: download it or watch it back straight away
+        const saveReplayButton = BABYLON.GUI.Button.CreateSimpleButton("saveReplay", "Save Replay");
+        saveReplayButton.width = "150px";
+        saveReplayButton.height = "40px";
+        saveReplayButton.color = "white";
+        saveReplayButton.cornerRadius = 20;
+        saveReplayButton.background = "#224";
+        saveReplayButton.top = "165px";
+        saveReplayButton.left = "-80px";
+        saveReplayButton.onPointerUpObservable.add(() => {
+            this.downloadReplay();
+        });
+        gameOverScreen.addControl(saveReplayButton);
+
+        const watchReplayButton = BABYLON.GUI.Button.CreateSimpleButton("watchReplay", "Watch Replay");
+        watchReplayButton.width = "150px";
+        watchReplayButton.height = "40px";
+        watchReplayButton.color = "white";
+        watchReplayButton.cornerRadius = 20;
+        watchReplayButton.background = "#224";
+        watchReplayButton.top = "165px";
+        watchReplayButton.left = "80px";
+        watchReplayButton.onPointerUpObservable.add(() => {
+            Game.watchReplay(this.getReplayData());
+        });
+        gameOverScreen.addControl(watchReplayButton);
+    }
+
+    // Post the finished run to the leaderboard API in server.js
+    submitScore(name) {
+        const simulation = this.simulation;
+        const run = {
+            name,
+            score: simulation.score,
+            astronautsSaved: simulation.astronautsSaved,
+            landersDestroyed: simulation.landersDestroyed,
+            missionTime: Math.floor(simulation.time / 1000),
+            difficulty: simulation.difficulty
+        };
+
+        return fetch('/api/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(run)
+        }).then(response => response.json().then(body => {
+            if (!response.ok) {
+                throw new Error(body.error || `HTTP ${response.status}`);
+            }
+            return body;
+        }));
     }
 
     createScoringEffect(points, position) {
@@ -1357,31 +2267,134 @@ class Game {
         });
     }
 
-    takeDamage(amount) {
-        this.health = Math.max(0, this.health - amount);
-        this.updateHealthBar();
+    updateLivesDisplay() {
+        if (!this.livesText) return;
+        const lives = this.localPlayer.lives;
+        this.livesText.text = `Ships: ${"\u25B2 ".repeat(lives).trim() || "-"}`;
+    }
+
+    updateWingmenDisplay() {
+        if (!this.wingmenText) return;
+
+        const lines = this.simulation.players
+            .filter(player => player.id !== this.localPlayerId)
+            .map(player => {
+                if (!player.connected) return `${player.name}: RECONNECTING`;
+                if (player.isOut) return `${player.name}: OUT`;
+                const hull = Math.round(player.health / player.maxHealth * 100);
+                return `${player.name}: HULL ${hull}% ${"\u25B2".repeat(player.lives)}`;
+            });
+        this.wingmenText.text = lines.length > 0 ? "WINGMEN\n" + lines.join("\n") : "";
+    }
+
+    // Selected weapon and its level, with a gauge while the beam charges
+    updateWeaponDisplay() {
+        if (!this.weaponText) return;
 
-        if (this.health <= 0 && !this.isGameOver) {
-            this.isGameOver = true;
-            this.showGameOver();
+        const player = this.localPlayer;
+        const level = player.weapons[player.weapon];
+        let text = `Weapon: ${Weapons[player.weapon].name} Lv${level}${level >= maxWeaponLevel ? " MAX" : ""}`;
+        if (player.charge > 0) {
+            const bars = Math.round(player.charge * 10);
+            text += ` [${"|".repeat(bars)}${" ".repeat(10 - bars)}]`;
+        }
+        if (this.weaponText.text !== text) {
+            this.weaponText.text = text;
+            this.weaponText.color = this.weaponColors[player.weapon].toHexString();
+        }
+    }
+
+    updateSmartBombDisplay() {
+        if (!this.smartBombText) return;
+        this.smartBombText.text = `Smart Bombs: ${this.localPlayer.smartBombs}`;
+    }
+
+    flashScreen(color, alpha) {
+        if (!this.flashOverlay) return;
+
+        this.flashOverlay.background = color;
+        const flashAnimation = new BABYLON.Animation(
+            "flashAnimation",
+            "alpha",
+            30,
+            BABYLON.Animation.ANIMATIONTYPE_FLOAT,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+        flashAnimation.setKeys([
+            { frame: 0, value: alpha },
+            { frame: 20, value: 0 }
+        ]);
+        this.flashOverlay.animations = [flashAnimation];
+        this.scene.beginAnimation(this.flashOverlay, 0, 20, false);
+    }
+
+    showStatus(message, color, duration) {
+        if (!this.statusText) return;
+
+        this.statusText.text = message;
+        this.statusText.color = color;
+        clearTimeout(this.statusTimeout);
+        if (duration) {
+            this.statusTimeout = setTimeout(() => {
+                this.statusText.text = "";
+            }, duration);
         }
     }
 
     updateHealthBar() {
         if (!this.healthBar) return;
-        this.healthBar.width = (this.health / this.maxHealth * 100) + "%";
-        if (this.health < 30) {
-            this.healthBar.background = "darkred";
-        }
+        const player = this.localPlayer;
+        this.healthBar.width = (player.health / player.maxHealth * 100) + "%";
+        this.healthBar.background = player.health < 30 ? "darkred" : "red";
     }
 
     updateEnergyBar() {
         if (!this.energyBar) return;
-        this.energyBar.width = (this.energy / this.maxEnergy * 100) + "%";
+        const player = this.localPlayer;
+        this.energyBar.width = (player.energy / player.maxEnergy * 100) + "%";
+    }
+
+    updateShieldBar() {
+        if (!this.shieldBar) return;
+        const player = this.localPlayer;
+        this.shieldBar.width = (player.shield / player.maxShield * 100) + "%";
+        this.shieldBar.alpha = player.shield < player.maxShield * 0.25 ? 0.5 : 1;
+    }
+
+    // Mothership health across all its parts, only while one is in the fight
+    updateBossBar() {
+        if (!this.bossBar) return;
+        const boss = this.simulation.boss;
+        this.bossBarContainer.isVisible = !!boss;
+        this.bossLabel.isVisible = !!boss;
+        if (!boss) return;
+
+        this.bossBar.width = (boss.health * 100) + "%";
+        this.bossLabel.text = boss.phase === 0 ? "MOTHERSHIP" : `MOTHERSHIP - PHASE ${boss.phase}`;
+    }
+
+    // Pips per system as text, and as the strip under the energy bar
+    updatePowerDisplay() {
+        if (!this.powerText) return;
+
+        const power = this.localPlayer.power;
+        const pips = Object.values(power).reduce((sum, count) => sum + count, 0);
+        const labels = { engines: "ENG", weapons: "WPN", shields: "SHD" };
+        const text = "Power: " + Object.keys(labels)
+            .map(system => `${labels[system]} ${"\u25A0".repeat(power[system])}${"\u25A1".repeat(4 - power[system])}`)
+            .join("  ");
+        if (this.powerText.text === text) return;
+
+        this.powerText.text = text;
+        for (const [system, segment] of Object.entries(this.powerSegments)) {
+            segment.width = `${Math.round(power[system] / pips * 196)}px`;
+        }
     }
 
     updateWarningLights() {
-        if (this.health < 30 || this.energy < 30) {
+        const player = this.localPlayer;
+        this.soundAlarms(player);
+        if (this.isAlarmActive(player)) {
             const intensity = (Math.sin(Date.now() * 0.01) + 1) / 2;
             this.warningLights.forEach(light => {
                 light.material.emissiveColor = new BABYLON.Color3(intensity, 0, 0);
@@ -1393,34 +2406,70 @@ class Game {
         }
     }
 
+    // Hull or energy low enough to flash the warning lights and sound an alarm
+    isAlarmActive(player) {
+        return !player.isDying && !player.isOut && (player.health < 30 || player.energy < 30);
+    }
+
+    // Called every 500ms with the warning lights: the hull alarm takes priority and
+    // sounds every other beat, the low-energy alarm once a second after it
+    soundAlarms(player) {
+        this.alarmBeat = (this.alarmBeat + 1) % 2;
+        if (this.isMenuOpen() || player.isDying || player.isOut || this.alarmSilenced) return;
+
+        if (player.health < 30) {
+            if (this.alarmBeat === 0) this.sound.play('hullAlarm');
+        } else if (player.energy < 30) {
+            if (this.alarmBeat === 0) this.sound.play('energyAlarm');
+        }
+    }
+
     update() {
-        if (!this.isRunning || this.isGameOver) return;
+        if (!this.isRunning) return;
 
-        const currentTime = Date.now();
-        
         try {
-            // Spawn new lander if it's time
-            if (currentTime - this.lastLanderSpawn > this.landerSpawnInterval) {
-                this.spawnLander();
-                this.lastLanderSpawn = currentTime;
+            if (this.input) {
+                this.input.poll();
             }
+            this.handleLocalActions();
+
+            // Advance the simulation in fixed ticks. The solo game (and its mission timer)
+            // holds still while a menu is open; online the room keeps running regardless.
+            const isHeld = this.isReplayPaused || (this.isMenuOpen() && !this.network);
+            if (!this.simulation.isGameOver && !isHeld) {
+                this.tickAccumulator += this.engine.getDeltaTime() * this.playbackSpeed;
+                const maxTicks = Math.ceil(this.maxTicksPerFrame * this.playbackSpeed);
+                let ticks = 0;
+                while (this.tickAccumulator >= this.simulation.tickDuration && ticks < maxTicks) {
+                    if (this.network) {
+                        this.sendInput();
+                    } else {
+                        this.simulation.step({ [this.localPlayerId]: this.nextInput() });
+                    }
+                    this.tickAccumulator -= this.simulation.tickDuration;
+                    ticks++;
+                }
 
-            // Update energy
-            if (this.energy < this.maxEnergy) {
-                this.energy = Math.min(this.maxEnergy, this.energy + this.energyRechargeRate);
-                this.updateEnergyBar();
+                // Drop time we can't catch up on rather than spiralling after a stall
+                if (ticks === maxTicks) {
+                    this.tickAccumulator = 0;
+                }
             }
 
-            // Update game objects
-            this.updateLasers();
-            this.updateLanders();
-            this.updateAstronauts();
+            // Move remote entities along between server snapshots
+            if (this.network) {
+                this.simulation.update(performance.now());
+            }
 
-            // Check for collisions
-            this.checkCollisions();
+            this.handleSimulationEvents();
+            this.syncScene();
 
-            // Update game difficulty
-            this.updateDifficulty();
+            if (this.replay) {
+                if (!this.isReplayPaused && (this.simulation.isGameOver || this.simulation.tick >= this.replay.tickCount)) {
+                    this.finishReplay();
+                }
+                this.updateReplayControls();
+            }
 
         } catch (error) {
             console.error('Error in game update loop:', error);
@@ -1428,120 +2477,653 @@ class Game {
         }
     }
 
-    updateLasers() {
-        for (let i = this.lasers.length - 1; i >= 0; i--) {
-            const laser = this.lasers[i];
-            if (laser.position.y > 1000 || laser.position.y < -1000) {
-                laser.dispose();
-                this.lasers.splice(i, 1);
-            }
+    // Input for the next tick: recorded input in the replay viewer, otherwise the live controls
+    nextInput() {
+        if (this.replay) {
+            return this.replay.getInput(this.simulation.tick);
         }
+
+        const input = this.readInput();
+        this.recorder.record(input);
+        return input;
     }
 
-    updateLanders() {
-        for (let i = this.landers.length - 1; i >= 0; i--) {
-            const lander = this.landers[i];
-            
-            // Move lander down
-            lander.position.y -= this.gameSpeed * 0.5;
+    // Online games send each tick's input to the room server, which runs the simulation
+    sendInput() {
+        const input = this.readInput();
+        const seq = this.network.sendInput(input);
+        if (seq) {
+            this.simulation.recordLocalInput(seq, input);
+        }
+    }
+
+    setupNetwork() {
+        this.network.on('snapshot', message => {
+            this.simulation.receive(message.snapshot, message.events, performance.now());
+        });
 
-            // Remove if out of bounds
-            if (lander.position.y < -100) {
-                lander.dispose();
-                this.landers.splice(i, 1);
+        // Back in after a dropped connection
+        this.network.on('welcome', message => {
+            if (message.snapshot) {
+                this.simulation.receive(message.snapshot, [], performance.now());
             }
+            this.showStatus("RECONNECTED", "cyan", 2000);
+        });
+
+        this.network.on('connectionLost', () => {
+            this.showStatus("CONNECTION LOST - RECONNECTING", "orange");
+        });
+
+        this.network.on('disconnected', () => {
+            this.showStatus("DISCONNECTED FROM SERVER", "red");
+        });
+    }
+
+    // Pass everything the simulation reported since the last frame to the event bus
+    handleSimulationEvents() {
+        for (const event of this.simulation.drainEvents()) {
+            this.events.emit(event.type, event);
         }
     }
 
-    updateAstronauts() {
-        for (let i = this.astronauts.length - 1; i >= 0; i--) {
-            const astronaut = this.astronauts[i];
-            
-            // Apply gravity
-            astronaut.position.y -= this.gameSpeed * 0.3;
-
-            // Remove if out of bounds
-            if (astronaut.position.y < -100) {
-                astronaut.dispose();
-                this.astronauts.splice(i, 1);
-                this.updateScore(-50); // Penalty for lost astronaut
+    // Hook the HUD, scene effects, sound and session stats up to gameplay events
+    subscribeToEvents() {
+        this.subscribeHud();
+        this.subscribeScene();
+        this.subscribeAudio();
+        this.telemetry = new Telemetry(this.events);
+        // Watching a replay doesn't count towards the pilot's record
+        if (!this.replay) {
+            this.profileTracker = new ProfileTracker(this.events, this.profile, event => this.isLocalPlayerEvent(event));
+        }
+    }
+
+    subscribeHud() {
+        const events = this.events;
+        events.on('scoreChanged', () => this.updateScore());
+        events.on('enemyDestroyed', event => this.updateLandersDestroyed(event.points));
+        events.on('astronautRescued', event => this.updateAstronautsSaved(event.points));
+        events.on('astronautCaught', event => this.createScoringEffect(event.points, { x: 0, y: 110 }));
+        events.on('shotDestroyed', event => this.createScoringEffect(event.points, { x: 0, y: 80 }));
+        events.on('astronautCaptured', event => {
+            // Follow the astronaut itself while it's carried off, if it's still about
+            this.scanner.alert(
+                this.simulation.astronauts.find(astronaut => astronaut.id === event.astronaut.id) || event
+            );
+        });
+        events.on('playerDamaged', event => {
+            // The shield shimmers when it takes the whole hit
+            if (this.isLocalPlayerEvent(event) && event.hullDamage === 0) {
+                this.flashScreen("cyan", 0.3);
+            }
+        });
+        events.on('shieldsDown', event => {
+            if (this.isLocalPlayerEvent(event)) {
+                this.showStatus("SHIELDS DOWN", "orange", 1500);
+            }
+        });
+        events.on('autopilotChanged', event => {
+            if (this.isLocalPlayerEvent(event)) {
+                this.showStatus(event.engaged ? "LEVEL HOLD ENGAGED" : "LEVEL HOLD OFF", "lime", 1000);
+            }
+        });
+        events.on('weaponUpgraded', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            const name = Weapons[event.weapon].name;
+            this.showStatus(event.unlocked ? `${name} ONLINE` : `${name} LEVEL ${event.level}`,
+                this.weaponColors[event.weapon].toHexString(), 2000);
+            this.createScoringEffect(event.points, { x: 0, y: 140 });
+        });
+        events.on('lifeLost', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            this.updateLivesDisplay();
+            this.flashScreen("red", 0.8);
+            this.showStatus(event.lives > 0 ? "SHIP DESTROYED" : "", "red");
+        });
+        events.on('playerRespawned', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            this.showStatus("READY", "cyan", event.invulnerabilityDuration);
+        });
+        events.on('smartBomb', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            this.updateSmartBombDisplay();
+            this.flashScreen("white", 0.9);
+        });
+        events.on('hyperspace', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            this.flashScreen("cyan", 1);
+            if (!event.failed) {
+                this.showStatus("HYPERSPACE", "cyan", 1000);
+            }
+        });
+        events.on('playerOut', event => {
+            // Single-player goes straight to the game over screen
+            if (this.network) {
+                this.showStatus(this.isLocalPlayerEvent(event)
+                    ? "OUT OF SHIPS - SPECTATING"
+                    : `${this.getPilotName(event.player)} IS OUT`, "red", 3000);
+            }
+        });
+        events.on('playerDisconnected', event => {
+            this.showStatus(`${this.getPilotName(event.player)} DISCONNECTED`, "orange", 3000);
+        });
+        events.on('playerReconnected', event => {
+            this.showStatus(`${this.getPilotName(event.player)} IS BACK`, "cyan", 2000);
+        });
+        events.on('planetDestroyed', () => {
+            this.flashScreen("white", 1);
+            this.showStatus("PLANET DESTROYED", "red", 3000);
+        });
+        events.on('waveStarted', event => {
+            this.hideWaveSummary();
+            this.waveText.text = (this.replay ? "REPLAY - " : "") +
+                (event.planetDestroyed ? `Wave ${event.wave} - MUTANT ATTACK` : `Wave ${event.wave}`);
+            this.showStatus(`WAVE ${event.wave}`, "white", 2000);
+        });
+        events.on('bossSpawned', () => {
+            this.flashScreen("magenta", 0.5);
+            this.showStatus("WARNING: MOTHERSHIP INBOUND", "magenta", 3000);
+        });
+        events.on('bossPhaseChanged', event => {
+            const messages = { 2: "TURRETS DESTROYED", 3: "CORE EXPOSED" };
+            if (messages[event.phase]) {
+                this.showStatus(messages[event.phase], "magenta", 2000);
+            }
+        });
+        events.on('bossDefeated', event => {
+            this.flashScreen("white", 1);
+            this.showStatus("MOTHERSHIP DESTROYED", "lime", 3000);
+            this.createScoringEffect(event.points, { x: 0, y: 80 });
+        });
+        events.on('achievementUnlocked', event => this.showAchievementToast(event));
+        events.on('waveCompleted', event => this.showWaveSummary(event));
+        events.on('gameOver', () => {
+            if (!this.replay) {
+                this.showGameOver();
+            }
+        });
+    }
+
+    subscribeScene() {
+        const events = this.events;
+        events.on('explosion', event => {
+            this.createExplosion(this.toBabylonVector(this.viewPosition(event.position)));
+        });
+        events.on('planetDestroyed', () => this.setPlanetVisible(false));
+        events.on('planetRestored', () => this.setPlanetVisible(true));
+    }
+
+    subscribeAudio() {
+        const events = this.events;
+        const sound = this.sound;
+        events.on('laserFired', event => {
+            // Each weapon has a synth of the same name; wingmen's shots come from where they are
+            if (this.isLocalPlayerEvent(event)) {
+                sound.play(event.weapon);
+            } else {
+                sound.play(event.weapon, { position: this.viewPosition(event.position), volume: 0.6 });
+            }
+        });
+        events.on('weaponUpgraded', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('weaponPickup');
+        });
+        events.on('weaponChanged', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('weaponSwitch');
+        });
+        events.on('enemyFired', event => {
+            const name = event.kind === 'bomb' ? 'enemyBomb' : 'enemyBolt';
+            sound.play(name, { position: this.viewPosition(event.position), volume: 0.7 });
+        });
+        events.on('explosion', event => sound.play('explosion', { position: this.viewPosition(event.position) }));
+        events.on('bossSpawned', () => sound.play('bossWarning'));
+        events.on('bossDefeated', () => sound.play('bossDefeated'));
+        events.on('achievementUnlocked', () => sound.play('achievement'));
+        events.on('astronautRescued', () => sound.play('astronautRescued'));
+        events.on('astronautCaught', () => sound.play('astronautCaught'));
+        events.on('astronautLost', () => sound.play('astronautLost'));
+        events.on('playerDamaged', event => {
+            if (!this.isLocalPlayerEvent(event)) return;
+            sound.play(event.hullDamage > 0 ? 'hit' : 'shieldHit');
+        });
+        events.on('shieldsDown', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('shieldsDown');
+        });
+        events.on('powerChanged', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('powerShift');
+        });
+        events.on('autopilotChanged', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('powerShift');
+        });
+        events.on('lifeLost', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('shipDestroyed');
+        });
+        events.on('smartBomb', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('smartBomb');
+        });
+        events.on('hyperspace', event => {
+            if (this.isLocalPlayerEvent(event)) sound.play('hyperspace');
+        });
+    }
+
+    isLocalPlayerEvent(event) {
+        return !!event.player && event.player.id === this.localPlayerId;
+    }
+
+    getPilotName(playerRef) {
+        const player = this.simulation.getPlayer(playerRef.id);
+        return player && player.name ? player.name.toUpperCase() : "WINGMAN";
+    }
+
+    // Hear the world from the cockpit; landers hum and the soundtrack follows the
+    // fight while the mission is live
+    syncAudio() {
+        const forward = this.camera.getDirection(BABYLON.Axis.Z);
+        const up = this.camera.getDirection(BABYLON.Axis.Y);
+        this.sound.setListener(this.camera.position, forward, up);
+
+        const isQuiet = this.simulation.isGameOver || this.isMenuOpen() || this.isReplayPaused;
+        const landers = isQuiet ? [] : this.simulation.enemies.filter(enemy => enemy.type === 'lander');
+        this.sound.updateHums(landers, this.localPlayer.position, lander => this.viewPosition(lander.position));
+
+        const player = this.localPlayer;
+        const simulation = this.simulation;
+        this.soundtrack.update({
+            enemyCount: simulation.enemies.length,
+            closestDistance: simulation.getClosestLanderDistance(player),
+            difficulty: simulation.difficulty,
+            hull: player.health / player.maxHealth,
+            isCalm: isQuiet || simulation.isBetweenWaves
+        });
+    }
+
+    // Match the camera and entity meshes to the current simulation state
+    syncScene() {
+        const player = this.localPlayer;
+        this.camera.position.set(player.position.x, player.position.y, player.position.z);
+        this.camera.rotation.set(player.rotation.x, player.rotation.y, player.rotation.z);
+        this.landscape.update(this.camera.position);
+
+        this.syncMeshes(this.simulation.enemies, this.enemyMeshes, enemy => this.createEnemyMesh(enemy));
+        this.syncMeshes(this.simulation.astronauts, this.astronautMeshes, () => this.createAstronautMesh());
+        this.syncMeshes(this.simulation.lasers, this.laserMeshes, laser => this.createLaserMesh(laser));
+        this.syncMeshes(this.simulation.enemyShots, this.enemyShotMeshes, shot => this.createEnemyShotMesh(shot));
+        this.syncMeshes(this.simulation.pickups, this.pickupMeshes, pickup => this.createPickupMesh(pickup));
+        this.syncAudio();
+
+        // Co-op wingmen
+        const wingmen = this.simulation.players.filter(other =>
+            other.id !== this.localPlayerId && other.connected && !other.isDying
+        );
+        this.syncMeshes(wingmen, this.shipMeshes, other => this.createShipMesh(other));
+        for (const other of wingmen) {
+            this.shipMeshes.get(other).rotation.set(other.rotation.x, other.rotation.y, other.rotation.z);
+        }
+        this.updateScanner(wingmen);
+        if (this.network) {
+            this.updateWingmenDisplay();
+        }
+
+        // Cosmetic spin for enemy types that tumble, for bombs and for pickups
+        for (const mesh of [...this.enemyMeshes.values(), ...this.enemyShotMeshes.values(), ...this.pickupMeshes.values()]) {
+            if (mesh.metadata.spin) {
+                mesh.rotation.addInPlace(mesh.metadata.spin);
+            }
+        }
+
+        // Missiles turn as they home in
+        for (const [laser, mesh] of this.laserMeshes) {
+            if (laser.weapon === 'missile') {
+                this.pointAlong(mesh, laser.direction);
             }
         }
+        this.updateCoreShield();
+
+        this.updateHealthBar();
+        this.updateEnergyBar();
+        this.updateShieldBar();
+        this.updateBossBar();
+        this.updatePowerDisplay();
+        this.updateWeaponDisplay();
+        this.cockpitSwitches.update(performance.now());
     }
 
-    updateDifficulty() {
-        const timePlayed = (Date.now() - this.startTime) / 1000; // Time in seconds
-        
-        // Increase difficulty every 30 seconds
-        this.difficulty = Math.min(10, 1 + Math.floor(timePlayed / 30));
-        
-        // Adjust game parameters based on difficulty
-        this.gameSpeed = 1 + (this.difficulty * 0.1);
-        this.landerSpawnInterval = Math.max(1000, 3000 - (this.difficulty * 200));
-        this.maxEnemies = 5 + Math.floor(this.difficulty / 2);
+    updateScanner(wingmen) {
+        // Horizontal field of view, from the camera's vertical one and the screen shape
+        const aspect = this.engine.getAspectRatio(this.camera);
+        const viewAngle = 2 * Math.atan(Math.tan(this.camera.fov / 2) * aspect);
+
+        this.scanner.update({
+            planet: this.simulation.planet,
+            player: this.localPlayer,
+            wingmen,
+            enemies: this.simulation.enemies,
+            astronauts: this.simulation.astronauts,
+            viewDistance: this.landscape.viewDistance,
+            viewAngle
+        });
     }
 
-    checkCollisions() {
-        // Check laser collisions with landers
-        for (let i = this.lasers.length - 1; i >= 0; i--) {
-            const laser = this.lasers[i];
-            
-            for (let j = this.landers.length - 1; j >= 0; j--) {
-                const lander = this.landers[j];
-                
-                if (this.checkObjectCollision(laser, lander)) {
-                    // Create explosion effect
-                    this.createExplosion(lander.position);
-                    
-                    // Remove both objects
-                    laser.dispose();
-                    lander.dispose();
-                    this.lasers.splice(i, 1);
-                    this.landers.splice(j, 1);
-                    
-                    // Update score
-                    this.updateScore(100);
-                    break;
-                }
+    syncMeshes(entities, meshes, createMesh) {
+        // Put away meshes whose entity has left the simulation
+        const alive = new Set(entities);
+        for (const [entity, mesh] of meshes) {
+            if (!alive.has(entity)) {
+                this.removeMesh(mesh);
+                meshes.delete(entity);
             }
         }
+
+        for (const entity of entities) {
+            let mesh = meshes.get(entity);
+            if (!mesh) {
+                mesh = createMesh(entity);
+                meshes.set(entity, mesh);
+            }
+            const position = this.viewPosition(entity.position);
+            mesh.position.set(position.x, position.y, position.z);
+        }
+    }
+
+    removeMesh(mesh) {
+        if (mesh.metadata.pool) {
+            mesh.metadata.pool.release(mesh);
+        } else {
+            mesh.dispose(false, mesh.metadata.ownsMaterial);
+        }
+    }
+
+    // Pool of instances of the template mesh that createTemplate() builds on first use
+    getMeshPool(name, createTemplate) {
+        let pool = this.meshPools.get(name);
+        if (!pool) {
+            const template = createTemplate();
+            template.isVisible = false;
+            const spin = template.metadata && template.metadata.spin;
+            pool = new MeshPool(name, () => {
+                const instance = template.createInstance(name);
+                instance.metadata = { spin };
+                return instance;
+            });
+            this.meshPools.set(name, pool);
+            this.resources.trackPool(name, pool);
+        }
+        return pool;
+    }
+
+    // Where to draw something so it sits on the camera's side of the planet's seam
+    viewPosition(position) {
+        return this.simulation.planet.nearestCopy(position, this.camera.position);
+    }
+
+    createEnemyMesh(enemy) {
+        const mesh = this.getMeshPool(enemy.type, () => this.createEnemyTemplate(enemy.type)).acquire();
+        mesh.rotation.setAll(0);
+        return mesh;
+    }
+
+    // One mesh and material per enemy type, shared by every enemy of that type
+    createEnemyTemplate(type) {
+        let mesh;
+        let material;
+        let spin = null;
+
+        switch (type) {
+            case 'mutant':
+                mesh = BABYLON.MeshBuilder.CreateSphere("mutant", { diameter: 2, segments: 8 }, this.scene);
+                material = this.createEnemyMaterial("mutantMaterial",
+                    new BABYLON.Color3(0.7, 0, 1), new BABYLON.Color3(0.4, 0, 0.5));
+                break;
+            case 'baiter':
+                mesh = BABYLON.MeshBuilder.CreateTorus("baiter", { diameter: 2.5, thickness: 0.5, tessellation: 16 }, this.scene);
+                material = this.createEnemyMaterial("baiterMaterial",
+                    new BABYLON.Color3(0, 1, 0.4), new BABYLON.Color3(0, 0.5, 0.2));
+                spin = new BABYLON.Vector3(0.1, 0, 0);
+                break;
+            case 'bomber':
+                mesh = BABYLON.MeshBuilder.CreateBox("bomber", { width: 3, height: 1, depth: 2 }, this.scene);
+                material = this.createEnemyMaterial("bomberMaterial",
+                    new BABYLON.Color3(1, 0.5, 0), new BABYLON.Color3(0.4, 0.2, 0));
+                spin = new BABYLON.Vector3(0, 0.01, 0);
+                break;
+            case 'mine':
+                mesh = BABYLON.MeshBuilder.CreatePolyhedron("mine", { type: 1, size: 0.4 }, this.scene);
+                material = this.createEnemyMaterial("mineMaterial",
+                    new BABYLON.Color3(1, 1, 0), new BABYLON.Color3(0.6, 0.6, 0));
+                spin = new BABYLON.Vector3(0, 0.05, 0);
+                break;
+            case 'pod':
+                mesh = BABYLON.MeshBuilder.CreatePolyhedron("pod", { type: 2, size: 1.2 }, this.scene);
+                material = this.createEnemyMaterial("podMaterial",
+                    new BABYLON.Color3(0.5, 0, 0.8), new BABYLON.Color3(0.3, 0, 0.4));
+                spin = new BABYLON.Vector3(0.01, 0.02, 0);
+                break;
+            case 'mothership':
+                // Flattened into a saucer; instances don't pick up the template's scaling
+                mesh = BABYLON.MeshBuilder.CreateSphere("mothership", { diameter: 24, segments: 16 }, this.scene);
+                mesh.scaling.y = 0.25;
+                mesh.bakeCurrentTransformIntoVertices();
+                material = this.createEnemyMaterial("mothershipMaterial",
+                    new BABYLON.Color3(0.4, 0.4, 0.5), new BABYLON.Color3(0.1, 0.1, 0.2));
+                spin = new BABYLON.Vector3(0, 0.002, 0);
+                break;
+            case 'turret':
+                mesh = BABYLON.MeshBuilder.CreateBox("turret", { size: 2 }, this.scene);
+                material = this.createEnemyMaterial("turretMaterial",
+                    new BABYLON.Color3(1, 0.1, 0.1), new BABYLON.Color3(0.4, 0, 0));
+                spin = new BABYLON.Vector3(0, 0.02, 0);
+                break;
+            case 'bay':
+                mesh = BABYLON.MeshBuilder.CreateCylinder("bay", { diameter: 3, height: 1.5, tessellation: 12 }, this.scene);
+                material = this.createEnemyMaterial("bayMaterial",
+                    new BABYLON.Color3(1, 0.6, 0), new BABYLON.Color3(0.4, 0.2, 0));
+                break;
+            case 'core':
+                mesh = BABYLON.MeshBuilder.CreateSphere("core", { diameter: 4, segments: 16 }, this.scene);
+                material = this.createEnemyMaterial("coreMaterial",
+                    new BABYLON.Color3(1, 0, 1), new BABYLON.Color3(0.7, 0, 0.7));
+                break;
+            case 'swarmer':
+                mesh = BABYLON.MeshBuilder.CreateSphere("swarmer", { diameter: 0.8, segments: 6 }, this.scene);
+                material = this.createEnemyMaterial("swarmerMaterial",
+                    new BABYLON.Color3(1, 0.4, 0.7), new BABYLON.Color3(0.5, 0.1, 0.3));
+                break;
+            default:
+                mesh = BABYLON.MeshBuilder.CreateSphere("lander", { diameter: 2, segments: 16 }, this.scene);
+                material = this.createEnemyMaterial("landerMaterial",
+                    new BABYLON.Color3(1, 0, 0), new BABYLON.Color3(0.3, 0, 0));
+                break;
+        }
+
+        mesh.material = material;
+        mesh.metadata = { spin };
+        return mesh;
+    }
+
+    // Bubble over the mothership's core until the phase that exposes it
+    updateCoreShield() {
+        const boss = this.simulation.boss;
+        const core = boss && boss.phase < 3
+            ? [...this.enemyMeshes].find(([enemy]) => enemy.type === 'core')
+            : null;
+
+        if (!core) {
+            if (this.coreShieldMesh) this.coreShieldMesh.isVisible = false;
+            return;
+        }
+
+        if (!this.coreShieldMesh) {
+            this.coreShieldMesh = BABYLON.MeshBuilder.CreateSphere("coreShield", { diameter: 7, segments: 12 }, this.scene);
+            const material = new BABYLON.StandardMaterial("coreShieldMaterial", this.scene);
+            material.diffuseColor = new BABYLON.Color3(0, 0.8, 1);
+            material.emissiveColor = new BABYLON.Color3(0, 0.4, 0.6);
+            material.alpha = 0.3;
+            material.backFaceCulling = false;
+            this.coreShieldMesh.material = material;
+            this.coreShieldMesh.isPickable = false;
+        }
+        this.coreShieldMesh.isVisible = true;
+        this.coreShieldMesh.position.copyFrom(core[1].position);
     }
 
-    checkObjectCollision(obj1, obj2) {
-        const distance = BABYLON.Vector3.Distance(obj1.position, obj2.position);
-        return distance < 2; // Collision threshold
+    createEnemyMaterial(name, diffuseColor, emissiveColor) {
+        const material = new BABYLON.StandardMaterial(name, this.scene);
+        material.diffuseColor = diffuseColor;
+        material.emissiveColor = emissiveColor;
+        return material;
+    }
+
+    createAstronautMesh() {
+        return this.getMeshPool("astronaut", () => {
+            const mesh = BABYLON.MeshBuilder.CreateSphere("astronaut", {
+                diameter: 2,
+                segments: 16
+            }, this.scene);
+            mesh.material = this.astronautMaterial;
+            return mesh;
+        }).acquire();
+    }
+
+    // Wingman ship with a name tag so pilots can tell each other apart
+    createShipMesh(player) {
+        const color = BABYLON.Color3.FromHexString(this.shipColors[player.slot % this.shipColors.length]);
+
+        const body = BABYLON.MeshBuilder.CreateCylinder("shipBody", {
+            height: 3,
+            diameterTop: 0.2,
+            diameterBottom: 0.8,
+            tessellation: 8
+        }, this.scene);
+        body.rotation.x = Math.PI / 2;
+        const wings = BABYLON.MeshBuilder.CreateBox("shipWings", {
+            width: 3,
+            height: 0.1,
+            depth: 1
+        }, this.scene);
+        wings.position.z = -0.5;
+
+        const mesh = BABYLON.Mesh.MergeMeshes([body, wings], true);
+        mesh.material = this.createEnemyMaterial(`shipMaterial${player.id}`, color, color.scale(0.4));
+        mesh.metadata = { ownsMaterial: true };
+
+        const label = new BABYLON.GUI.TextBlock(`shipLabel${player.id}`, player.name);
+        label.color = this.shipColors[player.slot % this.shipColors.length];
+        label.fontSize = 14;
+        this.guiTexture.addControl(label);
+        label.linkWithMesh(mesh);
+        label.linkOffsetY = -30;
+        mesh.onDisposeObservable.add(() => label.dispose());
+
+        return mesh;
+    }
+
+    createLaserMesh(laser) {
+        // Cylinder length and thickness for each weapon's shots
+        const shapes = {
+            laser: { height: 2, diameter: 0.1 },
+            spread: { height: 1.2, diameter: 0.15 },
+            beam: { height: 5, diameter: 0.4 },
+            missile: { height: 1.2, diameter: 0.3 }
+        };
+        const weapon = shapes[laser.weapon] ? laser.weapon : 'laser';
+
+        const mesh = this.getMeshPool(weapon === 'laser' ? "laser" : `${weapon}Shot`, () => {
+            const laserMaterial = new BABYLON.StandardMaterial(`${weapon}ShotMaterial`, this.scene);
+            laserMaterial.emissiveColor = this.weaponColors[weapon];
+            laserMaterial.alpha = 0.8;
+
+            const template = BABYLON.MeshBuilder.CreateCylinder(`${weapon}Shot`, shapes[weapon], this.scene);
+            template.material = laserMaterial;
+            return template;
+        }).acquire();
+
+        this.pointAlong(mesh, laser.direction);
+        return mesh;
+    }
+
+    // Turn a cylinder to lie along a direction of travel
+    pointAlong(mesh, direction) {
+        if (!mesh.rotationQuaternion) {
+            mesh.rotationQuaternion = new BABYLON.Quaternion();
+        }
+        BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), this.toBabylonVector(direction), mesh.rotationQuaternion);
+    }
+
+    // Glowing bolts, and bigger spiked bombs that tumble; unlit so they stand out
+    // against the dark sky
+    createEnemyShotMesh(shot) {
+        const kind = shot.kind === 'bomb' ? 'bomb' : 'bolt';
+        return this.getMeshPool(`${kind}EnemyShot`, () => {
+            const material = new BABYLON.StandardMaterial(`${kind}EnemyShotMaterial`, this.scene);
+            material.disableLighting = true;
+            material.emissiveColor = kind === 'bomb'
+                ? new BABYLON.Color3(1, 0.2, 1)
+                : new BABYLON.Color3(1, 0.45, 0.1);
+
+            const template = kind === 'bomb'
+                ? BABYLON.MeshBuilder.CreatePolyhedron(`${kind}EnemyShot`, { type: 2, size: 0.9 }, this.scene)
+                : BABYLON.MeshBuilder.CreateSphere(`${kind}EnemyShot`, { diameter: 0.8, segments: 8 }, this.scene);
+            template.material = material;
+            if (kind === 'bomb') {
+                template.metadata = { spin: new BABYLON.Vector3(0.07, 0.11, 0) };
+            }
+            return template;
+        }).acquire();
+    }
+
+    // Spinning crystal in the weapon's color
+    createPickupMesh(pickup) {
+        return this.getMeshPool(`${pickup.weapon}Pickup`, () => {
+            const template = BABYLON.MeshBuilder.CreatePolyhedron(`${pickup.weapon}Pickup`, { type: 1, size: 1 }, this.scene);
+            const material = new BABYLON.StandardMaterial(`${pickup.weapon}PickupMaterial`, this.scene);
+            material.diffuseColor = this.weaponColors[pickup.weapon];
+            material.emissiveColor = this.weaponColors[pickup.weapon].scale(0.6);
+            template.material = material;
+            template.metadata = { spin: new BABYLON.Vector3(0, 0.05, 0) };
+            return template;
+        }).acquire();
+    }
+
+    toBabylonVector(v) {
+        return new BABYLON.Vector3(v.x, v.y, v.z);
+    }
+
+    setPlanetVisible(visible) {
+        this.landscape.setVisible(visible);
+    }
+
+    showWaveSummary(summary) {
+        this.hideWaveSummary();
+
+        const summaryScreen = new BABYLON.GUI.Rectangle();
+        summaryScreen.width = "400px";
+        summaryScreen.height = "220px";
+        summaryScreen.cornerRadius = 20;
+        summaryScreen.color = "white";
+        summaryScreen.thickness = 2;
+        summaryScreen.background = "black";
+        summaryScreen.alpha = 0.85;
+        this.guiTexture.addControl(summaryScreen);
+
+        const summaryText = new BABYLON.GUI.TextBlock();
+        summaryText.text = `WAVE ${summary.wave} COMPLETE\n\n` + (summary.planetDestroyed
+            ? "Planet destroyed\nNo astronaut bonus"
+            : `Astronauts Surviving: ${summary.survivors}\n` +
+              `Bonus: ${summary.survivors} x ${summary.bonusPerAstronaut} = ${summary.bonus}`);
+        summaryText.color = "white";
+        summaryText.fontSize = 22;
+        summaryScreen.addControl(summaryText);
+
+        this.waveSummaryScreen = summaryScreen;
+    }
+
+    hideWaveSummary() {
+        if (this.waveSummaryScreen) {
+            this.waveSummaryScreen.dispose();
+            this.waveSummaryScreen = null;
+        }
     }
 
     createExplosion(position) {
-        // Create particle system for explosion
-        const explosion = new BABYLON.ParticleSystem("explosion", 100, this.scene);
-        explosion.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene);
-        explosion.emitter = position;
-        explosion.minEmitBox = new BABYLON.Vector3(-0.5, -0.5, -0.5);
-        explosion.maxEmitBox = new BABYLON.Vector3(0.5, 0.5, 0.5);
-        explosion.color1 = new BABYLON.Color4(1, 0.5, 0, 1.0);
-        explosion.color2 = new BABYLON.Color4(1, 0, 0, 1.0);
-        explosion.minSize = 0.3;
-        explosion.maxSize = 0.8;
-        explosion.minLifeTime = 0.3;
-        explosion.maxLifeTime = 0.5;
-        explosion.emitRate = 100;
-        explosion.gravity = new BABYLON.Vector3(0, 0, 0);
-        explosion.direction1 = new BABYLON.Vector3(-1, -1, -1);
-        explosion.direction2 = new BABYLON.Vector3(1, 1, 1);
-        explosion.minEmitPower = 1;
-        explosion.maxEmitPower = 3;
-        explosion.updateSpeed = 0.01;
-
-        // Start the particle system
-        explosion.start();
-
-        // Stop and dispose after animation
-        setTimeout(() => {
-            explosion.stop();
-            setTimeout(() => {
-                explosion.dispose();
-            }, 1000);
-        }, 300);
+        this.explosions.play(position);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,521 @@
+// Maps physical inputs (keyboard, mouse, gamepad and on-screen touch controls) to the
+// named actions the simulation understands. Bindings are strings such as
+// "Key:KeyW", "Mouse:0", "PadButton:7" or "PadAxis:1-" and can be rebound in game.
+// Local actions are for Game itself (cockpit switches, sound, the pointer) and never
+// reach the simulation; Game collects them each frame with takeLocalActions().
+class InputManager {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.bindingsStorageKey = 'defender2084.bindings';
+        this.bindings = this.loadBindings();
+
+        // Look sensitivity
+        this.mouseSensitivity = 0.002;
+        this.padLookSpeed = 0.04;
+        this.touchLookSpeed = 0.04;
+        this.invertY = false;
+
+        // Gamepad tuning
+        this.deadzone = 0.15;
+        this.axisThreshold = 0.5;
+        this.captureThreshold = 0.7;
+
+        // Raw device state
+        this.pressedKeys = new Set();
+        this.pressedMouseButtons = new Set();
+        this.pad = { buttons: [], axes: [] };
+        this.previousPadBindings = new Set();
+        this.touch = { move: { x: 0, y: 0 }, look: { x: 0, y: 0 }, buttons: new Set() };
+
+        // Accumulated between ticks and consumed by sample()
+        this.lookDelta = { x: 0, y: 0 };
+        this.pendingActions = new Set();
+        this.pendingLocalActions = new Set();
+
+        // Set while the rebinding screen waits for a new input
+        this.capture = null;
+    }
+
+    static get actions() {
+        return [
+            { name: 'forward', label: 'Forward' },
+            { name: 'back', label: 'Back' },
+            { name: 'left', label: 'Strafe Left' },
+            { name: 'right', label: 'Strafe Right' },
+            { name: 'up', label: 'Thrust Up' },
+            { name: 'down', label: 'Thrust Down' },
+            { name: 'rollLeft', label: 'Roll Left' },
+            { name: 'rollRight', label: 'Roll Right' },
+            { name: 'fire', label: 'Fire' },
+            { name: 'smartBomb', label: 'Smart Bomb', oneShot: true },
+            { name: 'hyperspace', label: 'Hyperspace', oneShot: true },
+            { name: 'nextWeapon', label: 'Next Weapon', oneShot: true },
+            { name: 'powerEngines', label: 'Power to Engines', oneShot: true },
+            { name: 'powerWeapons', label: 'Power to Weapons', oneShot: true },
+            { name: 'powerShields', label: 'Power to Shields', oneShot: true },
+            { name: 'powerBalance', label: 'Balance Power', oneShot: true },
+            { name: 'levelHold', label: 'Autopilot Level Hold', oneShot: true },
+            { name: 'radarZoom', label: 'Radar Zoom', oneShot: true, local: true },
+            { name: 'landingLights', label: 'Landing Lights', oneShot: true, local: true },
+            { name: 'alarmSilence', label: 'Silence Alarms', oneShot: true, local: true },
+            { name: 'cockpitCursor', label: 'Cockpit Cursor', oneShot: true, local: true },
+            { name: 'mute', label: 'Mute', oneShot: true, local: true }
+        ];
+    }
+
+    // Keys Game keeps for itself: pause, the rebinding screen, saving a replay and the
+    // resource log. They can't be bound to an action.
+    static get reservedBindings() {
+        return ['Key:Escape', 'Key:F1', 'Key:F8', 'Key:F9'];
+    }
+
+    // Two keyboard/mouse slots and one gamepad slot per action
+    static defaultBindings() {
+        return {
+            forward: { keys: ['Key:KeyW', 'Key:ArrowUp'], pad: 'PadAxis:1-' },
+            back: { keys: ['Key:KeyS', 'Key:ArrowDown'], pad: 'PadAxis:1+' },
+            left: { keys: ['Key:KeyA', 'Key:ArrowLeft'], pad: 'PadAxis:0-' },
+            right: { keys: ['Key:KeyD', 'Key:ArrowRight'], pad: 'PadAxis:0+' },
+            up: { keys: ['Key:KeyQ', null], pad: 'PadButton:5' },
+            down: { keys: ['Key:KeyE', null], pad: 'PadButton:4' },
+            rollLeft: { keys: ['Key:KeyZ', null], pad: 'PadButton:14' },
+            rollRight: { keys: ['Key:KeyC', null], pad: 'PadButton:15' },
+            fire: { keys: ['Key:Space', 'Mouse:0'], pad: 'PadButton:7' },
+            smartBomb: { keys: ['Key:KeyB', null], pad: 'PadButton:2' },
+            hyperspace: { keys: ['Key:KeyH', null], pad: 'PadButton:3' },
+            nextWeapon: { keys: ['Key:KeyR', null], pad: 'PadButton:1' },
+            powerEngines: { keys: ['Key:Digit1', null], pad: 'PadButton:12' },
+            powerWeapons: { keys: ['Key:Digit2', null], pad: 'PadButton:13' },
+            powerShields: { keys: ['Key:Digit3', null], pad: 'PadButton:6' },
+            powerBalance: { keys: ['Key:Digit4', null], pad: null },
+            levelHold: { keys: ['Key:KeyK', null], pad: null },
+            radarZoom: { keys: ['Key:KeyG', null], pad: null },
+            landingLights: { keys: ['Key:KeyL', null], pad: null },
+            alarmSilence: { keys: ['Key:KeyN', null], pad: null },
+            cockpitCursor: { keys: ['Key:KeyV', null], pad: null },
+            mute: { keys: ['Key:KeyM', null], pad: null }
+        };
+    }
+
+    loadBindings() {
+        const bindings = InputManager.defaultBindings();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.bindingsStorageKey) || '{}');
+            const reserved = InputManager.reservedBindings;
+            for (const action of Object.keys(bindings)) {
+                if (stored[action]) {
+                    bindings[action] = {
+                        keys: stored[action].keys.map(binding => (reserved.includes(binding) ? null : binding)),
+                        pad: stored[action].pad
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load key bindings, using defaults:', error);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        localStorage.setItem(this.bindingsStorageKey, JSON.stringify(this.bindings));
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.defaultBindings();
+        this.saveBindings();
+    }
+
+    // slot is 0 or 1 for the keyboard/mouse slots, or 'pad'. Returns false, leaving the
+    // bindings alone, for a reserved key.
+    setBinding(action, slot, binding) {
+        if (InputManager.reservedBindings.includes(binding)) return false;
+
+        // A physical input drives one action at a time
+        for (const other of Object.values(this.bindings)) {
+            other.keys = other.keys.map(existing => (existing === binding ? null : existing));
+            if (other.pad === binding) other.pad = null;
+        }
+
+        if (slot === 'pad') {
+            this.bindings[action].pad = binding;
+        } else {
+            this.bindings[action].keys[slot] = binding;
+        }
+        this.saveBindings();
+        return true;
+    }
+
+    attach() {
+        window.addEventListener('keydown', (e) => {
+            const binding = `Key:${e.code}`;
+            if (this.capture) {
+                if (this.capture.slot !== 'pad') {
+                    e.preventDefault();
+                    this.finishCapture(e.code === 'Escape' ? null : binding);
+                }
+                return;
+            }
+
+            if (!e.repeat) {
+                this.pressBinding(binding);
+            }
+            this.pressedKeys.add(binding);
+        });
+
+        window.addEventListener('keyup', (e) => {
+            this.pressedKeys.delete(`Key:${e.code}`);
+        });
+
+        // Clear held keys when focus leaves the page so nothing sticks down
+        window.addEventListener('blur', () => {
+            this.pressedKeys.clear();
+            this.pressedMouseButtons.clear();
+        });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            const binding = `Mouse:${e.button}`;
+            if (this.capture) {
+                if (this.capture.slot !== 'pad') {
+                    this.finishCapture(binding);
+                }
+                return;
+            }
+
+            // Mouse buttons only count once the pointer is captured for flying
+            if (document.pointerLockElement === this.canvas) {
+                this.pressBinding(binding);
+                this.pressedMouseButtons.add(binding);
+            }
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            this.pressedMouseButtons.delete(`Mouse:${e.button}`);
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (document.pointerLockElement === this.canvas) {
+                this.lookDelta.x += e.movementX * this.mouseSensitivity;
+                this.lookDelta.y += e.movementY * this.mouseSensitivity;
+            }
+        });
+
+        if ('ontouchstart' in window || navigator.maxTouchPoints > 0) {
+            this.createTouchControls();
+        }
+    }
+
+    // Latch one-shot actions so a tap between ticks isn't missed
+    pressBinding(binding) {
+        for (const action of InputManager.actions) {
+            if (action.oneShot && this.isBoundTo(action.name, binding)) {
+                (action.local ? this.pendingLocalActions : this.pendingActions).add(action.name);
+            }
+        }
+    }
+
+    // Local actions pressed since the last call
+    takeLocalActions() {
+        const actions = [...this.pendingLocalActions];
+        this.pendingLocalActions.clear();
+        return actions;
+    }
+
+    isBoundTo(action, binding) {
+        const bindings = this.bindings[action];
+        return bindings.keys.includes(binding) || bindings.pad === binding;
+    }
+
+    // Read the gamepad; call once per frame
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = [...pads].find(candidate => candidate && candidate.connected);
+        if (!pad) {
+            this.pad = { buttons: [], axes: [] };
+            return;
+        }
+
+        this.pad = {
+            buttons: pad.buttons.map(button => button.pressed),
+            axes: [
+                ...this.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0),
+                ...this.applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0)
+            ]
+        };
+
+        // Edge-detect gamepad presses for one-shot actions and rebinding
+        const active = this.getActivePadBindings(this.axisThreshold);
+        for (const binding of active) {
+            if (!this.previousPadBindings.has(binding)) {
+                this.pressBinding(binding);
+            }
+        }
+        if (this.capture && this.capture.slot === 'pad') {
+            const fresh = this.getActivePadBindings(this.captureThreshold)
+                .find(binding => !this.previousPadBindings.has(binding));
+            if (fresh) {
+                this.finishCapture(fresh);
+            }
+        }
+        this.previousPadBindings = new Set(active);
+    }
+
+    // Radial deadzone, rescaled so the stick still reaches full deflection
+    applyDeadzone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < this.deadzone) return [0, 0];
+
+        const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+        return [x * scale, y * scale];
+    }
+
+    getActivePadBindings(threshold) {
+        const active = [];
+        this.pad.buttons.forEach((pressed, i) => {
+            if (pressed) active.push(`PadButton:${i}`);
+        });
+        this.pad.axes.forEach((value, i) => {
+            if (value <= -threshold) active.push(`PadAxis:${i}-`);
+            if (value >= threshold) active.push(`PadAxis:${i}+`);
+        });
+        return active;
+    }
+
+    isBindingActive(binding) {
+        if (!binding) return false;
+
+        const [device, code] = binding.split(':');
+        switch (device) {
+            case 'Key':
+                return this.pressedKeys.has(binding);
+            case 'Mouse':
+                return this.pressedMouseButtons.has(binding);
+            case 'PadButton':
+                return !!this.pad.buttons[Number(code)];
+            case 'PadAxis': {
+                const value = this.pad.axes[Number(code.slice(0, -1))] || 0;
+                return code.endsWith('-') ? value <= -this.axisThreshold : value >= this.axisThreshold;
+            }
+        }
+        return false;
+    }
+
+    isActionActive(action) {
+        const bindings = this.bindings[action];
+        return bindings.keys.some(binding => this.isBindingActive(binding)) ||
+            this.isBindingActive(bindings.pad) ||
+            this.isTouchActionActive(action);
+    }
+
+    // Sample everything into a simulation input for one tick
+    sample() {
+        const input = {};
+        for (const action of InputManager.actions) {
+            if (action.local) continue;
+            input[action.name] = action.oneShot
+                ? this.pendingActions.has(action.name)
+                : this.isActionActive(action.name);
+        }
+
+        // Right stick and the touch look pad turn at a steady rate while held
+        const padLookX = this.pad.axes[2] || 0;
+        const padLookY = this.pad.axes[3] || 0;
+        input.lookX = this.lookDelta.x + padLookX * this.padLookSpeed + this.touch.look.x * this.touchLookSpeed;
+        input.lookY = this.lookDelta.y + padLookY * this.padLookSpeed + this.touch.look.y * this.touchLookSpeed;
+        if (this.invertY) {
+            input.lookY = -input.lookY;
+        }
+
+        // One-shot actions and mouse movement are consumed by the first tick that sees them
+        this.pendingActions.clear();
+        this.lookDelta.x = 0;
+        this.lookDelta.y = 0;
+
+        return input;
+    }
+
+    // Rebinding: the next key, mouse button or gamepad input is handed to callback
+    // (null when cancelled with Escape)
+    startCapture(slot, callback) {
+        this.capture = { slot, callback };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    finishCapture(binding) {
+        const { callback } = this.capture;
+        this.capture = null;
+        callback(binding);
+    }
+
+    describeBinding(binding) {
+        if (!binding) return '-';
+
+        const [device, code] = binding.split(':');
+        switch (device) {
+            case 'Key':
+                return code
+                    .replace(/^Key/, '')
+                    .replace(/^Digit/, '')
+                    .replace(/^Arrow/, '')
+                    .replace(/^(Shift|Control|Alt)(Left|Right)$/, '$2 $1');
+            case 'Mouse':
+                return ['Left Mouse', 'Middle Mouse', 'Right Mouse'][Number(code)] || `Mouse ${code}`;
+            case 'PadButton':
+                return InputManager.padButtonNames[Number(code)] || `Button ${code}`;
+            case 'PadAxis': {
+                const axis = Number(code.slice(0, -1));
+                const negative = code.endsWith('-');
+                const stick = axis < 2 ? 'Left Stick' : 'Right Stick';
+                const direction = axis % 2 === 0 ? (negative ? 'Left' : 'Right') : (negative ? 'Up' : 'Down');
+                return `${stick} ${direction}`;
+            }
+        }
+        return binding;
+    }
+
+    // Standard gamepad mapping
+    static get padButtonNames() {
+        return ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+            'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right'];
+    }
+
+    // Each keyboard/mouse slot of a group of actions, e.g. "W/A/S/D, Up/Left/Down/Right"
+    describeActions(...actions) {
+        return [0, 1]
+            .map(slot => actions
+                .map(action => this.bindings[action].keys[slot])
+                .filter(binding => binding)
+                .map(binding => this.describeBinding(binding))
+                .join('/'))
+            .filter(text => text)
+            .join(', ') || '-';
+    }
+
+    // Help text for the HUD, built from the current bindings
+    getControlsHelp() {
+        return [
+            `${this.describeActions('forward', 'left', 'back', 'right')}: Move`,
+            `${this.describeActions('up', 'down')}: Up/Down`,
+            `${this.describeActions('rollLeft', 'rollRight')}: Roll`,
+            `Mouse: Look`,
+            `${this.describeActions('fire')}: Shoot`,
+            `${this.describeActions('smartBomb')}: Smart Bomb`,
+            `${this.describeActions('hyperspace')}: Hyperspace`,
+            `${this.describeActions('nextWeapon')}: Next Weapon`,
+            `${this.describeActions('powerEngines', 'powerWeapons', 'powerShields')}: Power to Engines/Weapons/Shields`,
+            `${this.describeActions('powerBalance')}: Balance Power`,
+            `${this.describeActions('levelHold')}: Autopilot Level Hold`,
+            `${this.describeActions('radarZoom')}: Radar Zoom`,
+            `${this.describeActions('landingLights')}: Landing Lights`,
+            `${this.describeActions('alarmSilence')}: Silence Alarms`,
+            `${this.describeActions('cockpitCursor')}: Cockpit Cursor`,
+            `${this.describeActions('mute')}: Mute`
+        ].join('\n');
+    }
+
+    // On-screen controls for tablets: a move stick, a look stick and action buttons
+    createTouchControls() {
+        const container = document.createElement('div');
+        container.id = 'touchControls';
+        document.body.appendChild(container);
+
+        this.createTouchStick(container, 'left', this.touch.move);
+        this.createTouchStick(container, 'right', this.touch.look);
+
+        const buttons = [
+            { action: 'fire', label: 'FIRE', right: 150, bottom: 170 },
+            { action: 'smartBomb', label: 'BOMB', right: 30, bottom: 250 },
+            { action: 'hyperspace', label: 'HYPER', right: 110, bottom: 270 },
+            { action: 'nextWeapon', label: 'WPN', right: 190, bottom: 260 },
+            { action: 'up', label: 'UP', left: 170, bottom: 200 },
+            { action: 'down', label: 'DOWN', left: 170, bottom: 130 }
+        ];
+        for (const config of buttons) {
+            const button = document.createElement('div');
+            button.className = 'touchButton';
+            button.textContent = config.label;
+            Object.assign(button.style, {
+                left: config.left !== undefined ? `${config.left}px` : '',
+                right: config.right !== undefined ? `${config.right}px` : '',
+                bottom: `${config.bottom}px`
+            });
+
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.touch.buttons.add(config.action);
+                this.pendingActions.add(config.action);
+            });
+            const release = (e) => {
+                e.preventDefault();
+                this.touch.buttons.delete(config.action);
+            };
+            button.addEventListener('touchend', release);
+            button.addEventListener('touchcancel', release);
+            container.appendChild(button);
+        }
+    }
+
+    // Virtual joystick writing a -1..1 deflection into state.x / state.y
+    createTouchStick(container, side, state) {
+        const base = document.createElement('div');
+        base.className = `touchStick ${side}`;
+        const knob = document.createElement('div');
+        knob.className = 'touchKnob';
+        base.appendChild(knob);
+        container.appendChild(base);
+
+        const radius = 60;
+        let touchId = null;
+        let origin = null;
+
+        const move = (touch) => {
+            let dx = touch.clientX - origin.x;
+            let dy = touch.clientY - origin.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > radius) {
+                dx = dx / distance * radius;
+                dy = dy / distance * radius;
+            }
+            knob.style.transform = `translate(${dx}px, ${dy}px)`;
+            [state.x, state.y] = this.applyDeadzone(dx / radius, dy / radius);
+        };
+
+        base.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            const touch = e.changedTouches[0];
+            const rect = base.getBoundingClientRect();
+            touchId = touch.identifier;
+            origin = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+            move(touch);
+        });
+        base.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const touch = [...e.changedTouches].find(t => t.identifier === touchId);
+            if (touch) move(touch);
+        });
+        const release = (e) => {
+            if (![...e.changedTouches].some(t => t.identifier === touchId)) return;
+            touchId = null;
+            state.x = 0;
+            state.y = 0;
+            knob.style.transform = '';
+        };
+        base.addEventListener('touchend', release);
+        base.addEventListener('touchcancel', release);
+    }
+
+    isTouchActionActive(action) {
+        if (this.touch.buttons.has(action)) return true;
+
+        const { x, y } = this.touch.move;
+        switch (action) {
+            case 'forward': return y <= -this.axisThreshold;
+            case 'back': return y >= this.axisThreshold;
+            case 'left': return x <= -this.axisThreshold;
+            case 'right': return x >= this.axisThreshold;
+        }
+        return false;
+    }
+}
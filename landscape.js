@@ -0,0 +1,124 @@
+// Renders the simulation's Terrain as square chunks streamed in around the camera.
+// Chunks are built nearest first, a few per frame so flying never stalls, and
+// dropped again once they fall well behind. The terrain repeats round the planet,
+// so a chunk is kept by its place on the planet and slid a whole circumference
+// when the camera crosses the seam, instead of being rebuilt.
+class Landscape {
+    constructor(scene, terrain, material) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.material = material;
+
+        // Chunks must fit round the planet exactly
+        this.chunkCells = 20;
+        this.chunkSize = this.chunkCells * terrain.cellSize;
+        this.chunksAround = terrain.cellsAround / this.chunkCells;
+        // Under half the circumference, so no chunk is wanted in two places at once
+        this.viewDistance = 350;
+        this.maxBuildsPerFrame = 4;
+        // World units per repeat of the surface texture
+        this.uvScale = 50;
+
+        this.chunks = new Map();
+        this.visible = true;
+    }
+
+    // Stream chunks for the given camera position
+    update(position) {
+        const centerX = Math.floor(position.x / this.chunkSize);
+        const centerZ = Math.floor(position.z / this.chunkSize);
+        const reach = Math.ceil(this.viewDistance / this.chunkSize);
+
+        const wanted = [];
+        for (let cx = centerX - reach; cx <= centerX + reach; cx++) {
+            for (let cz = centerZ - reach; cz <= centerZ + reach; cz++) {
+                const distance = this.distanceToChunk(cx, cz, position);
+                if (distance <= this.viewDistance) {
+                    wanted.push({ cx, cz, distance });
+                }
+            }
+        }
+
+        // The first call fills the whole view so the game never starts on a bare patch
+        let builds = this.chunks.size === 0 ? Infinity : this.maxBuildsPerFrame;
+        wanted.sort((a, b) => a.distance - b.distance);
+        for (const { cx, cz } of wanted) {
+            const key = `${cx},${this.wrapChunk(cz)}`;
+            const mesh = this.chunks.get(key);
+            if (mesh) {
+                this.placeChunk(mesh, cz);
+            } else if (builds > 0) {
+                this.chunks.set(key, this.buildChunk(cx, cz));
+                builds--;
+            }
+        }
+
+        // A chunk's margin beyond the view keeps chunks on the edge from flickering
+        for (const [key, mesh] of this.chunks) {
+            const { cx, cz } = mesh.metadata;
+            if (this.distanceToChunk(cx, cz, position) > this.viewDistance + this.chunkSize) {
+                mesh.dispose();
+                this.chunks.delete(key);
+            }
+        }
+    }
+
+    // Horizontal distance from a point to the nearest edge of a chunk
+    distanceToChunk(cx, cz, position) {
+        const minX = cx * this.chunkSize;
+        const minZ = cz * this.chunkSize;
+        const dx = Math.max(minX - position.x, 0, position.x - (minX + this.chunkSize));
+        const dz = Math.max(minZ - position.z, 0, position.z - (minZ + this.chunkSize));
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    wrapChunk(cz) {
+        return ((cz % this.chunksAround) + this.chunksAround) % this.chunksAround;
+    }
+
+    // Move a chunk to the copy of its place at row cz
+    placeChunk(mesh, cz) {
+        if (mesh.metadata.cz === cz) return;
+
+        mesh.unfreezeWorldMatrix();
+        mesh.position.z = (cz - this.wrapChunk(cz)) * this.chunkSize;
+        mesh.metadata.cz = cz;
+        mesh.freezeWorldMatrix();
+    }
+
+    // Geometry is built at the chunk's place in the first circumference and positioned from there
+    buildChunk(cx, cz) {
+        const row = this.wrapChunk(cz);
+        const geometry = this.terrain.getChunkGeometry(cx * this.chunkCells, row * this.chunkCells, this.chunkCells, this.uvScale);
+
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = geometry.positions;
+        vertexData.normals = geometry.normals;
+        vertexData.uvs = geometry.uvs;
+        vertexData.indices = geometry.indices;
+
+        const mesh = new BABYLON.Mesh(`terrainChunk${cx},${row}`, this.scene);
+        vertexData.applyToMesh(mesh);
+        mesh.material = this.material;
+        mesh.isVisible = this.visible;
+        mesh.isPickable = false;
+        mesh.metadata = { cx, cz: row };
+        mesh.freezeWorldMatrix();
+        this.placeChunk(mesh, cz);
+        return mesh;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        for (const mesh of this.chunks.values()) {
+            mesh.isVisible = visible;
+        }
+    }
+
+    dispose() {
+        for (const mesh of this.chunks.values()) {
+            mesh.dispose();
+        }
+        this.chunks.clear();
+    }
+}
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+// Limits used to reject runs that could not have happened in the reported mission time.
+// Every score event in the game is a multiple of 25 points.
+const SCORE_STEP = 25;
+const MAX_SCORE_PER_SECOND = 1000;
+const MAX_KILLS_PER_SECOND = 2;
+const MAX_RESCUES_PER_SECOND = 0.5;
+const MIN_SECONDS_PER_WAVE = 20;
+const MAX_DIFFICULTY = 10;
+const MAX_NAME_LENGTH = 12;
+
+const BOARDS = ['all', 'daily', 'difficulty'];
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Returns a clean run or throws with a message suitable for the client
+function validateRun(run) {
+    if (!run || typeof run !== 'object') {
+        throw new Error('Run must be an object');
+    }
+
+    const name = typeof run.name === 'string' ? run.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH || !/^[\w .\-]+$/.test(name)) {
+        throw new Error(`Name must be 1-${MAX_NAME_LENGTH} letters, digits, spaces, dots or dashes`);
+    }
+
+    for (const field of ['score', 'astronautsSaved', 'landersDestroyed', 'missionTime', 'difficulty']) {
+        if (!isCount(run[field])) {
+            throw new Error(`${field} must be a non-negative integer`);
+        }
+    }
+
+    const { score, astronautsSaved, landersDestroyed, missionTime, difficulty } = run;
+    if (difficulty < 1 || difficulty > MAX_DIFFICULTY) {
+        throw new Error(`difficulty must be between 1 and ${MAX_DIFFICULTY}`);
+    }
+
+    // Plausibility against mission time (seconds)
+    if (missionTime < 1) {
+        throw new Error('Mission time is too short');
+    }
+    if (score % SCORE_STEP !== 0 || score > missionTime * MAX_SCORE_PER_SECOND) {
+        throw new Error('Score is not plausible for the mission time');
+    }
+    if (landersDestroyed > missionTime * MAX_KILLS_PER_SECOND) {
+        throw new Error('Landers destroyed is not plausible for the mission time');
+    }
+    if (astronautsSaved > Math.ceil(missionTime * MAX_RESCUES_PER_SECOND)) {
+        throw new Error('Astronauts saved is not plausible for the mission time');
+    }
+    if (difficulty > 1 + Math.floor(missionTime / MIN_SECONDS_PER_WAVE)) {
+        throw new Error('Difficulty is not plausible for the mission time');
+    }
+
+    return { name, score, astronautsSaved, landersDestroyed, missionTime, difficulty };
+}
+
+// Higher score first; earlier runs win ties
+function compareEntries(a, b) {
+    return b.score - a.score || a.submittedAt.localeCompare(b.submittedAt);
+}
+
+function dayOf(isoString) {
+    return isoString.slice(0, 10);
+}
+
+// Scores kept in a JSON file. Everything is held in memory and the file is
+// rewritten after each submission, one write at a time.
+class LeaderboardStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = [];
+        this.nextId = 1;
+        this.pendingWrite = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.entries = Array.isArray(data.entries) ? data.entries : [];
+            this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+            console.log(`Loaded ${this.entries.length} leaderboard entries from ${this.filePath}`);
+        } catch (error) {
+            console.error('Failed to read leaderboard file, starting empty:', error);
+        }
+    }
+
+    save() {
+        const json = JSON.stringify({ entries: this.entries });
+        const tempPath = `${this.filePath}.tmp`;
+
+        // Write to a temp file and rename so a crash never leaves a half-written store
+        this.pendingWrite = this.pendingWrite
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, json))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => console.error('Failed to save leaderboard:', error));
+        return this.pendingWrite;
+    }
+
+    submit(run, now = new Date()) {
+        const entry = Object.assign({ id: this.nextId++ }, validateRun(run), {
+            submittedAt: now.toISOString()
+        });
+        this.entries.push(entry);
+        this.save();
+
+        return {
+            entry,
+            rank: {
+                all: this.rankOf(entry, 'all', { now }),
+                daily: this.rankOf(entry, 'daily', { now }),
+                difficulty: this.rankOf(entry, 'difficulty', { now, difficulty: entry.difficulty })
+            }
+        };
+    }
+
+    // Entries on a board: 'all', 'daily' (current UTC day) or 'difficulty' (options.difficulty)
+    board(board, options = {}) {
+        if (!BOARDS.includes(board)) {
+            throw new Error(`Unknown board "${board}"`);
+        }
+
+        const now = options.now || new Date();
+        let entries = this.entries;
+        if (board === 'daily') {
+            const today = dayOf(now.toISOString());
+            entries = entries.filter(entry => dayOf(entry.submittedAt) === today);
+        } else if (board === 'difficulty') {
+            if (!isCount(options.difficulty)) {
+                throw new Error('difficulty is required for the difficulty board');
+            }
+            entries = entries.filter(entry => entry.difficulty === options.difficulty);
+        }
+        return entries.slice().sort(compareEntries);
+    }
+
+    top(board, options = {}) {
+        const limit = Math.max(1, Math.min(100, options.limit || 10));
+        return this.board(board, options).slice(0, limit).map((entry, i) => Object.assign({ rank: i + 1 }, entry));
+    }
+
+    rankOf(entry, board, options = {}) {
+        return this.board(board, options).indexOf(entry) + 1;
+    }
+}
+
+module.exports = { LeaderboardStore, validateRun, BOARDS };
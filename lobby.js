@@ -0,0 +1,128 @@
+// Pre-game screen for co-op: pick a name, create or join a room by code, wait for
+// wingmen and launch. Calls onStart(network, message) once the room's game begins.
+class Lobby {
+    constructor(code, onStart) {
+        this.code = code ? code.toUpperCase() : '';
+        this.onStart = onStart;
+        this.network = new NetworkClient();
+        this.playerNameKey = 'defender2084.playerName';
+        this.hasStarted = false;
+
+        this.element = document.getElementById('lobby');
+        this.statusElement = document.getElementById('lobbyStatus');
+        this.codeElement = document.getElementById('lobbyCode');
+        this.rosterElement = document.getElementById('lobbyRoster');
+        this.nameInput = document.getElementById('lobbyName');
+        this.joinButton = document.getElementById('lobbyJoin');
+        this.launchButton = document.getElementById('lobbyLaunch');
+
+        this.setupNetwork();
+    }
+
+    open() {
+        this.element.style.display = 'block';
+        this.nameInput.value = localStorage.getItem(this.playerNameKey) || '';
+        this.joinButton.textContent = this.code ? `Join Room ${this.code}` : 'Create Room';
+        this.joinButton.onclick = () => this.join();
+        this.launchButton.onclick = () => this.network.startGame();
+        this.launchButton.style.display = 'none';
+
+        // Coming back to a room after a reload skips straight past the name prompt
+        const session = this.code && NetworkClient.loadSession(this.code);
+        if (session) {
+            this.setStatus('Rejoining...');
+            this.network.rejoin(session);
+        }
+    }
+
+    close() {
+        this.element.style.display = 'none';
+    }
+
+    join() {
+        const name = this.nameInput.value.trim();
+        localStorage.setItem(this.playerNameKey, name);
+        this.joinButton.disabled = true;
+        this.setStatus('Connecting...');
+
+        if (this.code) {
+            this.network.join(this.code, name);
+        } else {
+            this.network.create(name);
+        }
+    }
+
+    setupNetwork() {
+        this.network.on('welcome', message => {
+            this.code = message.code;
+            this.codeElement.textContent = message.code;
+            this.nameInput.disabled = true;
+            this.joinButton.style.display = 'none';
+
+            // Share a link that drops friends into this room
+            window.history.replaceState(null, '', `?room=${message.code}`);
+            this.setStatus(`Room code ${message.code} - share ${window.location.href}`);
+
+            if (message.state !== 'lobby') {
+                this.start(message);
+            }
+        });
+
+        this.network.on('lobby', message => {
+            if (this.hasStarted) return;
+            this.renderRoster(message);
+        });
+
+        this.network.on('started', message => {
+            this.start(Object.assign({ playerId: this.network.playerId }, message));
+        });
+
+        this.network.on('error', message => {
+            this.setStatus(message.message);
+            this.joinButton.disabled = false;
+        });
+
+        this.network.on('disconnected', () => {
+            if (!this.hasStarted) {
+                this.setStatus('Disconnected from the server');
+                this.joinButton.disabled = false;
+                this.joinButton.style.display = '';
+            }
+        });
+    }
+
+    renderRoster(message) {
+        this.rosterElement.innerHTML = '';
+        for (const player of message.players) {
+            const item = document.createElement('li');
+            const tags = [];
+            if (player.id === message.hostId) tags.push('host');
+            if (player.id === this.network.playerId) tags.push('you');
+            if (!player.connected) tags.push('disconnected');
+            item.textContent = player.name + (tags.length ? ` (${tags.join(', ')})` : '');
+            this.rosterElement.appendChild(item);
+        }
+
+        const isHost = message.hostId === this.network.playerId;
+        const ready = message.players.filter(player => player.connected).length >= message.minPlayers;
+        this.launchButton.style.display = isHost ? '' : 'none';
+        this.launchButton.disabled = !ready;
+        if (isHost && !ready) {
+            this.launchButton.textContent = `Waiting for ${message.minPlayers} pilots...`;
+        } else {
+            this.launchButton.textContent = 'Launch';
+        }
+    }
+
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+
+    start(message) {
+        if (this.hasStarted) return;
+
+        this.hasStarted = true;
+        this.close();
+        this.onStart(this.network, message);
+    }
+}
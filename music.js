@@ -0,0 +1,171 @@
+// Procedural soundtrack. A step sequencer loops a four-bar progression and plays
+// it through separate layers whose levels follow the fight: the arpeggio rises with
+// the number of enemies, drums with how close the nearest one is, and the lead
+// with difficulty. A calm pad takes over between waves and after the game ends.
+class Soundtrack {
+    constructor(sound) {
+        this.sound = sound;
+        this.layers = null;
+        this.levels = {};
+
+        // 16th notes at 112 bpm, scheduled slightly ahead of the audio clock
+        this.stepDuration = 60 / 112 / 4;
+        this.stepsPerBar = 16;
+        this.lookahead = 0.2;
+        this.step = 0;
+        this.nextStepTime = 0;
+
+        // A minor: Am, F, C, G, one chord per bar (MIDI note numbers)
+        this.progression = [
+            [57, 60, 64],
+            [53, 57, 60],
+            [48, 52, 55],
+            [55, 59, 62]
+        ];
+
+        // Hull stinger
+        this.stingerThreshold = 0.3;
+        this.wasHullCritical = false;
+    }
+
+    static noteFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    // Each layer has its own gain into the music bus so it can fade independently
+    createLayers() {
+        const context = this.sound.context;
+        this.layers = {};
+        for (const name of ['calm', 'bass', 'arpeggio', 'drums', 'lead', 'stinger']) {
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.sound.musicBus);
+            this.layers[name] = gain;
+        }
+        this.layers.stinger.gain.value = 1;
+        this.nextStepTime = context.currentTime + 0.1;
+    }
+
+    // Work out each layer's level from the game state and schedule upcoming steps.
+    // state: { enemyCount, closestDistance, difficulty, hull (0-1), isCalm }
+    update(state) {
+        const context = this.sound.context;
+        if (!context || context.state !== 'running') return;
+        if (!this.layers) this.createLayers();
+
+        this.setLevels(this.getLevels(state));
+        this.checkStinger(state);
+
+        // After the tab was hidden, pick up from now instead of replaying the backlog
+        if (this.nextStepTime < context.currentTime - this.lookahead) {
+            this.nextStepTime = context.currentTime;
+        }
+        while (this.nextStepTime < context.currentTime + this.lookahead) {
+            this.scheduleStep(this.step, this.nextStepTime);
+            this.step++;
+            this.nextStepTime += this.stepDuration;
+        }
+    }
+
+    getLevels({ enemyCount, closestDistance, difficulty, isCalm }) {
+        if (isCalm) {
+            return { calm: 0.5, bass: 0, arpeggio: 0, drums: 0, lead: 0 };
+        }
+
+        const clamp = value => Math.max(0, Math.min(1, value));
+        const crowd = clamp(enemyCount / 12);
+        // Distance 0 means there's nothing to be close to
+        const proximity = closestDistance > 0 ? clamp((150 - closestDistance) / 120) : 0;
+        const danger = clamp((difficulty - 1) / 4);
+
+        return {
+            calm: 0.1,
+            bass: 0.5,
+            arpeggio: 0.35 * crowd,
+            drums: 0.6 * proximity,
+            lead: 0.3 * danger
+        };
+    }
+
+    setLevels(levels) {
+        this.levels = levels;
+        const now = this.sound.context.currentTime;
+        for (const [name, level] of Object.entries(levels)) {
+            this.layers[name].gain.setTargetAtTime(level, now, 0.8);
+        }
+    }
+
+    // One tense chord each time the hull falls below the threshold
+    checkStinger({ hull, isCalm }) {
+        const isCritical = !isCalm && hull > 0 && hull < this.stingerThreshold;
+        if (isCritical && !this.wasHullCritical) {
+            const t = this.sound.context.currentTime;
+            for (const note of [52, 58, 63, 70]) {
+                this.sound.tone(this.layers.stinger, t, {
+                    type: 'sawtooth', from: Soundtrack.noteFrequency(note), duration: 1.6, volume: 0.12
+                });
+            }
+            this.sound.noise(this.layers.stinger, t, { duration: 1.2, from: 5000, to: 300, volume: 0.3 });
+        }
+        this.wasHullCritical = isCritical;
+    }
+
+    // Silent layers skip their notes rather than play them at zero gain
+    isAudible(layer) {
+        return this.levels[layer] > 0.01 || this.layers[layer].gain.value > 0.01;
+    }
+
+    scheduleStep(step, t) {
+        const sound = this.sound;
+        const beat = step % this.stepsPerBar;
+        const chord = this.progression[Math.floor(step / this.stepsPerBar) % this.progression.length];
+        const frequency = note => Soundtrack.noteFrequency(note);
+
+        // Calm: a slow pad, restruck each bar
+        if (beat === 0 && this.isAudible('calm')) {
+            for (const note of chord) {
+                sound.tone(this.layers.calm, t, {
+                    type: 'triangle', from: frequency(note), duration: this.stepDuration * 15, volume: 0.15
+                });
+            }
+        }
+
+        // Bass: chord root in driving eighths
+        if (beat % 2 === 0 && this.isAudible('bass')) {
+            sound.tone(this.layers.bass, t, {
+                type: 'sawtooth', from: frequency(chord[0] - 24), duration: this.stepDuration * 1.5, volume: 0.3
+            });
+        }
+
+        // Arpeggio: chord tones up and down across two octaves
+        if (this.isAudible('arpeggio')) {
+            const pattern = [0, 1, 2, 3, 4, 5, 4, 3];
+            const index = pattern[beat % pattern.length];
+            const arpeggioNote = chord[index % 3] + 12 * Math.floor(index / 3);
+            sound.tone(this.layers.arpeggio, t, {
+                type: 'square', from: frequency(arpeggioNote), duration: this.stepDuration * 0.9, volume: 0.12
+            });
+        }
+
+        // Drums: kick on the beat, snare on two and four, hats on the off 16ths
+        if (this.isAudible('drums')) {
+            if (beat % 4 === 0) {
+                sound.tone(this.layers.drums, t, { from: 150, to: 40, duration: 0.2, volume: 0.8 });
+            }
+            if (beat === 4 || beat === 12) {
+                sound.noise(this.layers.drums, t, { duration: 0.15, from: 4000, to: 1000, volume: 0.4 });
+            }
+            if (beat % 2 === 1) {
+                sound.noise(this.layers.drums, t, { duration: 0.04, from: 10000, to: 7000, volume: 0.15 });
+            }
+        }
+
+        // Lead: a short motif on top of each bar's chord
+        const motif = { 0: 2, 3: 1, 6: 0, 10: 1, 12: 2 };
+        if (beat in motif && this.isAudible('lead')) {
+            sound.tone(this.layers.lead, t, {
+                type: 'sawtooth', from: frequency(chord[motif[beat]] + 12), duration: this.stepDuration * 2.5, volume: 0.1
+            });
+        }
+    }
+}
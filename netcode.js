@@ -0,0 +1,295 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./vector'), require('./planet'), require('./terrain')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ Vec3, Planet, Terrain }) {
+    // Wire format shared by the room server (rooms.js) and online clients (network.js).
+    // Snapshots carry just enough of the simulation for Game to render it.
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    function packVector(v) {
+        return [round(v.x), round(v.y), round(v.z)];
+    }
+
+    function unpackVector(values) {
+        return new Vec3(values[0], values[1], values[2]);
+    }
+
+    // acks maps player id to the last input sequence number the server has applied
+    function serializeSnapshot(simulation, acks = {}) {
+        return {
+            tick: simulation.tick,
+            time: simulation.time,
+            score: simulation.score,
+            astronautsSaved: simulation.astronautsSaved,
+            landersDestroyed: simulation.landersDestroyed,
+            level: simulation.level,
+            difficulty: simulation.difficulty,
+            planetDestroyed: simulation.planetDestroyed,
+            isBetweenWaves: simulation.isBetweenWaves,
+            isGameOver: simulation.isGameOver,
+            boss: simulation.boss ? {
+                id: simulation.boss.id,
+                phase: simulation.boss.phase,
+                health: round(simulation.boss.health)
+            } : null,
+            players: simulation.players.map(player => ({
+                id: player.id,
+                slot: player.slot,
+                name: player.name,
+                connected: player.connected,
+                isDying: player.isDying,
+                isOut: player.isOut,
+                position: packVector(player.position),
+                rotation: packVector(player.rotation),
+                health: player.health,
+                maxHealth: player.maxHealth,
+                energy: round(player.energy),
+                maxEnergy: player.maxEnergy,
+                shield: round(player.shield),
+                maxShield: player.maxShield,
+                power: player.power,
+                levelHold: player.levelHold,
+                lives: player.lives,
+                smartBombs: player.smartBombs,
+                weapons: player.weapons,
+                weapon: player.weapon,
+                charge: round(player.charge),
+                ack: acks[player.id] || 0
+            })),
+            enemies: simulation.enemies.map(enemy => ({
+                id: enemy.id,
+                type: enemy.type,
+                position: packVector(enemy.position)
+            })),
+            astronauts: simulation.astronauts.map(astronaut => ({
+                id: astronaut.id,
+                state: astronaut.state,
+                position: packVector(astronaut.position)
+            })),
+            lasers: simulation.lasers.map(laser => ({
+                id: laser.id,
+                weapon: laser.weapon,
+                position: packVector(laser.position),
+                direction: packVector(laser.direction)
+            })),
+            enemyShots: simulation.enemyShots.map(shot => ({
+                id: shot.id,
+                kind: shot.kind,
+                position: packVector(shot.position),
+                direction: packVector(shot.direction)
+            })),
+            pickups: simulation.pickups.map(pickup => ({
+                id: pickup.id,
+                weapon: pickup.weapon,
+                position: packVector(pickup.position)
+            }))
+        };
+    }
+
+    // Events reference live entities; send only what a client can use to identify them
+    function serializeEvent(event) {
+        const data = {};
+        for (const [key, value] of Object.entries(event)) {
+            if (value instanceof Vec3) {
+                data[key] = packVector(value);
+            } else if (value && typeof value === 'object' && 'id' in value) {
+                data[key] = { id: value.id, type: value.type };
+            } else {
+                data[key] = value;
+            }
+        }
+        return data;
+    }
+
+    function deserializeEvent(data) {
+        const event = Object.assign({}, data);
+        for (const [key, value] of Object.entries(event)) {
+            if (Array.isArray(value) && value.length === 3) {
+                event[key] = unpackVector(value);
+            }
+        }
+        return event;
+    }
+
+    function lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+
+    // Client-side stand-in for GameSimulation in online games. It exposes the same
+    // fields Game reads, filled from server snapshots and interpolated a little in
+    // the past so remote ships and enemies move smoothly between updates.
+    class RemoteWorld {
+        constructor(snapshot, options = {}) {
+            this.localPlayerId = options.localPlayerId || 0;
+            this.seed = options.seed || 0;
+            this.planet = new Planet();
+            this.terrain = Terrain.forSeed(this.seed, this.planet.circumference);
+            this.tickDuration = 1000 / 60;
+            this.interpolationDelay = options.interpolationDelay || 100;
+            this.maxClockDrift = 1000;
+
+            this.players = [];
+            this.enemies = [];
+            this.astronauts = [];
+            this.lasers = [];
+            this.enemyShots = [];
+            this.pickups = [];
+            this.events = [];
+
+            this.snapshots = [];
+            this.clockOffset = null;
+            this.entities = new Map();
+
+            // Look input sent but not yet reflected in a snapshot, for instant mouse look
+            this.pendingLook = [];
+
+            this.receive(snapshot, [], options.now || 0);
+            this.update(options.now || 0);
+        }
+
+        start() {}
+
+        getGroundHeight(x, z) {
+            return this.terrain.getHeight(x, z);
+        }
+
+        receive(snapshot, events, now) {
+            // Keep the shared state (score, wave...) in step with the newest snapshot
+            const { players, enemies, astronauts, lasers, enemyShots, pickups, ...state } = snapshot;
+            Object.assign(this, state);
+
+            // Track how far the server clock is ahead of ours, smoothing out jitter
+            const offset = snapshot.time - now;
+            if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > this.maxClockDrift) {
+                this.clockOffset = offset;
+            } else {
+                this.clockOffset += (offset - this.clockOffset) * 0.1;
+            }
+
+            this.snapshots.push(snapshot);
+
+            const localPlayer = players.find(player => player.id === this.localPlayerId);
+            if (localPlayer) {
+                this.pendingLook = this.pendingLook.filter(look => look.seq > localPlayer.ack);
+            }
+
+            for (const event of events) {
+                this.events.push(deserializeEvent(event));
+            }
+        }
+
+        recordLocalInput(seq, input) {
+            if (input.lookX || input.lookY) {
+                this.pendingLook.push({ seq, lookX: input.lookX, lookY: input.lookY });
+            }
+        }
+
+        // Rebuild the entity lists for the given local time
+        update(now) {
+            const renderTime = now + this.clockOffset - this.interpolationDelay;
+
+            // Drop snapshots we have already moved past, keeping one before renderTime
+            while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+                this.snapshots.shift();
+            }
+
+            const from = this.snapshots[0];
+            const to = this.snapshots[1] || from;
+            const span = to.time - from.time;
+            const t = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.time) / span)) : 1;
+            const latest = this.snapshots[this.snapshots.length - 1];
+
+            this.players = this.interpolate(from.players, to.players, t, 'player');
+            this.enemies = this.interpolate(from.enemies, to.enemies, t, 'enemy');
+            this.astronauts = this.interpolate(from.astronauts, to.astronauts, t, 'astronaut');
+            this.lasers = this.interpolate(from.lasers, to.lasers, t, 'laser');
+            this.enemyShots = this.interpolate(from.enemyShots, to.enemyShots, t, 'enemyShot');
+            this.pickups = this.interpolate(from.pickups, to.pickups, t, 'pickup');
+
+            // Our own ship turns the moment the mouse moves
+            const localPlayer = this.getPlayer(this.localPlayerId);
+            const latestLocal = latest.players.find(player => player.id === this.localPlayerId);
+            if (localPlayer && latestLocal) {
+                localPlayer.rotation = unpackVector(latestLocal.rotation);
+                for (const look of this.pendingLook) {
+                    localPlayer.rotation.y += look.lookX;
+                    localPlayer.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, localPlayer.rotation.x + look.lookY));
+                }
+            }
+        }
+
+        // Entities present in the newer snapshot, positioned between the two.
+        // Objects are reused by id so Game's mesh maps stay keyed consistently.
+        interpolate(fromList, toList, t, kind) {
+            const previous = new Map(fromList.map(data => [data.id, data]));
+            const result = [];
+
+            for (const data of toList) {
+                const key = `${kind}:${data.id}`;
+                let entity = this.entities.get(key);
+                if (!entity) {
+                    entity = { id: data.id };
+                    this.entities.set(key, entity);
+                }
+
+                const before = previous.get(data.id) || data;
+                Object.assign(entity, data);
+                // Crossing the seam goes the short way round rather than back across the planet
+                const dz = this.planet.wrap(data.position[2] - before.position[2]);
+                entity.position = new Vec3(
+                    lerp(before.position[0], data.position[0], t),
+                    lerp(before.position[1], data.position[1], t),
+                    this.planet.wrap(before.position[2] + dz * t)
+                );
+                if (data.rotation) {
+                    entity.rotation = new Vec3(
+                        lerp(before.rotation[0], data.rotation[0], t),
+                        lerp(before.rotation[1], data.rotation[1], t),
+                        lerp(before.rotation[2], data.rotation[2], t)
+                    );
+                }
+                if (data.direction) {
+                    entity.direction = unpackVector(data.direction);
+                }
+                result.push(entity);
+            }
+
+            // Forget entities that have left the world
+            const alive = new Set(toList.map(data => `${kind}:${data.id}`));
+            for (const key of this.entities.keys()) {
+                if (key.startsWith(`${kind}:`) && !alive.has(key)) {
+                    this.entities.delete(key);
+                }
+            }
+            return result;
+        }
+
+        drainEvents() {
+            const events = this.events;
+            this.events = [];
+            return events;
+        }
+
+        getPlayer(id) {
+            return this.players.find(player => player.id === id) || null;
+        }
+
+        getClosestLanderDistance(player) {
+            if (this.enemies.length === 0 || !player) return 0;
+
+            let closestDistance = Infinity;
+            for (const enemy of this.enemies) {
+                closestDistance = Math.min(closestDistance, this.planet.distance(player.position, enemy.position));
+            }
+            return closestDistance;
+        }
+    }
+
+    return { serializeSnapshot, serializeEvent, deserializeEvent, RemoteWorld };
+}));
@@ -0,0 +1,133 @@
+// Browser side of co-op play: talks to the room server in rooms.js over WebSocket
+// and rejoins automatically when the connection drops.
+class NetworkClient {
+    constructor(url) {
+        this.url = url || `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
+        this.socket = null;
+        this.handlers = new Map();
+
+        // Room session, kept in sessionStorage so a page reload can rejoin
+        this.session = null;
+        this.playerId = 0;
+
+        // Reconnection
+        this.isClosing = false;
+        this.reconnectDelay = 2000;
+        this.maxReconnectAttempts = 15;
+        this.reconnectAttempts = 0;
+
+        // Input sequence numbers let the server acknowledge what it has applied
+        this.inputSeq = 0;
+        this.lastSentInput = null;
+    }
+
+    static get sessionStorageKey() {
+        return 'defender2084.session';
+    }
+
+    static loadSession(code) {
+        const stored = sessionStorage.getItem(NetworkClient.sessionStorageKey);
+        const session = stored ? JSON.parse(stored) : null;
+        return session && session.code === code ? session : null;
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+    }
+
+    emit(type, message) {
+        for (const handler of this.handlers.get(type) || []) {
+            handler(message);
+        }
+    }
+
+    // Open the socket and send the first message once it's connected
+    connect(hello) {
+        this.isClosing = false;
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.reconnectAttempts = 0;
+            this.lastSentInput = null;
+            this.send(hello);
+        });
+
+        this.socket.addEventListener('message', e => {
+            const message = JSON.parse(e.data);
+            if (message.type === 'welcome') {
+                this.playerId = message.playerId;
+                this.session = { code: message.code, token: message.token };
+                sessionStorage.setItem(NetworkClient.sessionStorageKey, JSON.stringify(this.session));
+            }
+            if (message.type === 'error' && !this.playerId) {
+                // Nothing to rejoin if we never got in
+                this.isClosing = true;
+                sessionStorage.removeItem(NetworkClient.sessionStorageKey);
+            }
+            this.emit(message.type, message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            if (this.isClosing) return;
+
+            if (this.session && this.reconnectAttempts < this.maxReconnectAttempts) {
+                this.reconnectAttempts++;
+                this.emit('connectionLost', { attempt: this.reconnectAttempts });
+                setTimeout(() => this.rejoin(this.session), this.reconnectDelay);
+            } else {
+                this.emit('disconnected', {});
+            }
+        });
+    }
+
+    create(name) {
+        this.connect({ type: 'create', name });
+    }
+
+    join(code, name) {
+        this.connect({ type: 'join', code, name });
+    }
+
+    rejoin(session) {
+        this.session = session;
+        this.connect({ type: 'reconnect', code: session.code, token: session.token });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    startGame() {
+        this.send({ type: 'start' });
+    }
+
+    // Returns the sequence number the input went out with, or 0 when nothing was sent.
+    // Held buttons stay pressed on the server, so unchanged idle input is skipped.
+    sendInput(input) {
+        // One-shot actions (smart bomb, weapon and power switches...) always go out
+        const pressedOnce = InputManager.actions.some(action => action.oneShot && input[action.name]);
+        const unchanged = this.lastSentInput &&
+            !input.lookX && !input.lookY && !pressedOnce &&
+            Object.keys(input).every(key => input[key] === this.lastSentInput[key]);
+        if (unchanged) return 0;
+
+        this.inputSeq++;
+        this.lastSentInput = input;
+        this.send({ type: 'input', seq: this.inputSeq, input });
+        return this.inputSeq;
+    }
+
+    leave() {
+        this.isClosing = true;
+        this.send({ type: 'leave' });
+        sessionStorage.removeItem(NetworkClient.sessionStorageKey);
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
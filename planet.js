@@ -0,0 +1,51 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ Vec3 }) {
+    // Shape of the world. The planet is a cylinder: flying along Z carries a ship all
+    // the way round and back to where it started, while X runs across a band of fixed
+    // width. Positions are stored with z in [-circumference / 2, circumference / 2),
+    // and anything measured between two entities takes the shorter way round.
+    class Planet {
+        constructor(options = {}) {
+            this.circumference = options.circumference || 800;
+            this.halfWidth = options.halfWidth || 400;
+        }
+
+        // Bring a z coordinate (or z difference) into [-circumference / 2, circumference / 2)
+        wrap(z) {
+            const c = this.circumference;
+            return ((z + c / 2) % c + c) % c - c / 2;
+        }
+
+        // Wrap z and hold x inside the band. Returns true when x had to be held back.
+        keepOnPlanet(position) {
+            position.z = this.wrap(position.z);
+            if (Math.abs(position.x) > this.halfWidth) {
+                position.x = Math.sign(position.x) * this.halfWidth;
+                return true;
+            }
+            return false;
+        }
+
+        // Shortest vector from one position to another
+        offset(from, to) {
+            return new Vec3(to.x - from.x, to.y - from.y, this.wrap(to.z - from.z));
+        }
+
+        distance(a, b) {
+            return this.offset(a, b).length();
+        }
+
+        // The copy of position that lies nearest to reference, for drawing things
+        // on the far side of the seam next to a viewer on this side
+        nearestCopy(position, reference) {
+            return new Vec3(position.x, position.y, reference.z + this.wrap(position.z - reference.z));
+        }
+    }
+
+    return { Planet };
+}));
@@ -0,0 +1,100 @@
+// Reusable scene objects. Meshes and particle systems that come and go with the
+// action are parked here when finished with instead of being disposed, so a busy
+// wave doesn't churn the garbage collector or keep compiling new materials.
+
+// Meshes made by createMesh(), disabled while they wait to be handed out again
+class MeshPool {
+    constructor(name, createMesh) {
+        this.name = name;
+        this.createMesh = createMesh;
+        this.free = [];
+        this.size = 0;
+    }
+
+    acquire() {
+        const mesh = this.free.pop();
+        if (mesh) {
+            mesh.setEnabled(true);
+            return mesh;
+        }
+
+        this.size++;
+        const created = this.createMesh();
+        created.metadata = Object.assign(created.metadata || {}, { pool: this });
+        return created;
+    }
+
+    release(mesh) {
+        mesh.setEnabled(false);
+        this.free.push(mesh);
+    }
+
+    get inUse() {
+        return this.size - this.free.length;
+    }
+
+    dispose() {
+        for (const mesh of this.free) {
+            mesh.dispose();
+        }
+        this.free = [];
+    }
+}
+
+// Short explosion bursts sharing one flare texture. A burst emits for a moment, lets
+// its particles fade, then goes back in the pool.
+class ExplosionPool {
+    constructor(scene, texture) {
+        this.scene = scene;
+        this.texture = texture;
+        this.free = [];
+        this.size = 0;
+        this.emitDuration = 300;
+        this.fadeDuration = 1000;
+    }
+
+    createSystem() {
+        const explosion = new BABYLON.ParticleSystem("explosion", 100, this.scene);
+        explosion.particleTexture = this.texture;
+        explosion.emitter = new BABYLON.Vector3();
+        explosion.minEmitBox = new BABYLON.Vector3(-0.5, -0.5, -0.5);
+        explosion.maxEmitBox = new BABYLON.Vector3(0.5, 0.5, 0.5);
+        explosion.color1 = new BABYLON.Color4(1, 0.5, 0, 1.0);
+        explosion.color2 = new BABYLON.Color4(1, 0, 0, 1.0);
+        explosion.minSize = 0.3;
+        explosion.maxSize = 0.8;
+        explosion.minLifeTime = 0.3;
+        explosion.maxLifeTime = 0.5;
+        explosion.emitRate = 100;
+        explosion.gravity = new BABYLON.Vector3(0, 0, 0);
+        explosion.direction1 = new BABYLON.Vector3(-1, -1, -1);
+        explosion.direction2 = new BABYLON.Vector3(1, 1, 1);
+        explosion.minEmitPower = 1;
+        explosion.maxEmitPower = 3;
+        explosion.updateSpeed = 0.01;
+        return explosion;
+    }
+
+    play(position) {
+        let explosion = this.free.pop();
+        if (!explosion) {
+            this.size++;
+            explosion = this.createSystem();
+        }
+
+        explosion.emitter.copyFrom(position);
+        explosion.reset();
+        explosion.start();
+
+        setTimeout(() => {
+            explosion.stop();
+            setTimeout(() => {
+                this.free.push(explosion);
+            }, this.fadeDuration);
+        }, this.emitDuration);
+    }
+
+    get inUse() {
+        return this.size - this.free.length;
+    }
+}
@@ -0,0 +1,129 @@
+// Loads the libraries and textures listed in the server's asset manifest (assets.js)
+// before the game starts, reporting byte progress as it goes. Textures are kept as
+// object URLs; Game generates a procedural stand-in for any that aren't available.
+class AssetPreloader {
+    constructor(manifestUrl = 'assets/manifest.json') {
+        this.manifestUrl = manifestUrl;
+        this.textures = new Map();
+        this.loadedBytes = 0;
+        this.totalBytes = 0;
+    }
+
+    // Used when the page isn't served by server.js, e.g. from a plain static host
+    static get fallbackManifest() {
+        return {
+            scripts: [
+                'https://cdn.babylonjs.com/babylon.js',
+                'https://cdn.babylonjs.com/loaders/babylonjs.loaders.min.js',
+                'https://cdn.babylonjs.com/gui/babylon.gui.min.js',
+                'https://cdn.babylonjs.com/cannon.js',
+                'https://cdn.babylonjs.com/earcut.min.js'
+            ].map(url => ({ name: url.split('/').pop(), url, size: 0 })),
+            textures: []
+        };
+    }
+
+    // onProgress(fraction, label) is called as bytes arrive
+    load(onProgress = () => {}) {
+        this.onProgress = onProgress;
+
+        return this.loadManifest().then(manifest => {
+            const entries = [...manifest.scripts, ...manifest.textures];
+            this.totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+
+            // Scripts run one after another in manifest order, then textures load together
+            let chain = Promise.resolve();
+            for (const script of manifest.scripts) {
+                chain = chain.then(() => this.loadScript(script));
+            }
+            return chain.then(() => Promise.all(manifest.textures.map(texture => this.loadTexture(texture))));
+        }).then(() => {
+            this.onProgress(1, 'Ready');
+        });
+    }
+
+    loadManifest() {
+        return fetch(this.manifestUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                console.warn('No asset manifest, loading libraries from the CDN:', error);
+                return AssetPreloader.fallbackManifest;
+            });
+    }
+
+    // Download a file as a Blob, counting its bytes towards the overall progress
+    fetchWithProgress(url, label) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+            // Cross-origin or streaming-less responses just count when they finish
+            if (!response.body || !response.body.getReader) {
+                return response.blob().then(blob => {
+                    this.addProgress(blob.size, label);
+                    return blob;
+                });
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            const read = () => reader.read().then(({ done, value }) => {
+                if (done) {
+                    return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+                }
+                chunks.push(value);
+                this.addProgress(value.length, label);
+                return read();
+            });
+            return read();
+        });
+    }
+
+    addProgress(bytes, label) {
+        this.loadedBytes += bytes;
+        const fraction = this.totalBytes > 0 ? Math.min(1, this.loadedBytes / this.totalBytes) : 0;
+        this.onProgress(fraction, label);
+    }
+
+    loadScript(script) {
+        const load = this.isSameOrigin(script.url)
+            ? this.fetchWithProgress(script.url, script.name).then(blob => URL.createObjectURL(blob))
+            : Promise.resolve(script.url);
+
+        return load.then(src => new Promise((resolve, reject) => {
+            const element = document.createElement('script');
+            element.src = src;
+            element.onload = () => {
+                this.onProgress(this.totalBytes > 0 ? this.loadedBytes / this.totalBytes : 0, script.name);
+                resolve();
+            };
+            element.onerror = () => reject(new Error(`Failed to load script: ${script.name}`));
+            document.head.appendChild(element);
+        }));
+    }
+
+    isSameOrigin(url) {
+        return new URL(url, window.location.href).origin === window.location.origin;
+    }
+
+    // A texture that fails to download is left out rather than stopping the game
+    loadTexture(texture) {
+        return Promise.all(texture.urls.map(url => this.fetchWithProgress(url, texture.name)))
+            .then(blobs => {
+                this.textures.set(texture.name, {
+                    type: texture.type,
+                    urls: blobs.map(blob => URL.createObjectURL(blob))
+                });
+            })
+            .catch(error => {
+                console.warn(`Texture ${texture.name} unavailable, it will be generated:`, error);
+            });
+    }
+
+    // { type: '2d' | 'cube', urls } for a loaded texture, or null
+    getTexture(name) {
+        return this.textures.get(name) || null;
+    }
+}
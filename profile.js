@@ -0,0 +1,173 @@
+// The local pilot's lifetime stats and unlocked achievements, saved to localStorage so
+// they carry over between sessions.
+class PilotProfile {
+    constructor() {
+        this.storageKey = 'defender2084.profile';
+        const { stats, achievements } = this.load();
+        this.stats = stats;
+        // Unlock time (ms since epoch) by achievement id
+        this.achievements = achievements;
+    }
+
+    static defaultStats() {
+        return {
+            gamesPlayed: 0,
+            totalScore: 0,
+            bestScore: 0,
+            astronautsSaved: 0,
+            // Every kind, not just landers
+            enemiesDestroyed: 0,
+            // Milliseconds of simulation time
+            longestMission: 0,
+            shotsFired: 0,
+            shotsHit: 0
+        };
+    }
+
+    load() {
+        const stats = PilotProfile.defaultStats();
+        const achievements = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            const storedStats = stored.stats || {};
+            // Profiles saved before the rename kept this count as landersDestroyed
+            if (!('enemiesDestroyed' in storedStats)) {
+                storedStats.enemiesDestroyed = storedStats.landersDestroyed;
+            }
+            for (const key of Object.keys(stats)) {
+                if (typeof storedStats[key] === 'number') {
+                    stats[key] = storedStats[key];
+                }
+            }
+            for (const [id, unlockedAt] of Object.entries(stored.achievements || {})) {
+                if (typeof unlockedAt === 'number') {
+                    achievements[id] = unlockedAt;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load pilot profile, starting a new one:', error);
+        }
+        return { stats, achievements };
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            stats: this.stats,
+            achievements: this.achievements
+        }));
+    }
+
+    // Share of shots that hit something, 0 before the first shot
+    getAccuracy() {
+        return this.stats.shotsFired > 0 ? this.stats.shotsHit / this.stats.shotsFired : 0;
+    }
+
+    isUnlocked(id) {
+        return id in this.achievements;
+    }
+
+    unlock(id) {
+        this.achievements[id] = Date.now();
+        this.save();
+    }
+}
+
+// Keeps a PilotProfile up to date purely by listening to the event bus, like Telemetry,
+// and unlocks achievements (achievements.js) as their conditions are met. Only the local
+// pilot's shots, kills and rescues count towards the stats; each new unlock is announced
+// on the bus as achievementUnlocked.
+class ProfileTracker {
+    constructor(events, profile, isLocalPlayerEvent) {
+        this.events = events;
+        this.profile = profile;
+        this.mission = { score: 0, wave: 0, time: 0, shotsFired: 0, shotsHit: 0, bossesDefeated: 0 };
+        this.wave = this.createWaveRecord();
+
+        const stats = profile.stats;
+        const local = handler => event => {
+            if (isLocalPlayerEvent(event)) handler(event);
+        };
+
+        this.unsubscribe = [
+            events.on('laserFired', local(event => {
+                stats.shotsFired += event.shots;
+                this.mission.shotsFired += event.shots;
+            })),
+            events.on('laserHit', local(() => {
+                stats.shotsHit++;
+                this.mission.shotsHit++;
+                this.check();
+            })),
+            events.on('enemyDestroyed', local(() => {
+                stats.enemiesDestroyed++;
+                this.check();
+            })),
+            events.on('astronautRescued', local(() => {
+                stats.astronautsSaved++;
+                this.wave.astronautsSaved++;
+                this.check();
+            })),
+            events.on('playerDamaged', local(event => {
+                this.wave.hullDamage += event.hullDamage;
+            })),
+            events.on('scoreChanged', event => {
+                this.mission.score = event.score;
+                this.check();
+            }),
+            // Wingmen share the credit for team efforts
+            events.on('bossDefeated', () => {
+                this.mission.bossesDefeated++;
+                this.check();
+            }),
+            events.on('waveStarted', event => {
+                this.mission.wave = event.wave;
+                this.wave = this.createWaveRecord();
+                this.check();
+            }),
+            events.on('waveCompleted', () => {
+                this.wave.completed = true;
+                this.check();
+                // Keep what's been earned so far should the pilot close the game mid-mission
+                this.profile.save();
+            }),
+            events.on('gameOver', event => this.finishMission(event))
+        ];
+    }
+
+    createWaveRecord() {
+        return { astronautsSaved: 0, hullDamage: 0, completed: false };
+    }
+
+    finishMission({ score, time }) {
+        const stats = this.profile.stats;
+        stats.gamesPlayed++;
+        stats.totalScore += score;
+        stats.bestScore = Math.max(stats.bestScore, score);
+        stats.longestMission = Math.max(stats.longestMission, time);
+        this.mission.score = score;
+        this.mission.time = time;
+
+        this.check();
+        this.profile.save();
+    }
+
+    // Unlock everything whose condition now holds
+    check() {
+        const context = { stats: this.profile.stats, mission: this.mission, wave: this.wave };
+        for (const [id, achievement] of Object.entries(Achievements)) {
+            if (this.profile.isUnlocked(id) || !achievement.isMet(context)) continue;
+
+            this.profile.unlock(id);
+            this.events.emit('achievementUnlocked', {
+                id,
+                name: achievement.name,
+                description: achievement.description
+            });
+        }
+    }
+
+    dispose() {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+    }
+}
@@ -0,0 +1,27 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Seeded generator (mulberry32) so a whole run can be reproduced from one number.
+    // Returns a function with the same contract as Math.random.
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Fresh 32-bit seed for a new run
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    return { createRandom, randomSeed };
+}));
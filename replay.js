@@ -0,0 +1,114 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const REPLAY_VERSION = 1;
+
+    // Button order for the bitmask each recorded tick is packed into
+    const REPLAY_BUTTONS = [
+        'forward', 'back', 'left', 'right', 'up', 'down',
+        'rollLeft', 'rollRight', 'fire', 'smartBomb', 'hyperspace', 'nextWeapon',
+        'powerEngines', 'powerWeapons', 'powerShields', 'powerBalance',
+        'levelHold'
+    ];
+
+    function encodeButtons(input) {
+        let mask = 0;
+        REPLAY_BUTTONS.forEach((button, i) => {
+            if (input[button]) mask |= 1 << i;
+        });
+        return mask;
+    }
+
+    function decodeInput(mask, lookX, lookY) {
+        const input = { lookX, lookY };
+        REPLAY_BUTTONS.forEach((button, i) => {
+            input[button] = (mask & (1 << i)) !== 0;
+        });
+        return input;
+    }
+
+    // Captures the seed and every tick's input. Identical consecutive ticks are
+    // stored once as [buttons, lookX, lookY, tickCount] so idle stretches stay small.
+    class InputRecorder {
+        constructor(seed, tickDuration) {
+            this.seed = seed;
+            this.tickDuration = tickDuration;
+            this.tickCount = 0;
+            this.runs = [];
+        }
+
+        record(input) {
+            const mask = encodeButtons(input);
+            const last = this.runs[this.runs.length - 1];
+            if (last && last[0] === mask && last[1] === input.lookX && last[2] === input.lookY) {
+                last[3]++;
+            } else {
+                this.runs.push([mask, input.lookX, input.lookY, 1]);
+            }
+            this.tickCount++;
+        }
+
+        toJSON(summary = {}) {
+            return {
+                version: REPLAY_VERSION,
+                seed: this.seed,
+                tickDuration: this.tickDuration,
+                tickCount: this.tickCount,
+                recordedAt: new Date().toISOString(),
+                summary,
+                inputs: this.runs
+            };
+        }
+    }
+
+    // Read side of a recording: hands back the input for any tick
+    class Replay {
+        constructor(data) {
+            if (!data || data.version !== REPLAY_VERSION || !Array.isArray(data.inputs)) {
+                throw new Error('Unsupported replay file');
+            }
+
+            this.seed = data.seed;
+            this.tickDuration = data.tickDuration;
+            this.tickCount = data.tickCount;
+            this.summary = data.summary || {};
+            this.data = data;
+
+            // First tick of each run, for binary search when seeking
+            this.runs = data.inputs;
+            this.runStarts = [];
+            let tick = 0;
+            for (const run of this.runs) {
+                this.runStarts.push(tick);
+                tick += run[3];
+            }
+        }
+
+        // Input for the zero-based tick index; empty once the recording runs out
+        getInput(tick) {
+            if (tick < 0 || tick >= this.tickCount) {
+                return decodeInput(0, 0, 0);
+            }
+
+            let low = 0;
+            let high = this.runStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (this.runStarts[mid] <= tick) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            const [mask, lookX, lookY] = this.runs[low];
+            return decodeInput(mask, lookX, lookY);
+        }
+    }
+
+    return { InputRecorder, Replay, REPLAY_VERSION };
+}));
@@ -0,0 +1,57 @@
+// Counts what the scene is holding on to, so leaks show up as numbers that keep
+// climbing from one report to the next. Press F9 in game to log a report.
+class ResourceTracker {
+    constructor(scene) {
+        this.scene = scene;
+        this.pools = new Map();
+        this.lastCounts = null;
+    }
+
+    // pool is anything with size and inUse, e.g. a MeshPool or ExplosionPool
+    trackPool(name, pool) {
+        this.pools.set(name, pool);
+    }
+
+    getCounts() {
+        const scene = this.scene;
+        const counts = {
+            meshes: scene.meshes.length,
+            enabledMeshes: scene.meshes.filter(mesh => mesh.isEnabled()).length,
+            materials: scene.materials.length,
+            textures: scene.textures.length,
+            particleSystems: scene.particleSystems.length
+        };
+        for (const [name, pool] of this.pools) {
+            counts[`${name}Pool`] = pool.size;
+            counts[`${name}InUse`] = pool.inUse;
+        }
+        return counts;
+    }
+
+    // Counts with the change since the previous report
+    report() {
+        const counts = this.getCounts();
+        const report = {};
+        for (const [name, count] of Object.entries(counts)) {
+            const previous = this.lastCounts ? this.lastCounts[name] : count;
+            report[name] = { count, change: count - previous };
+        }
+        this.lastCounts = counts;
+        return report;
+    }
+
+    log() {
+        const report = this.report();
+        console.log('Scene resources:');
+        console.table(report);
+
+        // What's on screen rises and falls with the fight; totals should settle
+        const growing = Object.keys(report).filter(name =>
+            name !== 'enabledMeshes' && !name.endsWith('InUse') && report[name].change > 0
+        );
+        if (growing.length > 0) {
+            console.warn(`Grown since the last report: ${growing.join(', ')}`);
+        }
+        return report;
+    }
+}
@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { GameSimulation } = require('./simulation');
+const { randomSeed } = require('./random');
+const { serializeSnapshot, serializeEvent } = require('./netcode');
+
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+const MIN_PLAYERS = 2;
+const MAX_NAME_LENGTH = 12;
+
+// Timings in milliseconds unless noted
+const SNAPSHOT_INTERVAL_TICKS = 3;
+const MAX_TICKS_PER_UPDATE = 5;
+const RECONNECT_WINDOW = 30000;
+const FINISHED_ROOM_LIFETIME = 60000;
+const HEARTBEAT_INTERVAL = 10000;
+const MAX_LOOK_PER_MESSAGE = 0.5;
+
+const BUTTONS = [
+    'forward', 'back', 'left', 'right', 'up', 'down',
+    'rollLeft', 'rollRight', 'fire', 'smartBomb', 'hyperspace', 'nextWeapon',
+    'powerEngines', 'powerWeapons', 'powerShields', 'powerBalance',
+    'levelHold'
+];
+
+// Pressed once rather than held; kept until a tick uses them
+const ONE_SHOT_BUTTONS = [
+    'smartBomb', 'hyperspace', 'nextWeapon',
+    'powerEngines', 'powerWeapons', 'powerShields', 'powerBalance',
+    'levelHold'
+];
+
+function sanitizeName(name, fallback) {
+    const clean = typeof name === 'string' ? name.replace(/[^\w .\-]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    return clean || fallback;
+}
+
+function clampLook(value) {
+    return Number.isFinite(value) ? Math.max(-MAX_LOOK_PER_MESSAGE, Math.min(MAX_LOOK_PER_MESSAGE, value)) : 0;
+}
+
+// One shared game. The room's GameSimulation is authoritative: clients only send
+// inputs and draw the snapshots broadcast back to them.
+class Room {
+    constructor(code) {
+        this.code = code;
+        this.seed = randomSeed();
+        this.simulation = new GameSimulation({ seed: this.seed, playerCount: 0 });
+        this.members = new Map();
+        this.hostId = null;
+        this.state = 'lobby';
+        this.tickAccumulator = 0;
+        this.lastUpdate = Date.now();
+        this.finishedAt = 0;
+    }
+
+    addMember(name, socket) {
+        if (this.state !== 'lobby') {
+            throw new Error('That game has already started');
+        }
+        if (this.members.size >= this.simulation.maxPlayers) {
+            throw new Error('That room is full');
+        }
+
+        const player = this.simulation.addPlayer();
+        player.name = sanitizeName(name, `Pilot ${player.slot + 1}`);
+
+        const member = {
+            player,
+            token: crypto.randomBytes(16).toString('hex'),
+            socket,
+            input: GameSimulation.emptyInput(),
+            inputSeq: 0,
+            ackSeq: 0,
+            disconnectedAt: 0
+        };
+        this.members.set(player.id, member);
+        if (this.hostId === null) {
+            this.hostId = player.id;
+        }
+        return member;
+    }
+
+    findMemberByToken(token) {
+        for (const member of this.members.values()) {
+            if (member.token === token) return member;
+        }
+        return null;
+    }
+
+    reconnect(member, socket) {
+        if (member.socket) {
+            member.socket.close();
+        }
+        member.socket = socket;
+        member.disconnectedAt = 0;
+        // A reloaded page starts counting inputs from scratch
+        member.inputSeq = 0;
+        member.ackSeq = 0;
+        if (this.state === 'playing') {
+            this.simulation.setPlayerConnected(member.player, true);
+        }
+    }
+
+    disconnect(member) {
+        member.socket = null;
+        member.disconnectedAt = Date.now();
+        member.input = GameSimulation.emptyInput();
+        if (this.state === 'playing') {
+            this.simulation.setPlayerConnected(member.player, false);
+        }
+    }
+
+    removeMember(member) {
+        this.members.delete(member.player.id);
+        this.simulation.removePlayer(member.player);
+
+        if (this.hostId === member.player.id) {
+            const next = this.connectedMembers()[0] || this.members.values().next().value;
+            this.hostId = next ? next.player.id : null;
+        }
+    }
+
+    connectedMembers() {
+        return [...this.members.values()].filter(member => member.socket);
+    }
+
+    start(member) {
+        if (member.player.id !== this.hostId) {
+            throw new Error('Only the host can launch the game');
+        }
+        if (this.state !== 'lobby') {
+            throw new Error('The game has already started');
+        }
+        if (this.connectedMembers().length < MIN_PLAYERS) {
+            throw new Error(`Waiting for at least ${MIN_PLAYERS} pilots`);
+        }
+
+        // Anyone who dropped out of the lobby joins once they reconnect
+        for (const other of this.members.values()) {
+            if (!other.socket) {
+                this.simulation.setPlayerConnected(other.player, false);
+            }
+        }
+
+        this.state = 'playing';
+        this.simulation.start();
+        this.simulation.drainEvents();
+        this.lastUpdate = Date.now();
+        this.tickAccumulator = 0;
+    }
+
+    // Held buttons follow the latest message; mouse look and one-shot actions add up
+    // until a tick consumes them so nothing sent between ticks is lost.
+    receiveInput(member, seq, input) {
+        if (!Number.isInteger(seq) || seq <= member.inputSeq || !input) return;
+
+        const merged = member.input;
+        for (const button of BUTTONS) {
+            if (ONE_SHOT_BUTTONS.includes(button)) {
+                merged[button] = merged[button] || !!input[button];
+            } else {
+                merged[button] = !!input[button];
+            }
+        }
+        merged.lookX += clampLook(input.lookX);
+        merged.lookY += clampLook(input.lookY);
+        member.inputSeq = seq;
+    }
+
+    // Advance in real time; returns true on ticks where a snapshot should go out
+    update(now) {
+        const elapsed = now - this.lastUpdate;
+        this.lastUpdate = now;
+
+        // Nothing moves while every pilot is away
+        if (this.state !== 'playing' || this.connectedMembers().length === 0) return false;
+
+        this.tickAccumulator += elapsed;
+        let broadcast = false;
+        let ticks = 0;
+        while (this.tickAccumulator >= this.simulation.tickDuration && ticks < MAX_TICKS_PER_UPDATE) {
+            this.step();
+            this.tickAccumulator -= this.simulation.tickDuration;
+            ticks++;
+
+            if (this.simulation.tick % SNAPSHOT_INTERVAL_TICKS === 0 || this.simulation.isGameOver) {
+                broadcast = true;
+            }
+            if (this.simulation.isGameOver) {
+                this.state = 'finished';
+                this.finishedAt = now;
+                break;
+            }
+        }
+        if (ticks === MAX_TICKS_PER_UPDATE) {
+            this.tickAccumulator = 0;
+        }
+        return broadcast;
+    }
+
+    step() {
+        const inputs = {};
+        for (const [id, member] of this.members) {
+            inputs[id] = member.input;
+        }
+        this.simulation.step(inputs);
+
+        // Everything received so far is now part of the simulation
+        for (const member of this.members.values()) {
+            member.input.lookX = 0;
+            member.input.lookY = 0;
+            for (const button of ONE_SHOT_BUTTONS) {
+                member.input[button] = false;
+            }
+            member.ackSeq = member.inputSeq;
+        }
+    }
+
+    snapshot() {
+        const acks = {};
+        for (const [id, member] of this.members) {
+            acks[id] = member.ackSeq;
+        }
+        return serializeSnapshot(this.simulation, acks);
+    }
+
+    lobbyState() {
+        return {
+            type: 'lobby',
+            code: this.code,
+            state: this.state,
+            hostId: this.hostId,
+            minPlayers: MIN_PLAYERS,
+            players: [...this.members.values()].map(member => ({
+                id: member.player.id,
+                name: member.player.name,
+                slot: member.player.slot,
+                connected: !!member.socket
+            }))
+        };
+    }
+
+    welcome(member) {
+        return {
+            type: 'welcome',
+            code: this.code,
+            playerId: member.player.id,
+            token: member.token,
+            seed: this.seed,
+            state: this.state,
+            snapshot: this.state === 'lobby' ? null : this.snapshot()
+        };
+    }
+
+    broadcast(message) {
+        const json = JSON.stringify(message);
+        for (const member of this.members.values()) {
+            if (member.socket) {
+                member.socket.send(json);
+            }
+        }
+    }
+}
+
+// Hosts co-op rooms over WebSocket on the given HTTP server at /ws
+class RoomServer {
+    constructor(server) {
+        this.rooms = new Map();
+        this.wss = new WebSocketServer({ server, path: '/ws' });
+        this.wss.on('connection', socket => this.handleConnection(socket));
+
+        // Run every room on one clock
+        this.updateInterval = setInterval(() => this.update(), 1000 / 60);
+        this.heartbeatInterval = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL);
+        console.log('Co-op room server listening on /ws');
+    }
+
+    createRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    handleConnection(socket) {
+        socket.isAlive = true;
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        // Set once the socket has created, joined or rejoined a room
+        let room = null;
+        let member = null;
+
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return;
+            }
+
+            try {
+                if (!member) {
+                    ({ room, member } = this.handleHello(socket, message));
+                    socket.send(JSON.stringify(room.welcome(member)));
+                    room.broadcast(room.lobbyState());
+                    return;
+                }
+
+                switch (message.type) {
+                    case 'input':
+                        room.receiveInput(member, message.seq, message.input);
+                        break;
+                    case 'start':
+                        room.start(member);
+                        room.broadcast({ type: 'started', seed: room.seed, snapshot: room.snapshot() });
+                        room.broadcast(room.lobbyState());
+                        break;
+                    case 'leave':
+                        room.removeMember(member);
+                        room.broadcast(room.lobbyState());
+                        member = null;
+                        socket.close();
+                        break;
+                }
+            } catch (error) {
+                socket.send(JSON.stringify({ type: 'error', message: error.message }));
+            }
+        });
+
+        socket.on('close', () => {
+            if (!room || !member || member.socket !== socket) return;
+
+            room.disconnect(member);
+            room.broadcast(room.lobbyState());
+        });
+    }
+
+    // First message on a socket: create a room, join one by code, or rejoin with a token
+    handleHello(socket, message) {
+        const code = typeof message.code === 'string' ? message.code.toUpperCase() : '';
+
+        switch (message.type) {
+            case 'create': {
+                const room = new Room(this.createRoomCode());
+                this.rooms.set(room.code, room);
+                console.log(`Room ${room.code} created`);
+                return { room, member: room.addMember(message.name, socket) };
+            }
+            case 'join': {
+                const room = this.rooms.get(code);
+                if (!room) throw new Error(`No room with code ${code}`);
+                return { room, member: room.addMember(message.name, socket) };
+            }
+            case 'reconnect': {
+                const room = this.rooms.get(code);
+                const member = room && room.findMemberByToken(message.token);
+                if (!member) throw new Error('That session has expired');
+                room.reconnect(member, socket);
+                return { room, member };
+            }
+            default:
+                throw new Error('Join or create a room first');
+        }
+    }
+
+    update() {
+        const now = Date.now();
+
+        for (const room of this.rooms.values()) {
+            if (room.update(now)) {
+                const events = room.simulation.drainEvents().map(serializeEvent);
+                room.broadcast({ type: 'snapshot', snapshot: room.snapshot(), events });
+            }
+
+            // Pilots who stayed away too long lose their seat
+            for (const member of [...room.members.values()]) {
+                if (!member.socket && now - member.disconnectedAt > RECONNECT_WINDOW) {
+                    room.removeMember(member);
+                    room.broadcast(room.lobbyState());
+                }
+            }
+
+            const finished = room.state === 'finished' && now - room.finishedAt > FINISHED_ROOM_LIFETIME;
+            if (room.members.size === 0 || finished) {
+                this.rooms.delete(room.code);
+                console.log(`Room ${room.code} closed`);
+            }
+        }
+    }
+
+    // Drop sockets that stopped answering pings so their pilots can reconnect
+    checkHeartbeats() {
+        for (const socket of this.wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }
+}
+
+module.exports = { RoomServer, Room };
@@ -0,0 +1,230 @@
+// Long-range scanner: a strip across the top of the screen showing the whole planet
+// unrolled, centred on the local ship. Across the strip runs the way round the planet
+// (Z), down it the width of the band (X). Every frame it places an icon for each ship,
+// enemy and astronaut, outlines the area the pilot can see, and pulses an alert ring
+// over abductions so the pilot knows where to fly. Zooming in narrows the strip to a
+// stretch of the planet either side of the ship; anything beyond it drops off the edge.
+class Scanner {
+    constructor(guiTexture, colors) {
+        this.colors = colors;
+        this.width = 600;
+        this.height = 64;
+        this.zoomLevels = [1, 2, 4];
+        this.zoom = 1;
+
+        // Icon per enemy type: shape, size in pixels, and whether it's turned into a diamond.
+        // null leaves the type off the strip, like the mothership's parts under its own icon.
+        this.icons = {
+            lander: { shape: 'rect', width: 5, height: 5 },
+            mutant: { shape: 'rect', width: 5, height: 5, diamond: true },
+            baiter: { shape: 'rect', width: 9, height: 3 },
+            bomber: { shape: 'rect', width: 7, height: 5 },
+            mine: { shape: 'rect', width: 2, height: 2 },
+            pod: { shape: 'ellipse', width: 6, height: 6 },
+            swarmer: { shape: 'ellipse', width: 3, height: 3 },
+            mothership: { shape: 'rect', width: 16, height: 6 },
+            turret: null,
+            bay: null,
+            core: null
+        };
+
+        this.blips = new Map();
+        this.alerts = [];
+        this.alertDuration = 3000;
+        this.pulsePeriod = 750;
+
+        this.createStrip(guiTexture);
+    }
+
+    createStrip(guiTexture) {
+        this.frame = new BABYLON.GUI.Rectangle("scanner");
+        this.frame.width = `${this.width}px`;
+        this.frame.height = `${this.height}px`;
+        this.frame.color = "rgb(0, 160, 255)";
+        this.frame.thickness = 2;
+        this.frame.background = "rgba(0, 10, 30, 0.75)";
+        this.frame.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        this.frame.top = "10px";
+        this.frame.isHitTestVisible = false;
+        guiTexture.addControl(this.frame);
+
+        // Planet surface line along the middle of the band
+        const surface = new BABYLON.GUI.Rectangle("scannerSurface");
+        surface.height = "1px";
+        surface.thickness = 0;
+        surface.background = "rgba(0, 160, 255, 0.3)";
+        this.frame.addControl(surface);
+
+        this.viewWindow = new BABYLON.GUI.Rectangle("scannerView");
+        this.viewWindow.color = "rgba(255, 255, 255, 0.6)";
+        this.viewWindow.thickness = 1;
+        this.frame.addControl(this.viewWindow);
+
+        // Drawn over everything else on the strip
+        this.playerMarker = this.createShipMarker("white");
+        this.playerMarker.zIndex = 2;
+        this.frame.addControl(this.playerMarker);
+    }
+
+    createShipMarker(color) {
+        const marker = new BABYLON.GUI.TextBlock();
+        marker.text = "▲";
+        marker.color = color;
+        marker.fontSize = 12;
+        marker.width = "12px";
+        marker.height = "12px";
+        return marker;
+    }
+
+    createBlip(kind, entity) {
+        if (kind === 'ship') {
+            return this.createShipMarker("cyan");
+        }
+
+        const icon = kind === 'astronaut'
+            ? { shape: 'ellipse', width: 3, height: 3 }
+            : this.icons[entity.type] || this.icons.lander;
+        const blip = icon.shape === 'ellipse' ? new BABYLON.GUI.Ellipse() : new BABYLON.GUI.Rectangle();
+        blip.width = `${icon.width}px`;
+        blip.height = `${icon.height}px`;
+        blip.thickness = 0;
+        blip.background = kind === 'astronaut' ? "lime" : this.colors[entity.type] || "red";
+        if (icon.diamond) {
+            blip.rotation = Math.PI / 4;
+        }
+        return blip;
+    }
+
+    // Step to the next zoom level, back to the whole planet after the closest
+    cycleZoom() {
+        const index = this.zoomLevels.indexOf(this.zoom);
+        this.zoom = this.zoomLevels[(index + 1) % this.zoomLevels.length];
+        return this.zoom;
+    }
+
+    // Strip coordinates of a position, relative to the strip's centre
+    place(control, planet, center, position) {
+        const offset = planet.offset(center, position);
+        const left = (offset.z / planet.circumference) * this.width * this.zoom;
+        control.left = `${left}px`;
+        control.top = `${(position.x / (planet.halfWidth * 2)) * (this.height - 4)}px`;
+        control.isVisible = Math.abs(left) <= this.width / 2;
+    }
+
+    // Ring pulsing over target (anything with a position) for a few seconds
+    alert(target) {
+        const ring = new BABYLON.GUI.Ellipse();
+        ring.color = "yellow";
+        ring.thickness = 2;
+        ring.zIndex = 1;
+        this.frame.addControl(ring);
+        this.alerts.push({ target, ring, startedAt: Date.now() });
+    }
+
+    // state: { planet, player, wingmen, enemies, astronauts, viewDistance, viewAngle }
+    update(state) {
+        const { planet, player } = state;
+        const now = Date.now();
+
+        this.syncBlips(state, [
+            ...state.wingmen.map(ship => ['ship', ship]),
+            ...state.enemies.filter(enemy => this.icons[enemy.type] !== null).map(enemy => ['enemy', enemy]),
+            ...state.astronauts.map(astronaut => ['astronaut', astronaut])
+        ]);
+
+        // Abducted astronauts blink so they stand out from the rest
+        const blink = Math.floor(now / 250) % 2 === 0;
+        for (const astronaut of state.astronauts) {
+            const blip = this.blips.get(astronaut);
+            const isAbducted = astronaut.state === 'captured';
+            blip.background = isAbducted ? "yellow" : astronaut.state === 'grounded' ? "lime" : "white";
+            blip.alpha = isAbducted && !blink ? 0.2 : 1;
+        }
+
+        // Ships point where they're heading: z runs across the strip and x down it
+        for (const ship of state.wingmen) {
+            this.blips.get(ship).rotation = ship.rotation.y + Math.PI / 2;
+        }
+        this.playerMarker.rotation = player.rotation.y + Math.PI / 2;
+        this.place(this.playerMarker, planet, player.position, player.position);
+
+        this.updateViewWindow(state);
+        this.updateAlerts(planet, player.position, now);
+    }
+
+    // Add, place and remove icons to match the entities, like Game.syncMeshes()
+    syncBlips(state, entries) {
+        const alive = new Set(entries.map(([, entity]) => entity));
+        for (const [entity, blip] of this.blips) {
+            if (!alive.has(entity)) {
+                blip.dispose();
+                this.blips.delete(entity);
+            }
+        }
+
+        for (const [kind, entity] of entries) {
+            let blip = this.blips.get(entity);
+            if (!blip) {
+                blip = this.createBlip(kind, entity);
+                this.frame.addControl(blip);
+                this.blips.set(entity, blip);
+            }
+            this.place(blip, state.planet, state.player.position, entity.position);
+        }
+    }
+
+    // Box around the wedge of ground in front of the ship that the camera can see
+    updateViewWindow({ planet, player, viewDistance, viewAngle }) {
+        const heading = player.rotation.y;
+        const corners = [[0, 0]];
+        for (const side of [-1, 1]) {
+            const angle = heading + side * viewAngle / 2;
+            corners.push([Math.sin(angle) * viewDistance, Math.cos(angle) * viewDistance]);
+        }
+        // Straight ahead reaches furthest
+        corners.push([Math.sin(heading) * viewDistance, Math.cos(heading) * viewDistance]);
+
+        const xs = corners.map(([x]) => x);
+        const zs = corners.map(([, z]) => z);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+
+        const scaleX = (this.height - 4) / (planet.halfWidth * 2);
+        const scaleZ = this.width / planet.circumference * this.zoom;
+        this.viewWindow.width = `${Math.max(2, Math.min(this.width, (maxZ - minZ) * scaleZ))}px`;
+        this.viewWindow.height = `${Math.max(2, Math.min(this.height, (maxX - minX) * scaleX))}px`;
+        this.viewWindow.left = `${((minZ + maxZ) / 2) * scaleZ}px`;
+        this.viewWindow.top = `${(player.position.x + (minX + maxX) / 2) * scaleX}px`;
+    }
+
+    updateAlerts(planet, center, now) {
+        this.alerts = this.alerts.filter(alert => {
+            const age = now - alert.startedAt;
+            if (age > this.alertDuration) {
+                alert.ring.dispose();
+                return false;
+            }
+
+            const phase = (age % this.pulsePeriod) / this.pulsePeriod;
+            const size = 6 + phase * 24;
+            alert.ring.width = `${size}px`;
+            alert.ring.height = `${size}px`;
+            alert.ring.alpha = 1 - phase;
+            this.place(alert.ring, planet, center, alert.target.position);
+            return true;
+        });
+
+        // The frame flashes while anything needs attention
+        const flashing = this.alerts.length > 0 && Math.floor(now / 250) % 2 === 0;
+        this.frame.color = flashing ? "yellow" : "rgb(0, 160, 255)";
+    }
+
+    clearAlerts() {
+        for (const alert of this.alerts) {
+            alert.ring.dispose();
+        }
+        this.alerts = [];
+    }
+}
@@ -1,12 +1,18 @@
 const express = require('express');
+const path = require('path');
+const { LeaderboardStore } = require('./leaderboard');
+const { AssetManifest } = require('./assets');
+const { RoomServer } = require('./rooms');
 const app = express();
-const port = 3000;
+const port = process.env.PORT || 3000;
 
-// Add error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).send('Something broke!');
-});
+// High scores live next to the server unless LEADERBOARD_FILE says otherwise
+const leaderboard = new LeaderboardStore(
+    process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json')
+);
+
+// Libraries and textures are served locally so the game runs without the Babylon CDN
+const assets = new AssetManifest(path.join(__dirname, 'assets'));
 
 // Add request logging
 app.use((req, res, next) => {
@@ -14,6 +20,59 @@ app.use((req, res, next) => {
     next();
 });
 
+// Leaderboard API
+app.use('/api', express.json({ limit: '10kb' }));
+
+// Submit a finished run; responds with the stored entry and its rank on each board
+app.post('/api/scores', (req, res) => {
+    try {
+        res.status(201).json(leaderboard.submit(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Top scores: ?board=all|daily|difficulty&difficulty=N&limit=10
+app.get('/api/scores', (req, res) => {
+    const board = req.query.board || 'all';
+    try {
+        const scores = leaderboard.top(board, {
+            difficulty: req.query.difficulty !== undefined ? Number(req.query.difficulty) : undefined,
+            limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined
+        });
+        res.json({ board, scores });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Bad requests to the API, e.g. a body that isn't valid JSON, get a JSON error back
+// rather than the default error page
+app.use('/api', (err, req, res, next) => {
+    if (!err.status || err.status >= 500) {
+        next(err);
+        return;
+    }
+    res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+});
+
+// What the preloader fetches before the game starts
+app.get('/assets/manifest.json', (req, res) => {
+    res.json(assets.build());
+});
+
+app.get('/vendor/:name', (req, res) => {
+    const filePath = assets.resolveVendorScript(req.params.name);
+    if (!filePath) {
+        res.status(404).send('Unknown vendor script');
+        return;
+    }
+    res.type('application/javascript');
+    res.sendFile(filePath, { maxAge: '1d' });
+});
+
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
+
 // Serve static files from the current directory
 app.use(express.static('./', {
     setHeaders: (res, path, stat) => {
@@ -23,8 +82,17 @@ app.use(express.static('./', {
     }
 }));
 
+// Add error handling middleware, after everything that might fail
+app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(500).send('Something broke!');
+});
+
 // Start the server
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Game server running at http://localhost:${port}`);
     console.log('Press Ctrl+C to stop');
-}); 
\ No newline at end of file
+});
+
+// Co-op rooms share the HTTP server over WebSocket
+new RoomServer(server); 
\ No newline at end of file
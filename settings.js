@@ -0,0 +1,68 @@
+// Player preferences from the settings screen, saved to localStorage. Game applies
+// them to the input, camera, engine and GUI whenever one changes.
+class Settings {
+    constructor() {
+        this.storageKey = 'defender2084.settings';
+        this.values = this.load();
+    }
+
+    static defaults() {
+        return {
+            mouseSensitivity: 1,
+            invertY: false,
+            masterVolume: 1,
+            effectsVolume: 0.8,
+            musicVolume: 0.6,
+            muted: false,
+            graphicsQuality: 'high',
+            hudScale: 1,
+            fov: 46
+        };
+    }
+
+    // Hardware scaling per quality level: higher renders fewer pixels
+    static get graphicsQualities() {
+        return {
+            low: { label: 'Low', hardwareScaling: 2 },
+            medium: { label: 'Medium', hardwareScaling: 1.5 },
+            high: { label: 'High', hardwareScaling: 1 }
+        };
+    }
+
+    load() {
+        const values = Settings.defaults();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            for (const key of Object.keys(values)) {
+                if (key in stored && typeof stored[key] === typeof values[key]) {
+                    values[key] = stored[key];
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load settings, using defaults:', error);
+        }
+
+        if (!(values.graphicsQuality in Settings.graphicsQualities)) {
+            values.graphicsQuality = Settings.defaults().graphicsQuality;
+        }
+        return values;
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+    }
+
+    reset() {
+        this.values = Settings.defaults();
+        this.save();
+    }
+}
@@ -0,0 +1,1323 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./vector'),
+            require('./random'),
+            require('./planet'),
+            require('./terrain'),
+            require('./collision'),
+            require('./weapons'),
+            require('./entities'),
+            require('./enemies')
+        ));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ Vec3, createRandom, randomSeed, Planet, Terrain, CollisionLayers, CollisionSystem, WeaponOrder, maxWeaponLevel, getWeaponStats, Player, Laser, Missile, EnemyShot, Pickup, Astronaut, Lander, Mutant, Baiter, Bomber, Pod, Mothership, MothershipCore }) {
+    // Owns all gameplay state and rules. Advances in fixed ticks driven by step(input)
+    // and reports what happened through events, so it runs the same in the browser
+    // (rendered by Game) and headless under Node.
+    class GameSimulation {
+        constructor(options = {}) {
+            // Every random choice goes through this.random so a run replays exactly from its seed
+            this.seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+            this.random = options.random || createRandom(this.seed);
+
+            // Fixed timestep; all timers below are in simulation milliseconds
+            this.tickDuration = 1000 / 60;
+            this.tick = 0;
+            this.time = 0;
+
+            // World: a cylinder whose circumference runs along Z (see planet.js)
+            this.planet = new Planet();
+            this.worldHalfSize = this.planet.halfWidth;
+            this.terrain = Terrain.forSeed(this.seed, this.planet.circumference);
+            this.collisions = new CollisionSystem(this.planet, {
+                getGroundHeight: (x, z) => this.getGroundHeight(x, z)
+            });
+
+            // Entities
+            this.players = [];
+            this.astronauts = [];
+            this.enemies = [];
+            this.lasers = [];
+            this.enemyShots = [];
+            this.pickups = [];
+            this.nextEntityId = 1;
+            this.events = [];
+            this.maxPlayers = 4;
+            this.playerSpacing = 6;
+
+            // Game state
+            this.score = 0;
+            this.astronautsSaved = 0;
+            this.landersDestroyed = 0;
+            this.level = 1;
+            this.isGameOver = false;
+
+            // Game settings
+            this.gameSpeed = 1;
+            this.difficulty = 1;
+            this.maxEnemies = 5;
+
+            // Movement properties
+            this.moveSpeed = 0.1;
+            this.gravity = -9.81;
+            this.thrust = 15;
+            this.maxVerticalSpeed = 5;
+            this.thrusterEnergyCost = 0.5;
+
+            // Autopilot level hold: hovers at the current altitude and eases the nose level
+            // while engaged, unless the pilot is climbing, diving or pitching themselves
+            this.levelHoldDamping = 0.9;
+            this.levelHoldPitchDamping = 0.95;
+            this.levelHoldEnergyCost = 0.1;
+
+            // Shields regenerate per tick, scaled by shield power, after a pause since the last hit
+            this.shieldRegenRate = 0.15;
+            this.shieldRegenDelay = 2000;
+
+            // Reactor output is shared out in pips between the three systems. Each system
+            // scales its effect by its pips: engines speed and thrust, weapons fire rate,
+            // shields regeneration. Two pips each is the standard setting.
+            this.powerSystems = ['engines', 'weapons', 'shields'];
+            this.maxPowerPips = 4;
+            this.powerEffects = {
+                engines: [0.6, 0.8, 1, 1.2, 1.4],
+                weapons: [0.6, 0.8, 1, 1.25, 1.5],
+                shields: [0, 0.5, 1, 1.5, 2]
+            };
+            this.rollSpeed = 0.02;
+            this.maxRoll = Math.PI / 4;
+            this.groundClearance = 4;
+
+            // Weapons (see weapons.js)
+            this.energyRechargeRate = 0.2;
+
+            // Weapon upgrade pickups dropped by destroyed enemies
+            this.pickupDropChance = 0.12;
+            this.pickupLifetime = 15000;
+            this.pickupBonus = 25;
+
+            // Ship loss and respawn
+            this.respawnDelay = 2000;
+            this.respawnAltitude = 10;
+            this.invulnerabilityDuration = 3000;
+
+            // Smart bombs and hyperspace
+            this.smartBombRange = 1000;
+            // What a smart bomb does to armored enemies, which it can't destroy outright
+            this.smartBombDamage = 4;
+            this.viewHalfAngle = 0.9;
+            this.hyperspaceCooldown = 3000;
+            this.hyperspaceFailureChance = 0.2;
+            // Height above the ground a jump comes out at: the minimum plus up to the range
+            this.hyperspaceMinAltitude = 10;
+            this.hyperspaceAltitudeRange = 30;
+
+            // Rescue properties
+            this.rescueAltitude = 5;
+            this.catchBonus = 50;
+            this.rescueBonus = 100;
+
+            // Enemy spawn properties
+            this.landerSpawnInterval = 3000;
+            this.enemyTypes = [Lander, Baiter, Bomber, Pod];
+            this.lastSpawnTimes = new Map();
+            this.lastKillTime = 0;
+
+            // Enemy fire grows quicker, tighter and better at leading the ship with
+            // difficulty. Lead is the share of the ship's motion enemies aim ahead for.
+            this.enemyFireRateStep = 0.2;
+            this.enemyAccuracyStep = 0.25;
+            this.enemyLead = 0.5;
+            this.enemyLeadStep = 0.1;
+            this.shotDownBonus = 25;
+
+            // Wave properties (this.level is the current wave)
+            this.waveQuota = new Map();
+            this.isBetweenWaves = false;
+            this.nextWaveAt = 0;
+            this.waveSummaryDuration = 4000;
+            this.astronautCount = 10;
+            this.planetRestoreInterval = 5;
+            this.planetDestroyed = false;
+
+            // Every few waves a mothership comes down instead of the usual enemies
+            this.bossWaveInterval = 4;
+            this.bossBonus = 5000;
+            this.boss = null;
+
+            // Online rooms start empty and add pilots as they join
+            const playerCount = options.playerCount !== undefined ? options.playerCount : 1;
+            for (let i = 0; i < playerCount; i++) {
+                this.addPlayer();
+            }
+            this.createAstronauts(this.astronautCount);
+        }
+
+        // The first pilot; single-player code paths only ever have this one
+        get player() {
+            return this.players[0];
+        }
+
+        static emptyInput() {
+            return {
+                forward: false,
+                back: false,
+                left: false,
+                right: false,
+                up: false,
+                down: false,
+                rollLeft: false,
+                rollRight: false,
+                fire: false,
+                smartBomb: false,
+                hyperspace: false,
+                nextWeapon: false,
+                powerEngines: false,
+                powerWeapons: false,
+                powerShields: false,
+                powerBalance: false,
+                levelHold: false,
+                lookX: 0,
+                lookY: 0
+            };
+        }
+
+        start() {
+            this.startWave();
+        }
+
+        // Advance the game by one tick. inputs holds each pilot's input keyed by player id;
+        // pilots without an entry get an empty input.
+        step(inputs = {}) {
+            if (this.isGameOver) return;
+
+            this.tick++;
+            this.time += this.tickDuration;
+
+            for (const player of this.players) {
+                if (!player.connected) continue;
+
+                this.updateRespawn(player);
+                this.applyInput(player, inputs[player.id] || GameSimulation.emptyInput());
+                this.rechargeEnergy(player);
+                this.regenerateShield(player);
+            }
+
+            this.updateSpawning();
+
+            this.updateLasers();
+            this.updateEnemies();
+            this.updateEnemyShots();
+            this.updateAstronauts();
+            this.updatePickups();
+            this.resolveCollisions();
+
+            // End the wave once its quota is spent and the sky is clear
+            if (this.isWaveComplete()) {
+                this.completeWave();
+            } else if (this.isBetweenWaves && this.time >= this.nextWaveAt) {
+                this.level++;
+                this.startWave();
+            }
+        }
+
+        emit(type, data = {}) {
+            this.events.push(Object.assign({ type, tick: this.tick }, data));
+        }
+
+        // Hand over everything that happened since the last call
+        drainEvents() {
+            const events = this.events;
+            this.events = [];
+            return events;
+        }
+
+        getGroundHeight(x, z) {
+            return this.terrain.getHeight(x, z);
+        }
+
+        // Nearest ship that is flying, or null when every pilot is down or away
+        findNearestPlayer(position) {
+            let nearest = null;
+            let minDistance = Infinity;
+            for (const player of this.players) {
+                if (!this.isPlayerActive(player)) continue;
+
+                const distance = this.planet.distance(position, player.position);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = player;
+                }
+            }
+            return nearest;
+        }
+
+        // Players
+
+        addPlayer() {
+            if (this.players.length >= this.maxPlayers) {
+                throw new Error(`A game holds at most ${this.maxPlayers} players`);
+            }
+
+            // Line the ships up side by side in the first free slot
+            let slot = 0;
+            while (this.players.some(player => player.slot === slot)) {
+                slot++;
+            }
+
+            const x = slot * this.playerSpacing;
+            const z = -8;
+            const player = new Player(new Vec3(x, this.getGroundHeight(x, z) + 12, z));
+            player.id = this.nextEntityId++;
+            player.slot = slot;
+            this.players.push(player);
+            return player;
+        }
+
+        removePlayer(player) {
+            const index = this.players.indexOf(player);
+            if (index === -1) return;
+
+            this.dropAstronauts(player);
+            this.players.splice(index, 1);
+            this.checkGameOver();
+        }
+
+        getPlayer(id) {
+            return this.players.find(player => player.id === id) || null;
+        }
+
+        // Disconnected ships are frozen in place and ignored until their pilot returns
+        setPlayerConnected(player, connected) {
+            player.connected = connected;
+            if (!connected) {
+                this.dropAstronauts(player);
+            }
+            this.emit(connected ? 'playerReconnected' : 'playerDisconnected', { player });
+        }
+
+        isPlayerActive(player) {
+            return player.connected && !player.isDying;
+        }
+
+        applyInput(player, input) {
+            if (player.isDying) return;
+
+            player.rotation.y += input.lookX || 0;
+            player.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, player.rotation.x + (input.lookY || 0)));
+
+            this.updateMovement(player, input);
+
+            if (input.nextWeapon) {
+                this.cycleWeapon(player);
+            }
+            if (input.powerEngines) this.shiftPower(player, 'engines');
+            if (input.powerWeapons) this.shiftPower(player, 'weapons');
+            if (input.powerShields) this.shiftPower(player, 'shields');
+            if (input.powerBalance) this.balancePower(player);
+            if (input.levelHold) this.toggleLevelHold(player);
+
+            this.pullTrigger(player, !!input.fire);
+            if (input.smartBomb) {
+                this.fireSmartBomb(player);
+            }
+            if (input.hyperspace) {
+                this.hyperspace(player);
+            }
+        }
+
+        updateMovement(player, input) {
+            const deltaTime = this.tickDuration / 1000;
+            const forward = player.getForward();
+            const right = player.getRight();
+            const enginePower = this.getPowerEffect(player, 'engines');
+            const speed = this.moveSpeed * enginePower;
+            const thrust = this.thrust * enginePower;
+
+            const movement = new Vec3();
+
+            // Forward/Backward
+            if (input.forward) {
+                movement.addInPlace(forward.scale(speed));
+            }
+            if (input.back) {
+                movement.addInPlace(forward.scale(-speed));
+            }
+
+            // Left/Right
+            if (input.left) {
+                movement.addInPlace(right.scale(-speed));
+            }
+            if (input.right) {
+                movement.addInPlace(right.scale(speed));
+            }
+
+            // Up/Down (vertical thrusters)
+            if (input.up) {
+                player.verticalVelocity = Math.min(player.verticalVelocity + thrust * deltaTime, this.maxVerticalSpeed);
+                player.energy = Math.max(0, player.energy - this.thrusterEnergyCost);
+            } else if (input.down) {
+                player.verticalVelocity = Math.max(player.verticalVelocity - thrust * deltaTime, -this.maxVerticalSpeed);
+                player.energy = Math.max(0, player.energy - this.thrusterEnergyCost);
+            }
+
+            // Apply gravity, unless the autopilot is holding altitude
+            const isHolding = player.levelHold && !input.up && !input.down && player.energy >= this.levelHoldEnergyCost;
+            if (isHolding) {
+                player.verticalVelocity *= this.levelHoldDamping;
+                player.energy -= this.levelHoldEnergyCost;
+                if (!input.lookY) {
+                    player.rotation.x *= this.levelHoldPitchDamping;
+                }
+            } else {
+                player.verticalVelocity += this.gravity * deltaTime;
+            }
+
+            // Roll left/right, returning to level when not rolling
+            if (input.rollLeft) {
+                player.rotation.z = Math.min(player.rotation.z + this.rollSpeed, this.maxRoll);
+            } else if (input.rollRight) {
+                player.rotation.z = Math.max(player.rotation.z - this.rollSpeed, -this.maxRoll);
+            } else if (Math.abs(player.rotation.z) > this.rollSpeed) {
+                player.rotation.z -= Math.sign(player.rotation.z) * this.rollSpeed;
+            } else {
+                player.rotation.z = 0;
+            }
+
+            // Apply horizontal and vertical movement
+            player.position.addInPlace(movement);
+            player.position.y += player.verticalVelocity * deltaTime;
+            this.planet.keepOnPlanet(player.position);
+
+            // Check for ground collision
+            const minY = this.getGroundHeight(player.position.x, player.position.z) + this.groundClearance;
+            if (player.position.y <= minY) {
+                player.position.y = minY;
+                player.verticalVelocity = 0;
+                player.isGrounded = true;
+            } else {
+                player.isGrounded = false;
+            }
+            player.velocity.set(movement.x, player.verticalVelocity * deltaTime, movement.z);
+        }
+
+        rechargeEnergy(player) {
+            player.energy = Math.min(player.maxEnergy, player.energy + this.energyRechargeRate);
+        }
+
+        regenerateShield(player) {
+            if (player.isDying || this.time - player.lastHitTime < this.shieldRegenDelay) return;
+
+            const regen = this.shieldRegenRate * this.getPowerEffect(player, 'shields');
+            player.shield = Math.min(player.maxShield, player.shield + regen);
+        }
+
+        // Power distribution
+
+        // Multiplier a system's current pips give its effect
+        getPowerEffect(player, system) {
+            return this.powerEffects[system][player.power[system]];
+        }
+
+        // Move a pip to system from whichever other system has the most (the first
+        // listed on a tie), so the total stays the same
+        shiftPower(player, system) {
+            if (player.power[system] >= this.maxPowerPips) return;
+
+            let donor = null;
+            for (const other of this.powerSystems) {
+                if (other === system || player.power[other] === 0) continue;
+                if (!donor || player.power[other] > player.power[donor]) {
+                    donor = other;
+                }
+            }
+            if (!donor) return;
+
+            player.power[donor]--;
+            player.power[system]++;
+            this.emit('powerChanged', { player, power: Object.assign({}, player.power) });
+        }
+
+        balancePower(player) {
+            if (this.powerSystems.every(system => player.power[system] === 2)) return;
+
+            for (const system of this.powerSystems) {
+                player.power[system] = 2;
+            }
+            this.emit('powerChanged', { player, power: Object.assign({}, player.power) });
+        }
+
+        toggleLevelHold(player) {
+            player.levelHold = !player.levelHold;
+            this.emit('autopilotChanged', { player, engaged: player.levelHold });
+        }
+
+        // Weapons
+
+        getWeaponStats(player) {
+            return getWeaponStats(player.weapon, player.weapons[player.weapon]);
+        }
+
+        // Fire the selected weapon while the button is held; a charging weapon builds
+        // up while it's held and fires when it's let go, or as soon as it can after that
+        // if it's still cooling down or short of energy
+        pullTrigger(player, fire) {
+            const stats = this.getWeaponStats(player);
+            if (!stats.chargeTime) {
+                if (fire) {
+                    this.fireWeapon(player, stats);
+                }
+                return;
+            }
+
+            if (fire) {
+                player.charge = Math.min(1, player.charge + this.tickDuration / stats.chargeTime);
+            } else if (player.charge > 0 && this.fireWeapon(player, stats)) {
+                player.charge = 0;
+            }
+        }
+
+        // Returns whether the weapon fired
+        fireWeapon(player, stats) {
+            // Weapon power shortens the time between shots
+            if (this.time - player.lastShotTime < stats.cooldown / this.getPowerEffect(player, 'weapons')) return false;
+
+            const charge = player.charge;
+            const energyCost = stats.energyCost + (stats.chargeCost || 0) * charge;
+            if (player.energy < energyCost) return false;
+
+            const damage = stats.chargedDamage
+                ? stats.damage + (stats.chargedDamage - stats.damage) * charge
+                : stats.damage;
+            const target = stats.turnRate ? this.findMissileTarget(player, stats.lockRange) : null;
+            const Projectile = stats.turnRate ? Missile : Laser;
+
+            // Several shots fan out evenly either side of the nose
+            const shots = stats.shots || 1;
+            const fired = [];
+            for (let i = 0; i < shots; i++) {
+                const yawOffset = (i - (shots - 1) / 2) * (stats.spread || 0);
+                const laser = new Projectile(player.position.clone(), player.getForward(yawOffset), stats.speed, {
+                    weapon: player.weapon,
+                    damage,
+                    radius: stats.radius,
+                    range: stats.range,
+                    pierce: stats.pierce,
+                    target,
+                    turnRate: stats.turnRate
+                });
+                laser.id = this.nextEntityId++;
+                laser.owner = player;
+                this.lasers.push(laser);
+                fired.push(laser);
+            }
+
+            player.energy -= energyCost;
+            player.lastShotTime = this.time;
+            this.emit('laserFired', {
+                laser: fired[0],
+                player,
+                weapon: player.weapon,
+                shots: fired.length,
+                charge,
+                position: player.position.clone()
+            });
+            return true;
+        }
+
+        // Nearest enemy ahead of the ship within range, or null
+        findMissileTarget(player, range) {
+            let target = null;
+            let nearest = range;
+            for (const enemy of this.enemies) {
+                // Nothing to gain chasing the mothership's hull or a shielded part
+                if (!enemy.collider || enemy.shielded) continue;
+
+                const distance = this.planet.distance(player.position, enemy.position);
+                if (distance < nearest && this.isInView(player, enemy.position)) {
+                    nearest = distance;
+                    target = enemy;
+                }
+            }
+            return target;
+        }
+
+        // Switch to the next weapon the ship has
+        cycleWeapon(player) {
+            const owned = WeaponOrder.filter(weapon => player.weapons[weapon]);
+            const next = owned[(owned.indexOf(player.weapon) + 1) % owned.length];
+            if (next === player.weapon) return;
+
+            player.weapon = next;
+            player.charge = 0;
+            this.emit('weaponChanged', { player, weapon: next, level: player.weapons[next] });
+        }
+
+        isPlayerVulnerable(player) {
+            return this.isPlayerActive(player) && !this.isGameOver && this.time >= player.invulnerableUntil;
+        }
+
+        // The shield soaks up what it can and the hull takes the rest
+        damagePlayer(player, amount) {
+            if (!this.isPlayerVulnerable(player)) return;
+
+            const shieldDamage = Math.min(player.shield, amount);
+            const hullDamage = amount - shieldDamage;
+            player.shield -= shieldDamage;
+            player.health = Math.max(0, player.health - hullDamage);
+            player.lastHitTime = this.time;
+            this.emit('playerDamaged', { player, amount, shieldDamage, hullDamage });
+            if (shieldDamage > 0 && player.shield <= 0) {
+                this.emit('shieldsDown', { player });
+            }
+
+            if (player.health <= 0) {
+                this.loseLife(player);
+            }
+        }
+
+        // Start the ship destruction sequence; updateRespawn() finishes it
+        loseLife(player) {
+            if (player.isDying || this.isGameOver) return;
+
+            player.isDying = true;
+            player.charge = 0;
+            player.lives = Math.max(0, player.lives - 1);
+            player.respawnAt = this.time + this.respawnDelay;
+
+            this.dropAstronauts(player);
+
+            this.emit('explosion', { position: player.position.add(player.getForward().scale(3)) });
+            this.emit('lifeLost', { player, lives: player.lives });
+        }
+
+        // Let go of any astronaut the ship was carrying
+        dropAstronauts(player) {
+            this.astronauts
+                .filter(astronaut => astronaut.carrier === player)
+                .forEach(astronaut => astronaut.release());
+        }
+
+        updateRespawn(player) {
+            if (!player.isDying || player.isOut || this.time < player.respawnAt) return;
+
+            if (player.lives > 0) {
+                this.respawnPlayer(player);
+            } else {
+                player.isOut = true;
+                this.emit('playerOut', { player });
+                this.checkGameOver();
+            }
+        }
+
+        // The game ends once every pilot has run out of ships
+        checkGameOver() {
+            if (!this.isGameOver && this.players.every(player => player.isOut)) {
+                this.gameOver();
+            }
+        }
+
+        respawnPlayer(player) {
+            // Restore ship systems
+            player.health = player.maxHealth;
+            player.energy = player.maxEnergy;
+            player.shield = player.maxShield;
+
+            // Put the ship back in the air above where it went down
+            player.position.y = this.getGroundHeight(player.position.x, player.position.z) + this.respawnAltitude + this.groundClearance;
+            player.rotation.set(0, player.rotation.y, 0);
+            player.verticalVelocity = 0;
+
+            player.invulnerableUntil = this.time + this.invulnerabilityDuration;
+            player.isDying = false;
+            this.emit('playerRespawned', { player, invulnerabilityDuration: this.invulnerabilityDuration });
+        }
+
+        gameOver() {
+            this.isGameOver = true;
+            this.emit('gameOver', { score: this.score, time: this.time });
+        }
+
+        // Destroy every enemy currently in view
+        fireSmartBomb(player) {
+            if (player.smartBombs <= 0) return;
+
+            player.smartBombs--;
+            this.emit('smartBomb', { player, remaining: player.smartBombs });
+
+            for (let i = this.enemies.length - 1; i >= 0; i--) {
+                const enemy = this.enemies[i];
+                if (!enemy || !this.isInView(player, enemy.position)) continue;
+
+                if (enemy.armored) {
+                    this.damageEnemy(enemy, this.smartBombDamage, player);
+                } else {
+                    this.destroyEnemy(enemy, player);
+                }
+            }
+            this.enemyShots = this.enemyShots.filter(shot => !this.isInView(player, shot.position));
+        }
+
+        isInView(player, position) {
+            const toTarget = this.planet.offset(player.position, position);
+            const distance = toTarget.length();
+            if (distance > this.smartBombRange) return false;
+            if (distance === 0) return true;
+
+            return toTarget.scale(1 / distance).dot(player.getForward()) >= Math.cos(this.viewHalfAngle);
+        }
+
+        // Jump to a random spot anywhere round the planet, clear of the terrain there;
+        // the ship may not survive re-entry
+        hyperspace(player) {
+            if (this.time - player.lastHyperspace < this.hyperspaceCooldown) return;
+
+            player.lastHyperspace = this.time;
+            const x = (this.random() * 2 - 1) * this.worldHalfSize;
+            const altitude = this.hyperspaceMinAltitude + this.random() * this.hyperspaceAltitudeRange;
+            const z = (this.random() - 0.5) * this.planet.circumference;
+            player.position.set(x, this.getGroundHeight(x, z) + altitude, z);
+            player.rotation.y = this.random() * Math.PI * 2;
+            player.verticalVelocity = 0;
+
+            const failed = this.random() < this.hyperspaceFailureChance;
+            this.emit('hyperspace', { player, failed });
+            if (failed) {
+                this.loseLife(player);
+            }
+        }
+
+        addScore(points) {
+            this.score += points;
+            this.emit('scoreChanged', { score: this.score, points });
+        }
+
+        // Lasers
+
+        updateLasers() {
+            for (let i = this.lasers.length - 1; i >= 0; i--) {
+                const laser = this.lasers[i];
+                // Missiles lose their lock once the target is gone
+                if (laser.target && this.enemies.includes(laser.target)) {
+                    laser.steer(this.planet.offset(laser.position, laser.target.position));
+                }
+                laser.update();
+
+                // Shots leaving the band are gone; the rest carry on round the planet
+                if (this.planet.keepOnPlanet(laser.position)) {
+                    this.lasers.splice(i, 1);
+                    continue;
+                }
+
+                // Remove laser if it goes too far
+                if (laser.distanceTravelled > laser.range) {
+                    this.lasers.splice(i, 1);
+                }
+            }
+        }
+
+        // Enemy fire
+
+        // Ticks until an enemy's next shot, from its base interval
+        getEnemyFireInterval(interval) {
+            return Math.max(1, Math.round(interval / (1 + (this.difficulty - 1) * this.enemyFireRateStep)));
+        }
+
+        // Shoot at the nearest ship if it's in range, aiming where it's heading. Ships that
+        // have just respawned are left alone until they can be hurt.
+        fireEnemyShot(enemy, shot) {
+            const target = this.findNearestPlayer(enemy.position);
+            if (!target || !this.isPlayerVulnerable(target)) return;
+
+            const offset = this.planet.offset(enemy.position, target.position);
+            if (offset.length() > shot.range) return;
+
+            const lead = Math.min(1, this.enemyLead + (this.difficulty - 1) * this.enemyLeadStep);
+            const direction = this.getInterceptDirection(offset, target.velocity.scale(lead), shot.speed);
+
+            // Scatter the aim a little, less as difficulty climbs
+            const spread = shot.spread / (1 + (this.difficulty - 1) * this.enemyAccuracyStep);
+            direction.addInPlace(new Vec3(
+                (this.random() * 2 - 1) * spread,
+                (this.random() * 2 - 1) * spread,
+                (this.random() * 2 - 1) * spread
+            ));
+            direction.normalize();
+
+            const projectile = new EnemyShot(enemy.position.clone(), direction, shot.speed, shot);
+            projectile.id = this.nextEntityId++;
+            projectile.owner = enemy;
+            this.enemyShots.push(projectile);
+            this.emit('enemyFired', { enemy, shot: projectile, kind: projectile.kind, position: enemy.position.clone() });
+        }
+
+        // Direction a shot at speed has to leave in to meet a target at offset that keeps
+        // moving at velocity (both per tick). Straight at it when it can't be caught.
+        getInterceptDirection(offset, velocity, speed) {
+            const a = velocity.dot(velocity) - speed * speed;
+            const b = 2 * offset.dot(velocity);
+            const c = offset.dot(offset);
+
+            let time = Math.sqrt(c) / speed;
+            const discriminant = b * b - 4 * a * c;
+            if (Math.abs(a) > 1e-9 && discriminant >= 0) {
+                const root = Math.sqrt(discriminant);
+                const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+                if (times.length > 0) {
+                    time = Math.min(...times);
+                }
+            }
+            return offset.add(velocity.scale(time)).normalize();
+        }
+
+        updateEnemyShots() {
+            for (let i = this.enemyShots.length - 1; i >= 0; i--) {
+                const shot = this.enemyShots[i];
+                shot.update();
+                if (this.planet.keepOnPlanet(shot.position) || shot.distanceTravelled > shot.range) {
+                    this.enemyShots.splice(i, 1);
+                }
+            }
+        }
+
+        removeEnemyShot(shot) {
+            const index = this.enemyShots.indexOf(shot);
+            if (index !== -1) {
+                this.enemyShots.splice(index, 1);
+            }
+        }
+
+        // Pickups
+
+        // Sometimes leave an upgrade for a random weapon where an enemy went down
+        dropPickup(position) {
+            if (this.random() >= this.pickupDropChance) return;
+
+            const weapon = WeaponOrder[Math.floor(this.random() * WeaponOrder.length)];
+            const pickup = new Pickup(position.clone(), weapon);
+            pickup.id = this.nextEntityId++;
+            pickup.expiresAt = this.time + this.pickupLifetime;
+            this.pickups.push(pickup);
+            this.emit('pickupDropped', { pickup, position: pickup.position.clone() });
+        }
+
+        updatePickups() {
+            for (let i = this.pickups.length - 1; i >= 0; i--) {
+                const pickup = this.pickups[i];
+                pickup.update(this.getGroundHeight(pickup.position.x, pickup.position.z));
+                if (this.time >= pickup.expiresAt) {
+                    this.pickups.splice(i, 1);
+                }
+            }
+        }
+
+        // A new weapon is selected straight away; one already owned goes up a level
+        collectPickup(player, pickup) {
+            const index = this.pickups.indexOf(pickup);
+            if (index === -1) return;
+            this.pickups.splice(index, 1);
+
+            const { weapon } = pickup;
+            const unlocked = !player.weapons[weapon];
+            const level = Math.min(maxWeaponLevel, (player.weapons[weapon] || 0) + 1);
+            player.weapons[weapon] = level;
+            if (unlocked) {
+                player.weapon = weapon;
+                player.charge = 0;
+            }
+
+            this.emit('weaponUpgraded', { player, pickup, weapon, level, unlocked, points: this.pickupBonus });
+            this.addScore(this.pickupBonus);
+        }
+
+        removeLaser(laser) {
+            const index = this.lasers.indexOf(laser);
+            if (index !== -1) {
+                this.lasers.splice(index, 1);
+            }
+        }
+
+        // A shot counts as a hit once, however many enemies a piercing one goes through
+        recordLaserHit(laser, target) {
+            if (laser.hasHit) return;
+
+            laser.hasHit = true;
+            this.emit('laserHit', { laser, player: laser.owner, target });
+        }
+
+        // Collisions
+
+        // Find everything touching after this tick's movement and resolve every hit, in
+        // the order CollisionSystem sorts them. A hit whose entity was already used up by
+        // an earlier hit (a spent laser, a destroyed enemy) no longer applies.
+        resolveCollisions() {
+            const bodies = [
+                ...this.players.filter(player => this.isPlayerActive(player)),
+                ...this.lasers,
+                ...this.enemyShots,
+                ...this.enemies,
+                ...this.astronauts,
+                ...this.pickups
+            ];
+
+            // Enemies that rammed a ship are removed once every ship they touched has been hurt
+            const rammed = new Set();
+            for (const hit of this.collisions.detect(bodies)) {
+                this.resolveHit(hit, rammed);
+            }
+            for (const enemy of rammed) {
+                if (this.enemies.includes(enemy)) {
+                    this.removeEnemy(enemy);
+                }
+            }
+        }
+
+        resolveHit({ a, b }, rammed) {
+            // Shots that hit the ground stop there
+            if (!b) {
+                if (a.collider.layer === CollisionLayers.playerProjectile) {
+                    this.removeLaser(a);
+                } else if (a.collider.layer === CollisionLayers.enemyProjectile) {
+                    this.removeEnemyShot(a);
+                }
+                return;
+            }
+
+            const layers = a.collider.layer | b.collider.layer;
+            const get = layer => a.collider.layer === layer ? a : b;
+
+            if (layers === (CollisionLayers.playerProjectile | CollisionLayers.enemy)) {
+                const laser = get(CollisionLayers.playerProjectile);
+                const enemy = get(CollisionLayers.enemy);
+                if (!this.lasers.includes(laser) || !this.enemies.includes(enemy)) return;
+
+                // Piercing shots hit each enemy on their path once and carry on
+                if (laser.pierce) {
+                    if (laser.hitIds.has(enemy.id)) return;
+                    laser.hitIds.add(enemy.id);
+                } else {
+                    this.removeLaser(laser);
+                }
+                this.recordLaserHit(laser, enemy);
+                this.damageEnemy(enemy, laser.damage, laser.owner);
+            } else if (layers === (CollisionLayers.playerProjectile | CollisionLayers.enemyProjectile)) {
+                // Only shootable shots collide with lasers
+                const laser = get(CollisionLayers.playerProjectile);
+                const shot = get(CollisionLayers.enemyProjectile);
+                if (!this.lasers.includes(laser) || !this.enemyShots.includes(shot)) return;
+
+                if (!laser.pierce) {
+                    this.removeLaser(laser);
+                }
+                this.recordLaserHit(laser, shot);
+                this.removeEnemyShot(shot);
+                this.emit('explosion', { position: shot.position.clone() });
+                this.emit('shotDestroyed', { shot, player: laser.owner, points: this.shotDownBonus });
+                this.addScore(this.shotDownBonus);
+            } else if (layers === (CollisionLayers.player | CollisionLayers.enemyProjectile)) {
+                const player = get(CollisionLayers.player);
+                const shot = get(CollisionLayers.enemyProjectile);
+                if (!this.isPlayerVulnerable(player) || !this.enemyShots.includes(shot)) return;
+
+                this.removeEnemyShot(shot);
+                this.damagePlayer(player, shot.damage);
+            } else if (layers === (CollisionLayers.player | CollisionLayers.enemy)) {
+                const player = get(CollisionLayers.player);
+                const enemy = get(CollisionLayers.enemy);
+                if (!this.isPlayerVulnerable(player) || !this.enemies.includes(enemy)) return;
+
+                if (enemy.armored) {
+                    this.bounceOff(player, enemy);
+                } else {
+                    rammed.add(enemy);
+                }
+                this.damagePlayer(player, enemy.contactDamage);
+            } else if (layers === (CollisionLayers.player | CollisionLayers.astronaut)) {
+                // Catch falling astronauts in mid-air
+                const player = get(CollisionLayers.player);
+                const astronaut = get(CollisionLayers.astronaut);
+                if (astronaut.state !== 'falling' || !this.isPlayerActive(player)) return;
+
+                astronaut.catchBy(player);
+                this.emit('astronautCaught', { astronaut, player, points: this.catchBonus });
+                this.addScore(this.catchBonus);
+            } else if (layers === (CollisionLayers.player | CollisionLayers.pickup)) {
+                const player = get(CollisionLayers.player);
+                if (this.isPlayerActive(player)) {
+                    this.collectPickup(player, get(CollisionLayers.pickup));
+                }
+            }
+        }
+
+        // Put a ship that flew into something solid back outside it
+        bounceOff(player, enemy) {
+            const away = this.planet.offset(enemy.position, player.position);
+            const distance = away.length();
+            const direction = distance > 0 ? away.scale(1 / distance) : new Vec3(0, 1, 0);
+            player.position.copyFrom(enemy.position).addInPlace(direction.scale(enemy.radius + player.radius + 0.5));
+            this.planet.keepOnPlanet(player.position);
+            player.verticalVelocity = 0;
+        }
+
+        // Enemies
+
+        spawnLander() {
+            // Random spot on the far side of the planet from the first pilot
+            const x = (this.random() * 2 - 1) * this.planet.halfWidth;
+            const z = (this.player ? this.player.position.z : 0) + this.planet.circumference / 2;
+
+            // With the planet gone there is nothing left to abduct
+            this.spawnEnemy(this.planetDestroyed ? Mutant : Lander, new Vec3(x, this.getGroundHeight(x, z) + 15, z));
+        }
+
+        spawnEnemy(EnemyType, position) {
+            this.planet.keepOnPlanet(position);
+            const enemy = new EnemyType(position, this);
+            enemy.id = this.nextEntityId++;
+            this.enemies.push(enemy);
+            return enemy;
+        }
+
+        // Spawn each enemy type according to its own spawn rules and the wave quota
+        updateSpawning() {
+            if (this.isBetweenWaves) return;
+
+            for (const EnemyType of this.enemyTypes) {
+                const rules = EnemyType.spawnRules;
+                if (!rules || this.difficulty < rules.minDifficulty) continue;
+
+                // Types with an idle rule sit outside the quota to punish slow play
+                const remaining = this.waveQuota.get(EnemyType) || 0;
+                if (!rules.idleTime && remaining <= 0) continue;
+
+                const interval = EnemyType === Lander ? this.landerSpawnInterval : rules.interval;
+                const lastSpawn = this.lastSpawnTimes.has(EnemyType) ? this.lastSpawnTimes.get(EnemyType) : -Infinity;
+                if (this.time - lastSpawn < interval) continue;
+
+                if (rules.idleTime && this.time - this.lastKillTime < rules.idleTime) continue;
+
+                const AliveType = EnemyType === Lander && this.planetDestroyed ? Mutant : EnemyType;
+                const alive = this.enemies.filter(enemy => enemy instanceof AliveType).length;
+                const maxAlive = EnemyType === Lander ? this.maxEnemies : rules.maxAlive;
+                if (alive >= maxAlive) continue;
+
+                if (EnemyType === Lander) {
+                    this.spawnLander();
+                } else {
+                    // Other types arrive near a pilot so they're felt straight away
+                    const pilots = this.players.filter(player => this.isPlayerActive(player));
+                    const target = pilots.length > 1
+                        ? pilots[Math.floor(this.random() * pilots.length)]
+                        : pilots[0] || this.player;
+                    const angle = this.random() * Math.PI * 2;
+                    const x = target.position.x + Math.cos(angle) * 150;
+                    const z = target.position.z + Math.sin(angle) * 150;
+                    const position = new Vec3(x, this.getGroundHeight(x, z) + 20, z);
+                    this.spawnEnemy(EnemyType, position);
+                }
+                this.lastSpawnTimes.set(EnemyType, this.time);
+                if (!rules.idleTime) {
+                    this.waveQuota.set(EnemyType, remaining - 1);
+                }
+            }
+        }
+
+        updateEnemies() {
+            for (let i = this.enemies.length - 1; i >= 0; i--) {
+                const enemy = this.enemies[i];
+                enemy.update();
+                if (this.planet.keepOnPlanet(enemy.position)) {
+                    enemy.onPlanetEdge();
+                }
+                this.keepAboveGround(enemy);
+
+                // Lander made it to the top with its captive: the astronaut is lost
+                if (enemy instanceof Lander && enemy.hasEscaped()) {
+                    this.mutateLander(enemy);
+                    continue;
+                }
+
+                // Mines and the like that have run their course
+                if (enemy.expired) {
+                    this.removeEnemy(enemy);
+                }
+            }
+        }
+
+        // Nothing flies through the hills
+        keepAboveGround(enemy) {
+            const floor = this.getGroundHeight(enemy.position.x, enemy.position.z) + enemy.radius;
+            if (enemy.position.y < floor) {
+                enemy.position.y = floor;
+            }
+        }
+
+        // Lander dropped in by a mothership bay, while there's room for another
+        launchLander(position) {
+            const alive = this.enemies.filter(enemy => enemy instanceof Lander || enemy instanceof Mutant).length;
+            if (alive >= this.maxEnemies) return;
+
+            this.spawnEnemy(this.planetDestroyed ? Mutant : Lander, position);
+        }
+
+        // Boss
+
+        // The mothership starts high up ahead of the first pilot and descends from there
+        spawnBoss() {
+            const pilot = this.players.find(player => this.isPlayerActive(player)) || this.player;
+            const edge = this.planet.halfWidth - 30;
+            const x = Math.max(-edge, Math.min(edge, pilot.position.x));
+            const z = pilot.position.z + 150;
+            const position = new Vec3(x, this.getGroundHeight(x, z) + 150, z);
+
+            this.boss = this.spawnEnemy(Mothership, position);
+            this.boss.createParts();
+            this.emit('bossSpawned', { boss: this.boss, position: position.clone() });
+        }
+
+        // Destroying the core brings down the whole ship
+        defeatBoss(boss, player) {
+            for (const part of [...boss.parts]) {
+                this.emit('explosion', { position: part.position.clone() });
+                this.removeEnemy(part);
+            }
+            this.emit('explosion', { position: boss.position.clone() });
+            this.removeEnemy(boss);
+            this.boss = null;
+
+            this.emit('bossDefeated', { boss, player, points: this.bossBonus });
+            this.addScore(this.bossBonus);
+        }
+
+        // Replace an escaped lander with a mutant and lose its astronaut
+        mutateLander(lander) {
+            const astronaut = lander.target;
+            lander.clearTarget();
+            this.convertToMutant(lander);
+            this.emit('astronautLost', { astronaut });
+            this.removeAstronaut(astronaut);
+        }
+
+        convertToMutant(lander) {
+            const mutant = new Mutant(lander.position.clone(), this);
+            mutant.id = this.nextEntityId++;
+            this.enemies[this.enemies.indexOf(lander)] = mutant;
+            lander.dispose();
+        }
+
+        // player is whoever dealt the damage, if anyone
+        damageEnemy(enemy, damage, player = null) {
+            if (enemy.takeHit(damage)) {
+                this.destroyEnemy(enemy, player);
+            }
+        }
+
+        destroyEnemy(enemy, player = null) {
+            this.emit('explosion', { position: enemy.position.clone() });
+
+            // Shooting a lander drops any astronaut it was carrying
+            this.removeEnemy(enemy, player);
+
+            // Pods burst into swarmers
+            for (const [EnemyType, position] of enemy.spawnOnDestroy()) {
+                this.spawnEnemy(EnemyType, position);
+            }
+
+            this.lastKillTime = this.time;
+            // The leaderboard checks this against mission time, so mines, swarmers and the
+            // like that a smart bomb clears by the dozen don't count
+            if (enemy.type === 'lander') {
+                this.landersDestroyed++;
+            }
+            this.emit('enemyDestroyed', { enemy, player, points: enemy.scoreValue });
+            this.addScore(enemy.scoreValue);
+            this.dropPickup(enemy.position);
+
+            if (enemy instanceof MothershipCore) {
+                this.defeatBoss(enemy.mothership, player);
+            }
+        }
+
+        removeEnemy(enemy, destroyedBy = null) {
+            const index = this.enemies.indexOf(enemy);
+            if (index !== -1) {
+                this.enemies.splice(index, 1);
+            }
+            enemy.dispose(destroyedBy);
+        }
+
+        getClosestLanderDistance(player = this.player) {
+            if (this.enemies.length === 0) return 0;
+
+            let closestDistance = Infinity;
+            for (const enemy of this.enemies) {
+                const distance = this.planet.distance(player.position, enemy.position);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                }
+            }
+            return closestDistance;
+        }
+
+        // Astronauts
+
+        createAstronauts(count) {
+            for (let i = 0; i < count; i++) {
+                // Random position within the world
+                const x = (this.random() * 2 - 1) * this.worldHalfSize;
+                const z = (this.random() * 2 - 1) * this.worldHalfSize;
+
+                const astronaut = new Astronaut(new Vec3(x, this.getGroundHeight(x, z) + Astronaut.standHeight, z));
+                astronaut.id = this.nextEntityId++;
+                this.astronauts.push(astronaut);
+            }
+        }
+
+        updateAstronauts() {
+            for (let i = this.astronauts.length - 1; i >= 0; i--) {
+                const astronaut = this.astronauts[i];
+                this.updateAstronautGround(astronaut);
+                const landing = astronaut.update();
+
+                if (landing === 'safe') {
+                    this.rescueAstronaut(astronaut, astronaut.rescuer);
+                } else if (landing === 'fatal') {
+                    this.emit('explosion', { position: astronaut.position.clone() });
+                    this.emit('astronautLost', { astronaut });
+                    this.removeAstronaut(astronaut);
+                    continue;
+                }
+
+                // Set carried astronauts down once the ship is close to the ground
+                if (astronaut.state === 'carried') {
+                    const player = astronaut.carrier;
+                    const groundHeight = this.getGroundHeight(player.position.x, player.position.z);
+                    if (player.position.y - groundHeight <= this.rescueAltitude) {
+                        this.updateAstronautGround(astronaut);
+                        astronaut.setDown(player.position.x, player.position.z);
+                        this.rescueAstronaut(astronaut, player);
+                    }
+                }
+            }
+        }
+
+        // Where the astronaut would stand right now, for landing and setting down
+        updateAstronautGround(astronaut) {
+            astronaut.groundY = this.getGroundHeight(astronaut.position.x, astronaut.position.z) + Astronaut.standHeight;
+        }
+
+        // player is the pilot who set it down or shot its lander down, or null when
+        // nobody did, e.g. a safe fall after the carrying ship was lost
+        rescueAstronaut(astronaut, player = null) {
+            this.astronautsSaved++;
+            this.emit('astronautRescued', { astronaut, player, points: this.rescueBonus });
+            this.addScore(this.rescueBonus);
+        }
+
+        removeAstronaut(astronaut) {
+            const index = this.astronauts.indexOf(astronaut);
+            if (index !== -1) {
+                this.astronauts.splice(index, 1);
+            }
+
+            // Losing the last astronaut destroys the planet
+            if (this.astronauts.length === 0 && !this.planetDestroyed) {
+                this.destroyPlanet();
+            }
+        }
+
+        // Every lander turns mutant and the surface is gone until a later wave restores it
+        destroyPlanet() {
+            this.planetDestroyed = true;
+            this.emit('planetDestroyed');
+
+            this.enemies
+                .filter(enemy => enemy instanceof Lander)
+                .forEach(lander => this.convertToMutant(lander));
+        }
+
+        restorePlanet() {
+            this.planetDestroyed = false;
+            this.emit('planetRestored');
+        }
+
+        // Waves
+
+        updateDifficulty() {
+            // Each wave is one step tougher
+            this.difficulty = Math.min(10, this.level);
+
+            // Adjust game parameters based on difficulty
+            this.gameSpeed = 1 + (this.difficulty * 0.1);
+            this.landerSpawnInterval = Math.max(1000, 3000 - (this.difficulty * 200));
+            this.maxEnemies = 5 + Math.floor(this.difficulty / 2);
+        }
+
+        // Enemy quota for a wave, keyed by enemy type
+        getWaveQuota(wave) {
+            return new Map([
+                [Lander, Math.min(30, 8 + wave * 2)],
+                [Bomber, Math.floor(wave / 2)],
+                [Pod, Math.floor((wave - 1) / 2)]
+            ]);
+        }
+
+        startWave() {
+            // Every few waves the planet is rebuilt and repopulated
+            if (this.level % this.planetRestoreInterval === 0) {
+                if (this.planetDestroyed) {
+                    this.restorePlanet();
+                }
+                this.createAstronauts(this.astronautCount - this.astronauts.length);
+            }
+
+            this.updateDifficulty();
+            // Boss waves bring only the mothership and the landers it launches
+            const isBossWave = this.level % this.bossWaveInterval === 0;
+            this.waveQuota = isBossWave ? new Map() : this.getWaveQuota(this.level);
+            this.lastSpawnTimes.clear();
+            this.lastKillTime = this.time;
+            this.isBetweenWaves = false;
+
+            this.emit('waveStarted', { wave: this.level, planetDestroyed: this.planetDestroyed });
+            if (isBossWave) {
+                this.spawnBoss();
+            }
+        }
+
+        isWaveComplete() {
+            if (this.isBetweenWaves || this.enemies.length > 0) return false;
+
+            for (const remaining of this.waveQuota.values()) {
+                if (remaining > 0) return false;
+            }
+            return true;
+        }
+
+        completeWave() {
+            this.isBetweenWaves = true;
+            this.nextWaveAt = this.time + this.waveSummaryDuration;
+
+            // Bonus for every astronaut still alive
+            const survivors = this.planetDestroyed ? 0 : this.astronauts.length;
+            const bonusPerAstronaut = 100 * Math.min(this.level, 5);
+            const bonus = survivors * bonusPerAstronaut;
+
+            this.emit('waveCompleted', {
+                wave: this.level,
+                survivors,
+                bonusPerAstronaut,
+                bonus,
+                planetDestroyed: this.planetDestroyed
+            });
+            if (bonus > 0) {
+                this.addScore(bonus);
+            }
+        }
+    }
+
+    return { GameSimulation };
+}));
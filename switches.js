@@ -0,0 +1,83 @@
+// Cockpit switches: buttons on the control panel that each toggle a ship system. A
+// switch is pressed by clicking its button (picked out of the scene under the pointer)
+// or with its input action's keys. Every frame update() asks each switch for its state and shows it
+// on the button: lit, unlit, or blinking when the system wants the pilot's attention.
+class CockpitSwitches {
+    constructor(scene, guiTexture) {
+        this.scene = scene;
+        this.guiTexture = guiTexture;
+        this.switches = [];
+        this.blinkPeriod = 250;
+        this.unlitBrightness = 0.12;
+    }
+
+    // options: {
+    //   name, label    id, and the text shown under the button
+    //   mesh           button mesh; its material's emissive color is driven from here
+    //   color          Color3 the button glows when lit
+    //   action         InputManager action that stands for the switch
+    //   hint           its key names, shown on the label
+    //   press()        toggle the system
+    //   getState()     'lit', 'unlit' or 'blinking'
+    // }
+    add(options) {
+        const entry = Object.assign({ action: null, hint: '' }, options);
+
+        // The switch shows its own state from now on
+        this.scene.stopAnimation(entry.mesh);
+        entry.mesh.animations = [];
+        entry.mesh.isPickable = true;
+
+        entry.text = new BABYLON.GUI.TextBlock(`${entry.name}SwitchLabel`);
+        entry.text.fontSize = 11;
+        entry.text.fontFamily = "monospace";
+        entry.text.isHitTestVisible = false;
+        this.guiTexture.addControl(entry.text);
+        entry.text.linkWithMesh(entry.mesh);
+        entry.text.linkOffsetY = 22;
+
+        this.switches.push(entry);
+        this.setHint(entry.name, entry.hint);
+        return entry;
+    }
+
+    get(name) {
+        return this.switches.find(entry => entry.name === name) || null;
+    }
+
+    // Key name on the label, e.g. after the pilot rebinds it
+    setHint(name, hint) {
+        const entry = this.get(name);
+        entry.hint = hint;
+        entry.text.text = hint ? `${entry.label} [${hint}]` : entry.label;
+    }
+
+    // Press the switch for an input action; returns whether there was one
+    handleAction(action) {
+        const entry = this.switches.find(candidate => candidate.action === action);
+        if (!entry) return false;
+
+        entry.press();
+        return true;
+    }
+
+    // Press the switch under a point on the canvas; returns whether there was one
+    handleClick(x, y) {
+        const meshes = new Set(this.switches.map(entry => entry.mesh));
+        const pick = this.scene.pick(x, y, mesh => meshes.has(mesh));
+        if (!pick || !pick.hit) return false;
+
+        this.switches.find(entry => entry.mesh === pick.pickedMesh).press();
+        return true;
+    }
+
+    update(now) {
+        const blinkOn = Math.floor(now / this.blinkPeriod) % 2 === 0;
+        for (const entry of this.switches) {
+            const state = entry.getState();
+            const isLit = state === 'lit' || (state === 'blinking' && blinkOn);
+            entry.color.scaleToRef(isLit ? 1 : this.unlitBrightness, entry.mesh.material.emissiveColor);
+            entry.text.color = isLit ? entry.color.toHexString() : "gray";
+        }
+    }
+}
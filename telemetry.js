@@ -0,0 +1,66 @@
+// Session statistics gathered purely by listening to the event bus: how often each
+// event happened, plus a few figures worth tracking across play tests. Logged to the
+// console when the game ends.
+class Telemetry {
+    constructor(events) {
+        this.counts = {};
+        this.damageTaken = 0;
+        this.pointsScored = 0;
+        this.waves = [];
+        this.waveStartTick = 0;
+        this.startedAt = Date.now();
+
+        this.unsubscribe = [
+            events.onAny(event => {
+                this.counts[event.type] = (this.counts[event.type] || 0) + 1;
+            }),
+            events.on('playerDamaged', event => {
+                this.damageTaken += event.amount;
+            }),
+            events.on('scoreChanged', event => {
+                this.pointsScored += event.points;
+            }),
+            events.on('waveStarted', event => {
+                this.waveStartTick = event.tick || 0;
+            }),
+            events.on('waveCompleted', event => {
+                this.waves.push({
+                    wave: event.wave,
+                    ticks: (event.tick || 0) - this.waveStartTick,
+                    survivors: event.survivors
+                });
+            }),
+            events.on('gameOver', () => this.log())
+        ];
+    }
+
+    getSummary() {
+        const shots = this.counts.laserFired || 0;
+        const kills = this.counts.enemyDestroyed || 0;
+        return {
+            seconds: Math.round((Date.now() - this.startedAt) / 1000),
+            pointsScored: this.pointsScored,
+            shotsFired: shots,
+            enemiesDestroyed: kills,
+            // Smart bomb kills count too, so this can pass 1
+            killsPerShot: shots > 0 ? Math.round(kills / shots * 100) / 100 : 0,
+            damageTaken: this.damageTaken,
+            astronautsRescued: this.counts.astronautRescued || 0,
+            astronautsLost: this.counts.astronautLost || 0,
+            wavesCompleted: this.waves.length
+        };
+    }
+
+    log() {
+        console.log('Session telemetry:');
+        console.table(this.getSummary());
+        if (this.waves.length > 0) {
+            console.table(this.waves);
+        }
+    }
+
+    dispose() {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+    }
+}
@@ -0,0 +1,249 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Seeded lunar landscape: rolling plains cut by valleys, ridged mountain ranges and
+    // scattered craters. Heights are sampled on a square grid and interpolated over the
+    // same two triangles per cell that Game's chunk meshes use, so getHeight() is exactly
+    // the surface on screen. Only integer hashing and basic arithmetic are used, keeping
+    // every machine (and the server) in agreement on the shape of the world.
+    // The landscape repeats every circumference along Z so it joins up round the planet
+    // (see planet.js); every noise scale divides the circumference a whole number of times.
+    class Terrain {
+        constructor(seed, circumference = 800) {
+            this.seed = seed >>> 0;
+            this.circumference = circumference;
+
+            // Grid spacing shared by height queries and meshes
+            this.cellSize = 4;
+            this.cellsAround = Math.round(circumference / this.cellSize);
+            this.baseHeight = -2;
+
+            // Rolling plains
+            this.hillScale = circumference / 9;
+            this.hillHeight = 4;
+
+            // Valleys follow the low points of a broad noise field
+            this.valleyScale = circumference / 3;
+            this.valleyThreshold = 0.35;
+            this.valleyDepth = 10;
+
+            // Mountain ranges rise where a second broad field is high
+            this.mountainScale = circumference / 4;
+            this.mountainThreshold = 0.55;
+            this.ridgeScale = circumference / 7;
+            this.mountainHeight = 45;
+
+            // At most one crater per crater cell
+            this.craterCellSize = circumference / 9;
+            this.craterChance = 0.45;
+            this.minCraterRadius = 10;
+            this.maxCraterRadius = 30;
+            this.craterDepth = 0.35;
+            this.rimHeight = 0.12;
+
+            // Pilots start over a flat clearing around the origin
+            this.clearingRadius = 30;
+            this.clearingBlend = 40;
+        }
+
+        // The landscape for a game seed. Mixing the seed keeps the terrain from echoing
+        // the simulation's own random sequence.
+        static forSeed(seed, circumference) {
+            return new Terrain(seed ^ 0x2f6b7a1d, circumference);
+        }
+
+        // Integer hash of a lattice point to [0, 1)
+        hash(ix, iz, salt) {
+            let h = Math.imul(ix | 0, 0x27d4eb2d) ^ Math.imul(iz | 0, 0x165667b1) ^ Math.imul(salt, 0x9e3779b1) ^ this.seed;
+            h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+            h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+            return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+        }
+
+        // Smoothly interpolated lattice noise in [0, 1), repeating every period lattice cells along z
+        valueNoise(x, z, period, salt) {
+            const x0 = Math.floor(x);
+            const z0 = Math.floor(z);
+            const tx = smooth(x - x0);
+            const tz = smooth(z - z0);
+            const row0 = modulo(z0, period);
+            const row1 = modulo(z0 + 1, period);
+            const top = lerp(this.hash(x0, row0, salt), this.hash(x0 + 1, row0, salt), tx);
+            const bottom = lerp(this.hash(x0, row1, salt), this.hash(x0 + 1, row1, salt), tx);
+            return lerp(top, bottom, tz);
+        }
+
+        // Octaves of noise at halving scale, normalised back to [0, 1)
+        fractalNoise(x, z, scale, octaves, salt) {
+            x /= scale;
+            z /= scale;
+            let period = Math.round(this.circumference / scale);
+            let total = 0;
+            let amplitude = 1;
+            let weight = 0;
+            for (let octave = 0; octave < octaves; octave++) {
+                total += this.valueNoise(x, z, period, salt + octave) * amplitude;
+                weight += amplitude;
+                amplitude *= 0.5;
+                x *= 2;
+                z *= 2;
+                period *= 2;
+            }
+            return total / weight;
+        }
+
+        // Continuous height field for z in [0, circumference); only ever evaluated at grid vertices
+        sampleHeight(x, z) {
+            let height = (this.fractalNoise(x, z, this.hillScale, 4, 1) - 0.5) * 2 * this.hillHeight;
+
+            const valley = this.fractalNoise(x, z, this.valleyScale, 2, 11);
+            if (valley < this.valleyThreshold) {
+                const t = smooth((this.valleyThreshold - valley) / this.valleyThreshold);
+                height -= t * this.valleyDepth;
+            }
+
+            const range = this.fractalNoise(x, z, this.mountainScale, 2, 21);
+            if (range > this.mountainThreshold) {
+                // Folding the noise about its midpoint turns smooth hills into sharp crests
+                const ridge = 1 - Math.abs(this.fractalNoise(x, z, this.ridgeScale, 4, 31) * 2 - 1);
+                const t = smooth(Math.min(1, (range - this.mountainThreshold) / (1 - this.mountainThreshold) * 2));
+                height += t * ridge * ridge * this.mountainHeight;
+            }
+
+            height += this.craterOffset(x, z);
+
+            // The origin's nearest copy may be a whole circumference away
+            const dz = z < this.circumference / 2 ? z : z - this.circumference;
+            const distance = Math.sqrt(x * x + dz * dz);
+            if (distance < this.clearingRadius + this.clearingBlend) {
+                height *= smooth(Math.max(0, (distance - this.clearingRadius) / this.clearingBlend));
+            }
+
+            return this.baseHeight + height;
+        }
+
+        // Bowl with a raised rim for each crater close enough to reach (x, z)
+        craterOffset(x, z) {
+            const size = this.craterCellSize;
+            const period = Math.round(this.circumference / size);
+            const cx = Math.floor(x / size);
+            const cz = Math.floor(z / size);
+            let offset = 0;
+
+            for (let ix = cx - 1; ix <= cx + 1; ix++) {
+                for (let iz = cz - 1; iz <= cz + 1; iz++) {
+                    // Cells past the seam are the same craters as the first and last rows
+                    const row = modulo(iz, period);
+                    if (this.hash(ix, row, 41) >= this.craterChance) continue;
+
+                    const centerX = (ix + 0.2 + this.hash(ix, row, 42) * 0.6) * size;
+                    const centerZ = (iz + 0.2 + this.hash(ix, row, 43) * 0.6) * size;
+                    const radius = this.minCraterRadius + this.hash(ix, row, 44) * (this.maxCraterRadius - this.minCraterRadius);
+                    const dx = x - centerX;
+                    const dz = z - centerZ;
+                    const d = Math.sqrt(dx * dx + dz * dz) / radius;
+                    if (d >= 1.4) continue;
+
+                    if (d < 1) {
+                        offset -= (1 - d * d) * this.craterDepth * radius;
+                    }
+                    const rim = 1 - ((d - 1) / 0.4) * ((d - 1) / 0.4);
+                    if (rim > 0) {
+                        offset += rim * rim * this.rimHeight * radius;
+                    }
+                }
+            }
+            return offset;
+        }
+
+        vertexHeight(ix, iz) {
+            return this.sampleHeight(ix * this.cellSize, modulo(iz, this.cellsAround) * this.cellSize);
+        }
+
+        // Height of the rendered surface. Each cell is split along its (ix, iz)-(ix+1, iz+1)
+        // diagonal, matching the triangles built by getChunkGeometry().
+        getHeight(x, z) {
+            const gx = x / this.cellSize;
+            const gz = z / this.cellSize;
+            const ix = Math.floor(gx);
+            const iz = Math.floor(gz);
+            const fx = gx - ix;
+            const fz = gz - iz;
+
+            const h00 = this.vertexHeight(ix, iz);
+            const h11 = this.vertexHeight(ix + 1, iz + 1);
+            if (fx >= fz) {
+                const h10 = this.vertexHeight(ix + 1, iz);
+                return h00 + (h10 - h00) * fx + (h11 - h10) * fz;
+            }
+            const h01 = this.vertexHeight(ix, iz + 1);
+            return h00 + (h01 - h00) * fz + (h11 - h01) * fx;
+        }
+
+        // Positions, normals, uvs and indices for a square of cells starting at grid
+        // vertex (startX, startZ). Normals come from the height field itself so
+        // neighbouring chunks shade seamlessly.
+        getChunkGeometry(startX, startZ, cells, uvScale) {
+            const size = cells + 1;
+            const positions = [];
+            const normals = [];
+            const uvs = [];
+            const indices = [];
+
+            // One ring of extra vertices for the normals at the edges
+            const heights = new Float32Array((size + 2) * (size + 2));
+            for (let j = -1; j <= size; j++) {
+                for (let i = -1; i <= size; i++) {
+                    heights[(j + 1) * (size + 2) + (i + 1)] = this.vertexHeight(startX + i, startZ + j);
+                }
+            }
+            const heightAt = (i, j) => heights[(j + 1) * (size + 2) + (i + 1)];
+
+            for (let j = 0; j < size; j++) {
+                for (let i = 0; i < size; i++) {
+                    const x = (startX + i) * this.cellSize;
+                    const z = (startZ + j) * this.cellSize;
+                    positions.push(x, heightAt(i, j), z);
+
+                    const nx = heightAt(i - 1, j) - heightAt(i + 1, j);
+                    const nz = heightAt(i, j - 1) - heightAt(i, j + 1);
+                    const ny = 2 * this.cellSize;
+                    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+                    normals.push(nx / length, ny / length, nz / length);
+
+                    uvs.push(x / uvScale, z / uvScale);
+                }
+            }
+
+            for (let j = 0; j < cells; j++) {
+                for (let i = 0; i < cells; i++) {
+                    const a = j * size + i;
+                    const b = a + 1;
+                    const c = a + size;
+                    const d = c + 1;
+                    indices.push(a, b, d, a, d, c);
+                }
+            }
+
+            return { positions, normals, uvs, indices };
+        }
+    }
+
+    function lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+
+    function smooth(t) {
+        return t * t * (3 - 2 * t);
+    }
+
+    function modulo(value, period) {
+        return ((value % period) + period) % period;
+    }
+
+    return { Terrain };
+}));
@@ -0,0 +1,31 @@
+// Loads plain browser scripts (top-level classes, no module system) into a sandbox with
+// just enough of the browser for the parts that don't need a page or Babylon
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Returns a function that looks up a top-level name declared by the scripts
+function loadBrowserScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({
+        console,
+        localStorage: createStorage(),
+        navigator: { getGamepads: () => [], maxTouchPoints: 0 }
+    }, globals));
+
+    for (const file of files) {
+        const filename = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+    return name => vm.runInContext(name, context);
+}
+
+module.exports = { loadBrowserScripts };
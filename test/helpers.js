@@ -0,0 +1,49 @@
+// Shared set-up for the tests, which drive GameSimulation headlessly
+const { GameSimulation } = require('../simulation');
+
+// A simulation with no waves spawning, so each test places exactly the enemies it needs
+function createQuietSimulation(options = {}) {
+    const simulation = new GameSimulation(options);
+    simulation.isBetweenWaves = true;
+    simulation.nextWaveAt = Infinity;
+    simulation.waveQuota = new Map();
+    return simulation;
+}
+
+function input(buttons = {}) {
+    return Object.assign(GameSimulation.emptyInput(), buttons);
+}
+
+// One tick with the given input for the first pilot
+function stepWith(simulation, pilotInput) {
+    simulation.step({ [simulation.player.id]: pilotInput });
+}
+
+// Step until done() holds or the tick limit runs out, collecting every event.
+// inputs(i) gives the pilot's input for the i-th tick.
+function stepUntil(simulation, inputs, done, maxTicks = 600) {
+    const events = [];
+    for (let i = 0; i < maxTicks && !done(); i++) {
+        stepWith(simulation, inputs(i));
+        events.push(...simulation.drainEvents());
+    }
+    return events;
+}
+
+function ofType(events, type) {
+    return events.filter(event => event.type === type);
+}
+
+function spawnAhead(simulation, EnemyType, distance) {
+    const player = simulation.player;
+    const position = player.position.add(player.getForward().scale(distance));
+    return simulation.spawnEnemy(EnemyType, position);
+}
+
+// Level and clear of the cooldown, so the first shot flies straight ahead
+function readyToFire(player) {
+    player.rotation.x = 0;
+    player.lastShotTime = -Infinity;
+}
+
+module.exports = { createQuietSimulation, input, stepWith, stepUntil, ofType, spawnAhead, readyToFire };
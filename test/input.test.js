@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadBrowserScripts } = require('./browser');
+
+// storedBindings, if given, are saved as a previous session would have left them
+function createInput(storedBindings) {
+    const lookup = loadBrowserScripts(['input.js']);
+    if (storedBindings) {
+        lookup('localStorage').setItem('defender2084.bindings', JSON.stringify(storedBindings));
+    }
+    return new (lookup('InputManager'))(null);
+}
+
+// Copied out of the sandbox so they compare with this realm's arrays
+function takeLocalActions(input) {
+    return [...input.takeLocalActions()];
+}
+
+test('cockpit keys are local actions that never reach the simulation', () => {
+    const input = createInput();
+    for (const key of ['KeyG', 'KeyL', 'KeyN', 'KeyV']) {
+        input.pressBinding(`Key:${key}`);
+    }
+
+    assert.deepEqual(takeLocalActions(input).sort(), ['alarmSilence', 'cockpitCursor', 'landingLights', 'radarZoom']);
+    assert.deepEqual(takeLocalActions(input), []);
+
+    const sampled = input.sample();
+    for (const action of ['radarZoom', 'landingLights', 'alarmSilence', 'cockpitCursor']) {
+        assert.ok(!(action in sampled), `${action} should not be sampled`);
+    }
+});
+
+test('a cockpit key can be rebound, and the help follows it', () => {
+    const input = createInput();
+    input.setBinding('radarZoom', 0, 'Key:KeyH');
+    // G is free again once radar zoom moves, so the smart bomb can have it
+    input.setBinding('smartBomb', 1, 'Key:KeyG');
+
+    input.pressBinding('Key:KeyG');
+    assert.deepEqual(takeLocalActions(input), []);
+    assert.equal(input.sample().smartBomb, true);
+
+    input.pressBinding('Key:KeyH');
+    assert.deepEqual(takeLocalActions(input), ['radarZoom']);
+    assert.match(input.getControlsHelp(), /^H: Radar Zoom$/m);
+});
+
+test('mute is a local action that can be rebound', () => {
+    const input = createInput();
+    input.pressBinding('Key:KeyM');
+    assert.deepEqual(takeLocalActions(input), ['mute']);
+    assert.ok(!('mute' in input.sample()));
+
+    input.setBinding('mute', 0, 'Key:KeyU');
+    input.pressBinding('Key:KeyM');
+    assert.deepEqual(takeLocalActions(input), []);
+    input.pressBinding('Key:KeyU');
+    assert.deepEqual(takeLocalActions(input), ['mute']);
+    assert.match(input.getControlsHelp(), /^U: Mute$/m);
+});
+
+test('reserved keys cannot be bound', () => {
+    const input = createInput();
+    const before = JSON.stringify(input.bindings);
+
+    for (const key of ['Escape', 'F1', 'F8', 'F9']) {
+        assert.equal(input.setBinding('fire', 0, `Key:${key}`), false);
+    }
+    assert.equal(JSON.stringify(input.bindings), before);
+    assert.equal(input.setBinding('fire', 0, 'Key:KeyJ'), true);
+});
+
+test('reserved keys in saved bindings are dropped on load', () => {
+    const input = createInput({
+        fire: { keys: ['Key:F1', 'Key:KeyJ'], pad: 'PadButton:0' },
+        smartBomb: { keys: ['Key:Escape', null], pad: null }
+    });
+
+    assert.deepEqual([...input.bindings.fire.keys], [null, 'Key:KeyJ']);
+    assert.equal(input.bindings.fire.pad, 'PadButton:0');
+    assert.deepEqual([...input.bindings.smartBomb.keys], [null, null]);
+});
+
+test('the replay help shows the pilot\'s cockpit keys', () => {
+    const lookup = loadBrowserScripts(['input.js', 'game.js']);
+    const replayInput = new (lookup('InputManager'))(null);
+    replayInput.setBinding('radarZoom', 0, 'Key:KeyH');
+    replayInput.setBinding('mute', 0, 'Key:KeyU');
+
+    // Just what updateControlsText() reads, without a scene behind it
+    const game = { replay: {}, replayInput, controlsText: {} };
+    lookup('Game').prototype.updateControlsText.call(game);
+
+    assert.match(game.controlsText.text, /^Replay:$/m);
+    assert.match(game.controlsText.text, /^H: Radar Zoom$/m);
+    assert.match(game.controlsText.text, /^L: Landing Lights$/m);
+    assert.match(game.controlsText.text, /^U: Mute$/m);
+});
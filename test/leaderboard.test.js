@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { Vec3 } = require('../vector');
+const { GameSimulation } = require('../simulation');
+const { EnemyShot } = require('../entities');
+const { Lander, Mine } = require('../enemies');
+const { validateRun } = require('../leaderboard');
+const { createQuietSimulation, input, stepUntil, ofType, spawnAhead, readyToFire } = require('./helpers');
+
+function run(overrides = {}) {
+    return Object.assign({
+        name: 'Ace',
+        score: 12500,
+        astronautsSaved: 8,
+        landersDestroyed: 40,
+        missionTime: 300,
+        difficulty: 3
+    }, overrides);
+}
+
+// The same summary Game.submitScore() posts
+function runOf(simulation) {
+    return {
+        name: 'Test',
+        score: simulation.score,
+        astronautsSaved: simulation.astronautsSaved,
+        landersDestroyed: simulation.landersDestroyed,
+        missionTime: Math.floor(simulation.time / 1000),
+        difficulty: simulation.difficulty
+    };
+}
+
+test('a plausible run is accepted and cleaned up', () => {
+    assert.deepEqual(validateRun(run({ name: '  Ace  ' })), run());
+});
+
+test('malformed runs are rejected', () => {
+    assert.throws(() => validateRun(null), /must be an object/);
+    assert.throws(() => validateRun(run({ name: '' })), /Name/);
+    assert.throws(() => validateRun(run({ name: 'a'.repeat(13) })), /Name/);
+    assert.throws(() => validateRun(run({ name: '<script>' })), /Name/);
+    assert.throws(() => validateRun(run({ score: -25 })), /score must be/);
+    assert.throws(() => validateRun(run({ landersDestroyed: 1.5 })), /landersDestroyed must be/);
+    assert.throws(() => validateRun(run({ difficulty: 0 })), /difficulty must be between/);
+});
+
+test('runs that could not have happened in the mission time are rejected', () => {
+    assert.throws(() => validateRun(run({ missionTime: 0, difficulty: 1 })), /too short/);
+    assert.throws(() => validateRun(run({ score: 12510 })), /Score is not plausible/);
+    assert.throws(() => validateRun(run({ score: 300025 })), /Score is not plausible/);
+    assert.throws(() => validateRun(run({ landersDestroyed: 601 })), /Landers destroyed/);
+    assert.throws(() => validateRun(run({ astronautsSaved: 151 })), /Astronauts saved/);
+    assert.throws(() => validateRun(run({ difficulty: 10, missionTime: 60 })), /Difficulty/);
+});
+
+test('the limits hold right up to the edge', () => {
+    assert.doesNotThrow(() => validateRun(run({ score: 300000, landersDestroyed: 600, astronautsSaved: 150 })));
+    assert.doesNotThrow(() => validateRun(run({ difficulty: 4, missionTime: 60 })));
+});
+
+test('a smart bomb sweep through a minefield passes the kill-rate check', () => {
+    const simulation = createQuietSimulation({ seed: 2 });
+    const player = simulation.player;
+    spawnAhead(simulation, Lander, 30);
+    for (let i = 0; i < 10; i++) {
+        spawnAhead(simulation, Mine, 20 + i * 2);
+    }
+
+    stepUntil(simulation, tick => input({ smartBomb: tick === 60 }), () => simulation.time >= 1000);
+
+    assert.equal(player.smartBombs, 2);
+    assert.equal(simulation.enemies.length, 0);
+    assert.equal(simulation.landersDestroyed, 1);
+    assert.doesNotThrow(() => validateRun(runOf(simulation)));
+});
+
+test('a scripted run scores in leaderboard steps and passes the plausibility check', () => {
+    const simulation = new GameSimulation({ seed: 1 });
+    simulation.start();
+    readyToFire(simulation.player);
+
+    // Sweep round firing for a minute of game time, with a lander in the line of fire
+    // every few seconds on top of the wave
+    const events = stepUntil(simulation,
+        tick => {
+            if (tick % 300 === 0) spawnAhead(simulation, Lander, 10);
+            return input({ fire: true, lookX: 0.01 });
+        },
+        () => simulation.isGameOver, 60 * 60);
+
+    const awards = ofType(events, 'scoreChanged');
+    assert.ok(simulation.landersDestroyed > 0, 'the run should shoot something down');
+    for (const { points } of awards) {
+        assert.equal(points % 25, 0, `${points} points is not a multiple of 25`);
+    }
+    assert.doesNotThrow(() => validateRun(runOf(simulation)));
+});
+
+test('shooting down a bomb and a mine leaves a score the leaderboard accepts', () => {
+    const simulation = createQuietSimulation({ seed: 4 });
+    const player = simulation.player;
+    readyToFire(player);
+
+    // A bomber's bomb hanging in the line of fire, with a mine behind it
+    const position = player.position.add(player.getForward().scale(8));
+    const bomb = new EnemyShot(position, new Vec3(0, 0, 1), 0, { kind: 'bomb', radius: 1, shootable: true });
+    simulation.enemyShots.push(bomb);
+    const mine = spawnAhead(simulation, Mine, 16);
+
+    const events = stepUntil(simulation, () => input({ fire: true }), () => simulation.time >= 1000);
+
+    assert.equal(ofType(events, 'shotDestroyed').length, 1);
+    assert.equal(ofType(events, 'enemyDestroyed').length, 1);
+    assert.equal(simulation.score, simulation.shotDownBonus + mine.scoreValue);
+    assert.doesNotThrow(() => validateRun(runOf(simulation)));
+});
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Runs server.js on a free port with a throwaway leaderboard file
+async function startServer() {
+    const port = await findFreePort();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    const server = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: Object.assign({}, process.env, {
+            PORT: String(port),
+            LEADERBOARD_FILE: path.join(directory, 'leaderboard.json')
+        }),
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('exit', code => reject(new Error(`server.js exited with code ${code}`)));
+        server.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Game server running')) resolve();
+        });
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        stop() {
+            server.kill();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+test('the scores API answers bad requests with JSON errors', async () => {
+    const server = await startServer();
+    try {
+        const post = body => fetch(`${server.url}/api/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body
+        });
+
+        const malformed = await post('{"name": "Ace",');
+        assert.equal(malformed.status, 400);
+        assert.ok((await malformed.json()).error);
+
+        const implausible = await post(JSON.stringify(run({ score: 12510 })));
+        assert.equal(implausible.status, 400);
+        assert.match((await implausible.json()).error, /Score is not plausible/);
+
+        const accepted = await post(JSON.stringify(run()));
+        assert.equal(accepted.status, 201);
+        assert.equal((await accepted.json()).rank.all, 1);
+    } finally {
+        server.stop();
+    }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadBrowserScripts } = require('./browser');
+
+// A tracker on a real event bus, crediting only the pilot called 'local'.
+// storedProfile, if given, is saved as a previous session would have left it.
+function createTracker(storedProfile) {
+    const lookup = loadBrowserScripts(['events.js', 'achievements.js', 'profile.js']);
+    if (storedProfile) {
+        lookup('localStorage').setItem('defender2084.profile', JSON.stringify(storedProfile));
+    }
+    const events = new (lookup('EventBus'))(lookup('GameEvents'));
+    const profile = new (lookup('PilotProfile'))();
+    const tracker = new (lookup('ProfileTracker'))(events, profile, event => event.player === 'local');
+    return { events, profile, tracker };
+}
+
+function destroy(events, type, player = 'local') {
+    events.emit('enemyDestroyed', { enemy: { type }, player, points: 150 });
+}
+
+test('every kind of enemy the pilot destroys counts towards the stats', () => {
+    const { events, profile } = createTracker();
+    const unlocked = [];
+    events.on('achievementUnlocked', event => unlocked.push(event.id));
+
+    destroy(events, 'mine');
+    destroy(events, 'lander');
+    destroy(events, 'lander', 'wingman');
+
+    assert.equal(profile.stats.enemiesDestroyed, 2);
+    assert.deepEqual(unlocked, ['firstContact']);
+});
+
+test('kills saved under the old stat name carry over', () => {
+    const { profile } = createTracker({ stats: { landersDestroyed: 99 }, achievements: { firstContact: 1 } });
+    assert.equal(profile.stats.enemiesDestroyed, 99);
+    assert.ok(!('landersDestroyed' in profile.stats));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GameSimulation } = require('../simulation');
+const { InputRecorder, Replay } = require('../replay');
+const { input, stepWith } = require('./helpers');
+const { loadBrowserScripts } = require('./browser');
+
+// A pilot that weaves, fires in bursts and now and then smart bombs or jumps
+function scriptedInput(tick) {
+    return input({
+        forward: tick % 300 < 200,
+        left: tick % 500 < 100,
+        fire: tick % 40 < 25,
+        smartBomb: tick === 900,
+        hyperspace: tick === 1500,
+        lookX: tick % 240 < 120 ? 0.01 : -0.005,
+        lookY: 0
+    });
+}
+
+function snapshot(simulation) {
+    const player = simulation.player;
+    return {
+        tick: simulation.tick,
+        score: simulation.score,
+        level: simulation.level,
+        lives: player.lives,
+        landersDestroyed: simulation.landersDestroyed,
+        astronautsSaved: simulation.astronautsSaved,
+        enemies: simulation.enemies.length,
+        position: [player.position.x, player.position.y, player.position.z]
+    };
+}
+
+function recordRun(seed, ticks) {
+    const simulation = new GameSimulation({ seed });
+    const recorder = new InputRecorder(simulation.seed, simulation.tickDuration);
+    simulation.start();
+
+    for (let tick = 0; tick < ticks && !simulation.isGameOver; tick++) {
+        const pilotInput = scriptedInput(tick);
+        recorder.record(pilotInput);
+        stepWith(simulation, pilotInput);
+    }
+    return { simulation, data: recorder.toJSON({ score: simulation.score }) };
+}
+
+test('a recorded run replays to the same state', () => {
+    const { simulation, data } = recordRun(1234, 2400);
+
+    // Through JSON, as a downloaded replay file would be
+    const replay = new Replay(JSON.parse(JSON.stringify(data)));
+    const replayed = new GameSimulation({ seed: replay.seed });
+    replayed.start();
+    for (let tick = 0; tick < replay.tickCount; tick++) {
+        stepWith(replayed, replay.getInput(tick));
+    }
+
+    assert.deepEqual(snapshot(replayed), snapshot(simulation));
+    assert.equal(replayed.score, replay.summary.score);
+});
+
+test('the same seed and inputs always give the same run', () => {
+    const first = recordRun(99, 1200).simulation;
+    const second = recordRun(99, 1200).simulation;
+    assert.deepEqual(snapshot(second), snapshot(first));
+});
+
+test('identical ticks are stored as one run', () => {
+    const recorder = new InputRecorder(1, 1000 / 60);
+    const idle = input();
+    const firing = input({ fire: true });
+    for (let i = 0; i < 10; i++) recorder.record(idle);
+    for (let i = 0; i < 5; i++) recorder.record(firing);
+
+    const replay = new Replay(recorder.toJSON());
+    assert.equal(replay.runs.length, 2);
+    assert.equal(replay.tickCount, 15);
+    assert.equal(replay.getInput(9).fire, false);
+    assert.equal(replay.getInput(10).fire, true);
+    // Past the end the pilot lets go of everything
+    assert.equal(replay.getInput(15).fire, false);
+});
+
+test('replays from another version are refused', () => {
+    const data = new InputRecorder(1, 1000 / 60).toJSON();
+    assert.throws(() => new Replay(Object.assign({}, data, { version: data.version + 1 })), /Unsupported replay/);
+});
+
+test('a saved replay records the mission time in seconds', () => {
+    const simulation = new GameSimulation({ seed: 5 });
+    simulation.start();
+    for (let tick = 0; tick < 200; tick++) {
+        stepWith(simulation, input());
+    }
+
+    // Just what getReplayData() reads, without a scene behind it
+    const game = { replay: null, recorder: new InputRecorder(simulation.seed, simulation.tickDuration), simulation };
+    const data = loadBrowserScripts(['game.js'])('Game').prototype.getReplayData.call(game);
+
+    assert.equal(data.summary.missionTime, Math.floor(simulation.time / 1000));
+    assert.equal(data.summary.missionTime, 3);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Lander, Mothership, MothershipCore } = require('../enemies');
+const { getWeaponStats } = require('../weapons');
+const { createQuietSimulation, input, stepWith, stepUntil, ofType, spawnAhead, readyToFire } = require('./helpers');
+
+test('a laser hitting a lander awards points exactly once', () => {
+    const simulation = createQuietSimulation();
+    const player = simulation.player;
+    readyToFire(player);
+    const lander = spawnAhead(simulation, Lander, 10);
+
+    const events = stepUntil(simulation,
+        tick => input({ fire: tick === 0 }),
+        () => simulation.lasers.length === 0 && simulation.tick > 0);
+
+    assert.equal(ofType(events, 'laserFired').length, 1);
+    const destroyed = ofType(events, 'enemyDestroyed');
+    assert.equal(destroyed.length, 1);
+    assert.equal(destroyed[0].enemy, lander);
+    assert.equal(simulation.score, lander.scoreValue);
+    assert.equal(simulation.landersDestroyed, 1);
+    assert.ok(!simulation.enemies.includes(lander));
+});
+
+test('a smart bomb destroys what is in view and scores each kill', () => {
+    const simulation = createQuietSimulation();
+    const player = simulation.player;
+    const ahead = spawnAhead(simulation, Lander, 30);
+    const behind = spawnAhead(simulation, Lander, -30);
+
+    stepWith(simulation, input({ smartBomb: true }));
+
+    assert.deepEqual(simulation.enemies, [behind]);
+    assert.equal(simulation.score, ahead.scoreValue);
+    assert.equal(player.smartBombs, 2);
+});
+
+test('hyperspace lands clear of the terrain anywhere round the planet', () => {
+    const simulation = createQuietSimulation();
+    const player = simulation.player;
+    simulation.hyperspaceFailureChance = 0;
+
+    for (let i = 0; i < 50; i++) {
+        player.lastHyperspace = -Infinity;
+        simulation.hyperspace(player);
+
+        const { x, y, z } = player.position;
+        assert.ok(Math.abs(x) <= simulation.worldHalfSize);
+        assert.ok(Math.abs(z) <= simulation.planet.circumference / 2);
+        assert.ok(y >= simulation.getGroundHeight(x, z) + simulation.hyperspaceMinAltitude);
+    }
+});
+
+test('a released beam charge is kept until the shot can fire', () => {
+    const simulation = createQuietSimulation({ seed: 3 });
+    const player = simulation.player;
+    player.weapons.beam = 1;
+    player.weapon = 'beam';
+
+    stepUntil(simulation, () => input({ fire: true }), () => player.charge >= 1);
+
+    // Let go while the weapon is still cooling down
+    player.lastShotTime = simulation.time;
+    stepWith(simulation, input());
+    assert.equal(ofType(simulation.drainEvents(), 'laserFired').length, 0);
+    assert.equal(player.charge, 1);
+
+    const fired = ofType(stepUntil(simulation, () => input(), () => player.charge === 0), 'laserFired');
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].charge, 1);
+});
+
+test('an astronaut dropped by a shot-down lander is credited to the shooter when it lands', () => {
+    const simulation = createQuietSimulation({ seed: 5 });
+    const player = simulation.player;
+    const astronaut = simulation.astronauts[0];
+
+    const lander = simulation.spawnEnemy(Lander, astronaut.position.clone());
+    lander.target = astronaut;
+    astronaut.targetedBy = lander;
+    astronaut.capture(lander);
+    lander.state = 'ascending';
+    lander.position.y = astronaut.position.y + 10;
+    astronaut.update();
+
+    simulation.damageEnemy(lander, lander.hitPoints, player);
+    assert.equal(astronaut.state, 'falling');
+
+    const events = stepUntil(simulation, () => input(), () => astronaut.state !== 'falling');
+    const rescued = ofType(events, 'astronautRescued');
+    assert.equal(rescued.length, 1);
+    assert.equal(rescued[0].player, player);
+    assert.equal(simulation.astronautsSaved, 1);
+});
+
+test('missiles lock on past the mothership hull and a shielded core', () => {
+    const simulation = createQuietSimulation();
+    const player = simulation.player;
+    spawnAhead(simulation, Mothership, 20);
+    const core = spawnAhead(simulation, MothershipCore, 25);
+    const lander = spawnAhead(simulation, Lander, 40);
+    const { lockRange } = getWeaponStats('missile', 1);
+
+    assert.ok(core.shielded);
+    assert.equal(simulation.findMissileTarget(player, lockRange), lander);
+});
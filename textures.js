@@ -0,0 +1,167 @@
+// Hands out the game's textures: the preloaded file when the asset manifest had one,
+// otherwise a procedural stand-in drawn here, so a missing file never breaks the scene.
+// Generated textures use a fixed seed and look the same on every machine.
+class TextureFactory {
+    constructor(scene, assets) {
+        this.scene = scene;
+        this.assets = assets || null;
+        this.generated = new Map();
+        this.random = createRandom(2084);
+    }
+
+    // A new texture object each call, so callers can set their own tiling
+    create(name) {
+        const loaded = this.assets && this.assets.getTexture(name);
+        if (loaded) {
+            if (loaded.type === 'cube') {
+                return new BABYLON.CubeTexture("", this.scene, null, false, loaded.urls);
+            }
+            return new BABYLON.Texture(loaded.urls[0], this.scene);
+        }
+
+        if (!this.generated.has(name)) {
+            const generator = this.generators[name];
+            if (!generator) {
+                throw new Error(`Unknown texture: ${name}`);
+            }
+            console.log(`Generating ${name} texture`);
+            this.generated.set(name, generator.call(this));
+        }
+        return this.generated.get(name).clone();
+    }
+
+    get generators() {
+        return {
+            lunarSurface: this.createLunarSurface,
+            lunarNormal: this.createLunarNormal,
+            flare: this.createFlare,
+            skybox: this.createStarfield
+        };
+    }
+
+    // Grey regolith speckled with dust and pocked with craters
+    createLunarSurface() {
+        const size = 512;
+        const texture = new BABYLON.DynamicTexture("lunarSurface", size, this.scene, true);
+        const ctx = texture.getContext();
+
+        ctx.fillStyle = "#7a7a7a";
+        ctx.fillRect(0, 0, size, size);
+
+        for (let i = 0; i < 6000; i++) {
+            const shade = Math.floor(90 + this.random() * 80);
+            ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+            ctx.fillRect(this.random() * size, this.random() * size, 2, 2);
+        }
+
+        for (let i = 0; i < 40; i++) {
+            const x = this.random() * size;
+            const y = this.random() * size;
+            const radius = 4 + this.random() * 24;
+
+            // Dark floor with a lighter rim
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = "rgba(40, 40, 40, 0.35)";
+            ctx.fill();
+            ctx.lineWidth = Math.max(1, radius * 0.15);
+            ctx.strokeStyle = "rgba(200, 200, 200, 0.3)";
+            ctx.stroke();
+        }
+
+        texture.update();
+        return texture;
+    }
+
+    // Normal map from a smoothed random height field
+    createLunarNormal() {
+        const size = 256;
+        const texture = new BABYLON.DynamicTexture("lunarNormal", size, this.scene, true);
+        const ctx = texture.getContext();
+
+        // Coarse random grid, bilinearly sampled and wrapped so the map tiles
+        const grid = 32;
+        const cells = [];
+        for (let i = 0; i < grid * grid; i++) {
+            cells.push(this.random());
+        }
+        const height = (x, y) => {
+            const gx = (((x / size) * grid) % grid + grid) % grid;
+            const gy = (((y / size) * grid) % grid + grid) % grid;
+            const x0 = Math.floor(gx);
+            const y0 = Math.floor(gy);
+            const tx = gx - x0;
+            const ty = gy - y0;
+            const cell = (cx, cy) => cells[(cy % grid) * grid + (cx % grid)];
+            const top = cell(x0, y0) * (1 - tx) + cell(x0 + 1, y0) * tx;
+            const bottom = cell(x0, y0 + 1) * (1 - tx) + cell(x0 + 1, y0 + 1) * tx;
+            return top * (1 - ty) + bottom * ty;
+        };
+
+        const image = ctx.createImageData(size, size);
+        const strength = 6;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = (height(x + 1, y) - height(x - 1, y)) * strength;
+                const dy = (height(x, y + 1) - height(x, y - 1)) * strength;
+                const length = Math.sqrt(dx * dx + dy * dy + 1);
+                const i = (y * size + x) * 4;
+                image.data[i] = ((-dx / length) * 0.5 + 0.5) * 255;
+                image.data[i + 1] = ((-dy / length) * 0.5 + 0.5) * 255;
+                image.data[i + 2] = ((1 / length) * 0.5 + 0.5) * 255;
+                image.data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        texture.update();
+        return texture;
+    }
+
+    // Soft white glow fading to transparent, for particles
+    createFlare() {
+        const size = 64;
+        const texture = new BABYLON.DynamicTexture("flare", size, this.scene, true);
+        const ctx = texture.getContext();
+
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
+        gradient.addColorStop(0.3, "rgba(255, 255, 255, 0.6)");
+        gradient.addColorStop(1, "rgba(255, 255, 255, 0)");
+        ctx.clearRect(0, 0, size, size);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+
+        texture.hasAlpha = true;
+        texture.update();
+        return texture;
+    }
+
+    // Six faces of black sky scattered with stars of varying brightness and tint,
+    // drawn on canvases and handed to a cube texture as image data URLs
+    createStarfield() {
+        const size = 512;
+        const faces = [];
+        for (let face = 0; face < 6; face++) {
+            const canvas = document.createElement("canvas");
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext("2d");
+
+            ctx.fillStyle = "#020206";
+            ctx.fillRect(0, 0, size, size);
+
+            for (let star = 0; star < 500; star++) {
+                const brightness = Math.floor(80 + this.random() * 175);
+                const tint = this.random();
+                const red = tint < 0.2 ? Math.floor(brightness * 0.8) : brightness;
+                const blue = tint > 0.8 ? Math.floor(brightness * 0.8) : brightness;
+                ctx.fillStyle = `rgb(${red}, ${brightness}, ${blue})`;
+                ctx.fillRect(this.random() * size, this.random() * size, this.random() < 0.1 ? 2 : 1, 1);
+            }
+            faces.push(canvas.toDataURL("image/png"));
+        }
+
+        return new BABYLON.CubeTexture("", this.scene, null, false, faces, null, null, undefined, false, ".png");
+    }
+}
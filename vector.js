@@ -0,0 +1,84 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Minimal 3D vector used by the simulation so it can run without Babylon
+    class Vec3 {
+        constructor(x = 0, y = 0, z = 0) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+        }
+
+        static distance(a, b) {
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const dz = a.z - b.z;
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }
+
+        static from(v) {
+            return new Vec3(v.x, v.y, v.z);
+        }
+
+        clone() {
+            return new Vec3(this.x, this.y, this.z);
+        }
+
+        copyFrom(v) {
+            this.x = v.x;
+            this.y = v.y;
+            this.z = v.z;
+            return this;
+        }
+
+        set(x, y, z) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+            return this;
+        }
+
+        add(v) {
+            return new Vec3(this.x + v.x, this.y + v.y, this.z + v.z);
+        }
+
+        addInPlace(v) {
+            this.x += v.x;
+            this.y += v.y;
+            this.z += v.z;
+            return this;
+        }
+
+        subtract(v) {
+            return new Vec3(this.x - v.x, this.y - v.y, this.z - v.z);
+        }
+
+        scale(s) {
+            return new Vec3(this.x * s, this.y * s, this.z * s);
+        }
+
+        dot(v) {
+            return this.x * v.x + this.y * v.y + this.z * v.z;
+        }
+
+        length() {
+            return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+        }
+
+        normalize() {
+            const len = this.length();
+            if (len > 0) {
+                this.x /= len;
+                this.y /= len;
+                this.z /= len;
+            }
+            return this;
+        }
+    }
+
+    return { Vec3 };
+}));
@@ -0,0 +1,98 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Weapon definitions. Each weapon has base stats and, for every upgrade level above
+    // the first, the stats that change at that level. Timings are simulation
+    // milliseconds, speeds and ranges world units per tick and in total.
+    //   energyCost  energy per trigger pull (the beam adds chargeCost at full charge)
+    //   cooldown    time between shots
+    //   shots       projectiles per pull, fanned out spread radians apart (spread shot)
+    //   pierce      projectiles carry on through what they hit (charged beam)
+    //   chargeTime  hold fire this long for a full charge, firing on release (charged beam)
+    //   turnRate    how hard projectiles steer toward their target each tick (missiles)
+    const Weapons = {
+        laser: {
+            name: 'RAPID LASER',
+            energyCost: 6,
+            cooldown: 150,
+            speed: 2.5,
+            range: 500,
+            damage: 1,
+            radius: 1,
+            levels: [
+                { cooldown: 110 },
+                { cooldown: 80, damage: 2 }
+            ]
+        },
+        spread: {
+            name: 'SPREAD SHOT',
+            energyCost: 14,
+            cooldown: 350,
+            speed: 2,
+            range: 250,
+            damage: 1,
+            radius: 1,
+            shots: 3,
+            spread: 0.12,
+            levels: [
+                { shots: 5 },
+                { shots: 7, damage: 2 }
+            ]
+        },
+        beam: {
+            name: 'CHARGED BEAM',
+            energyCost: 8,
+            chargeCost: 24,
+            chargeTime: 1000,
+            cooldown: 300,
+            speed: 4,
+            range: 600,
+            // Damage grows from damage to chargedDamage with the charge
+            damage: 1,
+            chargedDamage: 6,
+            radius: 1.5,
+            pierce: true,
+            levels: [
+                { chargeTime: 800, chargedDamage: 8 },
+                { chargeTime: 600, chargedDamage: 12 }
+            ]
+        },
+        missile: {
+            name: 'HOMING MISSILE',
+            energyCost: 20,
+            cooldown: 700,
+            speed: 1.2,
+            range: 400,
+            damage: 3,
+            radius: 1,
+            shots: 1,
+            spread: 0.3,
+            turnRate: 0.06,
+            lockRange: 250,
+            levels: [
+                { shots: 2 },
+                { shots: 2, damage: 5, turnRate: 0.09 }
+            ]
+        }
+    };
+
+    // Cycling order for the weapon selector
+    const WeaponOrder = ['laser', 'spread', 'beam', 'missile'];
+
+    const maxWeaponLevel = 3;
+
+    // Stats for a weapon at an upgrade level, from 1 to maxWeaponLevel
+    function getWeaponStats(weapon, level = 1) {
+        const { levels, ...stats } = Weapons[weapon];
+        for (let i = 0; i < Math.min(level, maxWeaponLevel) - 1; i++) {
+            Object.assign(stats, levels[i]);
+        }
+        return stats;
+    }
+
+    return { Weapons, WeaponOrder, maxWeaponLevel, getWeaponStats };
+}));